@@ -0,0 +1,52 @@
+/**
+ * @fileoverview 活動の記録（カレンダーへの登録とDBシートへの追記）
+ * LINEボットなど、カレンダーを開かずに活動を記録する機能から共通して使用します。
+ * カレンダーにイベントを作成し、同じイベントIDでDBシートにも行を追加するため、
+ * 後から addCalendarDayEvents で同期しても重複しません。
+ */
+
+/**
+ * 記録先のカレンダーの設定を取得します。
+ * スクリプトプロパティ LOG_CALENDAR_ID があればそのカレンダー、無ければ同期対象の先頭のカレンダーを使用します。
+ * @return {Object} getSourceCalendars の要素と同じ形式の設定
+ */
+function getLogCalendarSource() {
+    const logCalendarId = getSetting('LOG_CALENDAR_ID');
+    const sources = getSourceCalendars(true);
+
+    if (logCalendarId) {
+        return sources.find(source => source.id === logCalendarId) ||
+            { id: logCalendarId, label: '', defaultCategory: '', enabled: true };
+    }
+    const enabled = sources.filter(source => source.enabled);
+    if (enabled.length === 0) throw new Error('記録先のカレンダーが設定されていません（LOG_CALENDAR_ID または CALENDARS）。');
+    return enabled[0];
+}
+
+/**
+ * 活動をカレンダーに登録し、DBシートにも行を追加します。
+ * @param {string} category カテゴリー名（【 】なし）
+ * @param {Date} start 開始時刻
+ * @param {Date} end 終了時刻
+ * @param {string} [memo] タイトルの【カテゴリー】に続けるメモ
+ * @return {GoogleAppsScript.Calendar.CalendarEvent} 作成したイベント
+ */
+function logActivity(category, start, end, memo) {
+    if (!(end > start)) throw new Error('終了時刻は開始時刻より後にしてください。');
+
+    const source = getLogCalendarSource();
+    const calendar = CalendarApp.getCalendarById(source.id);
+    if (!calendar) throw new Error(`カレンダーが見つかりません: ${source.id}`);
+
+    const title = `【${category}】${memo ? ' ' + memo : ''}`;
+    const event = calendar.createEvent(title, start, end);
+
+    // 同期と同じ形式（日をまたぐ場合は日ごとの行）でDBシートに追記します
+    const label = source.label || calendar.getName();
+    const records = splitEventByDay(start, end).map(segment => formatEventRecord(event, source, segment, label));
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    insertDbRows(getDbArchiveSheet(start.getFullYear()) || sheet, records);
+
+    console.log(`活動を記録しました: ${title} ${formatDate(start)}`);
+    return event;
+}
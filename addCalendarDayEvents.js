@@ -1,17 +1,66 @@
 /**
- * Googleカレンダーから指定された日付のイベントを取得し、
- * スプレッドシートに存在しないイベントを追加します。
+ * DBシートの列位置（0始まりのインデックス）
+ * G列は従来G4セルなどの操作用セルとして使われていたため、同期用の情報はH列以降に保持します。
+ */
+const DB_COL = {
+  TITLE: 0,       // A列: タイトル
+  START: 1,       // B列: 開始時刻
+  END: 2,         // C列: 終了時刻
+  DURATION: 3,    // D列: 所要時間
+  CATEGORY: 4,    // E列: カテゴリー
+  DATE: 5,        // F列: 日付
+  EVENT_ID: 7,    // H列: カレンダーのイベントID
+  CALENDAR_ID: 8, // I列: カレンダーID
+  ALL_DAY: 9,     // J列: 終日イベントのフラグ
+  SOURCE: 10,     // K列: 取得元カレンダーのラベル
+  SUBCATEGORY: 11,       // L列: 子カテゴリーまで含めたパス（例: 仕事/会議）
+  TAGS: 12,              // M列: タグ（カンマ区切り）
+  DURATION_OVERRIDE: 13  // N列: タイトルで上書きした所要時間（時間）
+};
+
+/**
+ * Googleカレンダーから前日のイベントを取得し、
+ * スプレッドシートの内容をカレンダーに合わせて追加・更新・削除します。
+ * 任意の期間を取り込む場合は、メニューの「期間指定で追加」（showBackfillDialog）を使用します。
  */
 function addCalendarDayEvents() {
   // 保留中の変更を強制的に更新します。
   SpreadsheetApp.flush();
 
-  // 'DB'という名前のシートを取得します。
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('DB');
+  // DBシート（設定のシート名）を取得します。
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
 
-  // G4セルの日付を対象日として取得します。
-  const targetDate = new Date(sheet.getRange('G4').getValue());
+  // 前日を対象日とします。
+  const now = new Date();
+  const targetDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
 
+  // LINEボット・記録API・期間指定の取り込みと同時にDBシートの行を追加・削除しないよう、ロックを取ります。
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(60 * 1000)) throw new Error('別の処理がDBシートを更新中です。しばらく待ってから再度お試しください。');
+
+  // カレンダーとスプレッドシートを突き合わせ、差分を反映します。
+  let result;
+  try {
+    result = syncCalendarDay(sheet, targetDate);
+  } finally {
+    lock.releaseLock();
+  }
+
+  // 変更内容を報告します。
+  const summary = formatSyncResult(result);
+  console.log(`カレンダー同期 (${targetDate.toDateString()}): ${summary}`);
+  result.changes.forEach(change => console.log(`  ${change}`));
+  ss.toast(summary, 'カレンダー同期', 5);
+}
+
+/**
+ * 指定された日付1日分のカレンダーイベントをDBシートに同期します。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - DBシート
+ * @param {Date} targetDate - 対象日
+ * @return {Object} syncCalendarEventsの同期結果
+ */
+function syncCalendarDay(sheet, targetDate) {
   // 対象日の開始時刻を設定します（時刻は0時0分0秒）。
   const startTime = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 0, 0, 0);
 
@@ -19,42 +68,182 @@ function addCalendarDayEvents() {
   const endTime = new Date(startTime);
   endTime.setDate(endTime.getDate() + 1);
 
-  // 指定された日付のGoogleカレンダーのイベントを取得します。
+  // アーカイブ済みの年の日付は、アーカイブのシートと突き合わせます（eventStore.js）。
+  return syncCalendarEvents(getDbArchiveSheet(startTime.getFullYear()) || sheet, startTime, endTime);
+}
+
+/**
+ * 指定された期間のカレンダーイベントとDBシートの行を突き合わせ、
+ * 新規イベントの追加・変更されたイベントの更新・削除されたイベントの行削除を行います。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - DBシート
+ * @param {Date} startTime - 対象日の開始時刻
+ * @param {Date} endTime - 対象日の終了時刻（翌日の0時）
+ * @return {Object} 追加・更新・削除の件数と変更内容のリスト
+ */
+function syncCalendarEvents(sheet, startTime, endTime) {
+  const result = { added: 0, updated: 0, deleted: 0, changes: [] };
+
+  // 対象日のカレンダーのイベントを取得します（日をまたぐイベントは対象日の部分のみ）。
+  const calendarIds = getSourceCalendarIds();
   const calendarEvents = getCalenderAction(startTime, endTime);
 
-  // スプレッドシート内の指定された日付のイベントタイトルと開始時刻のペアをセットに追加します。
-  const sheetEventsSet = getSheetEventsSetForDate(sheet, startTime);
+  // スプレッドシート内の対象日の行を、イベントIDと「タイトル+開始時刻」の両方で引けるようにします。
+  const sheetRows = getSheetEventsForDate(sheet, startTime);
+  const rowsById = new Map();
+  const legacyRows = new Map();
+  sheetRows.forEach(row => {
+    if (row.eventId) {
+      rowsById.set(createEventIdKey(row.calendarId, row.eventId), row);
+    } else {
+      legacyRows.set(createEventKey(row.title, row.start), row);
+    }
+  });
 
-  // カレンダーのイベントのうち、スプレッドシートにまだ存在しないイベントをフィルタリングします。
-  const newEvents = calendarEvents.filter(event => {
-    const eventKey = createEventKey(event[0], event[1]);
-    return !sheetEventsSet.has(eventKey);
+  const matchedRows = new Set();
+  const updates = [];
+  const newEvents = [];
+
+  calendarEvents.forEach(record => {
+    const idKey = createEventIdKey(record[DB_COL.CALENDAR_ID], record[DB_COL.EVENT_ID]);
+    // ID未記録の旧形式の行は、タイトルと開始時刻が一致すればIDを補完して引き継ぎます。
+    const row = rowsById.get(idKey) || legacyRows.get(createEventKey(record[DB_COL.TITLE], record[DB_COL.START]));
+
+    if (!row || matchedRows.has(row)) {
+      newEvents.push(record);
+      return;
+    }
+    matchedRows.add(row);
+
+    if (!row.eventId || isEventRecordChanged(row, record)) {
+      updates.push({ row, record });
+    }
+  });
+
+  // 変更のあった行をその場で更新します（G列の操作用セルには触れません）。
+  updates.forEach(({ row, record }) => {
+    sheet.getRange(row.rowNumber, DB_COL.TITLE + 1, 1, DB_COL.DATE + 1)
+      .setValues([record.slice(DB_COL.TITLE, DB_COL.DATE + 1)]);
+    sheet.getRange(row.rowNumber, DB_COL.EVENT_ID + 1, 1, DB_COL.DURATION_OVERRIDE - DB_COL.EVENT_ID + 1)
+      .setValues([record.slice(DB_COL.EVENT_ID, DB_COL.DURATION_OVERRIDE + 1)]);
+    if (isEventRecordChanged(row, record)) {
+      result.updated++;
+      result.changes.push(`更新: ${row.title} → ${record[DB_COL.TITLE]}`);
+    }
   });
 
-  // 新しいイベントがある場合、それをスプレッドシートに追加します。
+  // カレンダーから消えたイベントの行を削除します（行番号がずれないよう下の行から削除）。
+  // 同期対象外のカレンダーの行や、ID未記録の手入力行には触れません。
+  const deletedRows = sheetRows
+    .filter(row => row.eventId && !matchedRows.has(row) && calendarIds.includes(row.calendarId))
+    .sort((a, b) => b.rowNumber - a.rowNumber);
+  deletedRows.forEach(row => {
+    sheet.deleteRow(row.rowNumber);
+    result.deleted++;
+    result.changes.push(`削除: ${row.title}`);
+  });
+
+  // 新しいイベントがある場合、それをスプレッドシートの日付順の位置に追加します。
   if (newEvents.length > 0) {
-    const lastRow = sheet.getLastRow();
-    sheet.getRange(lastRow + 1, 1, newEvents.length, newEvents[0].length).setValues(newEvents);
+    insertDbRows(sheet, newEvents);
+    result.added = newEvents.length;
+    newEvents.forEach(record => result.changes.push(`追加: ${record[DB_COL.TITLE]}`));
+  }
+
+  return result;
+}
+
+/**
+ * 同期結果を1行の文字列にまとめます。
+ * @param {Object} result - syncCalendarEventsの戻り値
+ * @return {string} 「追加 n件 / 更新 n件 / 削除 n件」形式の文字列
+ */
+function formatSyncResult(result) {
+  return `追加 ${result.added}件 / 更新 ${result.updated}件 / 削除 ${result.deleted}件`;
+}
+
+/**
+ * 同期対象のカレンダーの設定をスクリプトプロパティから取得します。
+ * スクリプトプロパティ CALENDARS に次の形式のJSONを設定します。
+ * 未設定の場合は従来の CALENDAR_ID / CALENDAR_ID2 を使用します。
+ *   [{ "id": "xxx@group.calendar.google.com", "label": "仕事", "defaultCategory": "仕事", "enabled": true }, ...]
+ * - label: K列（取得元）に書き込む名前（省略時はカレンダー名）
+ * - defaultCategory: タイトルに【…】が無いイベントに割り当てるカテゴリー（省略可）
+ * - enabled: falseにすると同期を止めます（省略時はtrue）
+ * 同じイベントが複数のカレンダーにある場合は、一覧の先頭に近いカレンダーのものを採用します。
+ * @param {boolean} includeDisabled - trueの場合は無効なカレンダーも含めます
+ * @return {Array<Object>} { id, label, defaultCategory, enabled } の配列
+ */
+function getSourceCalendars(includeDisabled) {
+  let calendars = getSetting('CALENDARS');
+  if (!Array.isArray(calendars)) throw new Error('スクリプトプロパティ CALENDARS は配列で指定してください。');
+  if (calendars.length === 0) {
+    // 旧形式（CALENDAR_ID / CALENDAR_ID2）は形式が違うため、getSetting では引き継がずここで読み込みます
+    const scriptProperties = PropertiesService.getScriptProperties();
+    calendars = [scriptProperties.getProperty("CALENDAR_ID"), scriptProperties.getProperty("CALENDAR_ID2")]
+      .filter(Boolean)
+      .map(id => ({ id }));
   }
+
+  return calendars
+    .filter(calendar => calendar && calendar.id)
+    .map(calendar => ({
+      id: String(calendar.id),
+      label: calendar.label ? String(calendar.label) : '',
+      defaultCategory: calendar.defaultCategory ? String(calendar.defaultCategory) : '',
+      enabled: calendar.enabled !== false
+    }))
+    .filter(calendar => includeDisabled || calendar.enabled);
+}
+
+/**
+ * 同期対象（有効）のカレンダーIDの一覧を取得します。
+ * @return {Array<string>} カレンダーIDの配列
+ */
+function getSourceCalendarIds() {
+  return getSourceCalendars().map(calendar => calendar.id);
+}
+
+/**
+ * 終日イベントの扱いをスクリプトプロパティ ALL_DAY_EVENT_POLICY から取得します。
+ * 'skip': 取り込まない（既定） / 'tag': J列に終日フラグを付けて取り込み、時間の集計からは除外する
+ * @return {string} 'skip' または 'tag'
+ */
+function getAllDayEventPolicy() {
+  return getSetting('ALL_DAY_EVENT_POLICY') === 'tag' ? 'tag' : 'skip';
 }
 
 /**
  * 指定された期間内のGoogleカレンダーのイベントを取得します。
- * @param {Date} startTime - 開始時刻
- * @param {Date} endTime - 終了時刻
+ * 日をまたぐイベントは日ごとに分割し、期間内に含まれる部分のみを返します。
+ * @param {Date} startTime - 開始時刻（0時0分）
+ * @param {Date} endTime - 終了時刻（0時0分）
  * @return {Array} カレンダーイベントの配列
  */
 function getCalenderAction(startTime, endTime) {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const calendarIDs = [scriptProperties.getProperty("CALENDAR_ID"), scriptProperties.getProperty("CALENDAR_ID2")].filter(Boolean);
+  const sources = getSourceCalendars();
+  const allDayPolicy = getAllDayEventPolicy();
+  const seenEvents = new Set();
   const values = [];
 
-  // 各カレンダーIDに対してイベントを取得します。
-  calendarIDs.forEach(key => {
-    const calendar = CalendarApp.getCalendarById(key);
+  // 各カレンダーに対してイベントを取得します。
+  sources.forEach(source => {
+    const calendar = CalendarApp.getCalendarById(source.id);
+    // 取得できないまま同期すると全行が「削除済み」と判定されるため、ここで中断します。
+    if (!calendar) throw new Error(`カレンダーが見つかりません: ${source.id}`);
+    const label = source.label || calendar.getName();
+
     const events = calendar.getEvents(startTime, endTime);
     events.forEach(event => {
-      values.push(formatEventRecord(event));
+      if (event.isAllDayEvent() && allDayPolicy === 'skip') return;
+
+      // 招待などで複数のカレンダーに同じイベントがある場合は、先に取得したものだけを残します。
+      const eventKey = createEventKey(event.getId(), event.getStartTime());
+      if (seenEvents.has(eventKey)) return;
+      seenEvents.add(eventKey);
+
+      splitEventByDay(event.getStartTime(), event.getEndTime())
+        .filter(segment => segment.start >= startTime && segment.start < endTime)
+        .forEach(segment => values.push(formatEventRecord(event, source, segment, label)));
     });
   });
 
@@ -64,38 +253,121 @@ function getCalenderAction(startTime, endTime) {
 /**
  * Googleカレンダーのイベントからスプレッドシートのレコード用のデータを整形します。
  * @param {GoogleAppsScript.Calendar.CalendarEvent} event - Googleカレンダーのイベント
+ * @param {Object} source - 取得元カレンダーの設定（getSourceCalendarsの要素）
+ * @param {{start: Date, end: Date}} segment - 日ごとに分割したイベントの時間帯
+ * @param {string} label - 取得元カレンダーのラベル
  * @return {Array} スプレッドシートに追加するイベントデータ
  */
-function formatEventRecord(event) {
+function formatEventRecord(event, source, segment, label) {
+  const title = event.getTitle();
+  // タイトルを解析し、カテゴリー・タグ・所要時間の上書きをそれぞれの列に書き込みます（titleParser.js）。
+  // タイトルに【…】が無く、カレンダーに既定のカテゴリーがある場合はそれを書き込みます。
+  const parsed = parseEventTitle(title);
+  const category = parsed.category || source.defaultCategory || '';
+  const subcategory = parsed.subcategory || category;
+
+  // 所要時間の上書きは、日をまたぐイベントでは各日の長さの割合で配分します。
+  const segmentHours = (segment.end - segment.start) / 3600000;
+  const eventHours = (event.getEndTime() - event.getStartTime()) / 3600000;
+  const overrideHours = parsed.durationHours === null
+    ? ''
+    : (eventHours > 0 ? parsed.durationHours * segmentHours / eventHours : parsed.durationHours);
+
   return [
-    event.getTitle(), // イベントのタイトル
-    event.getStartTime(), // イベントの開始時刻
-    event.getEndTime(), // イベントの終了時刻
-    `=IF(ABS((INDIRECT("RC[-1]",FALSE)-INDIRECT("RC[-2]",FALSE)))*24=24,"",(INDIRECT("RC[-1]",FALSE)-INDIRECT("RC[-2]",FALSE)))`,
-    `=IFERROR(MID(INDIRECT("RC[-4]",FALSE),FIND("【",INDIRECT("RC[-4]",FALSE))+1,FIND("】",INDIRECT("RC[-4]",FALSE))-FIND("【",INDIRECT("RC[-4]",FALSE))-1),"")`,
-    `=INT(INDIRECT("RC[-4]",FALSE))`
+    title, // イベントのタイトル
+    segment.start, // イベントの開始時刻（日をまたぐ場合はその日の0時）
+    segment.end, // イベントの終了時刻（日をまたぐ場合は翌日の0時）
+    (overrideHours === '' ? segmentHours : overrideHours) / 24, // 所要時間（日単位のシリアル値）
+    category, // カテゴリー（親カテゴリー）
+    `=INT(INDIRECT("RC[-4]",FALSE))`,
+    '', // G列（操作用セルのため空欄）
+    event.getId(), // イベントID
+    source.id, // カレンダーID
+    event.isAllDayEvent(), // 終日イベントのフラグ
+    label, // 取得元カレンダーのラベル
+    subcategory, // 子カテゴリーまで含めたパス
+    parsed.tags.join(','), // タグ
+    overrideHours // 上書きした所要時間
   ];
 }
 
 /**
- * スプレッドシートから特定の日付のイベントのタイトルと開始時刻をセットとして取得します。
+ * スプレッドシートから特定の日付のイベント行を取得します。
+ * 日付の列から対象日の行の範囲を求め、その範囲だけを読み込みます（eventStore.js）。
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - スプレッドシートのシート
  * @param {Date} startTime - 対象の日付
- * @return {Set} イベントのタイトルと開始時刻のペアのセット
+ * @return {Array<Object>} 行番号・タイトル・開始/終了時刻・イベントID・カレンダーID・タイトルから求めた列の値を持つオブジェクトの配列
  */
-function getSheetEventsSetForDate(sheet, startTime) {
-  const dataRange = sheet.getDataRange().getValues();
-  const eventsSet = new Set();
+function getSheetEventsForDate(sheet, startTime) {
+  const day = new Date(startTime.getFullYear(), startTime.getMonth(), startTime.getDate());
+  const block = findDbRowBlock(sheet, day, day);
+  const rows = [];
+  // L～N列が無い旧形式のシートでは undefined になるため、空欄として扱います
+  const text = value => value === undefined || value === null ? '' : String(value);
 
-  dataRange.forEach(row => {
-    const eventDate = row[1];
+  block.values.forEach((row, index) => {
+    const eventDate = row[DB_COL.START];
     if (eventDate instanceof Date && isSameDate(eventDate, startTime)) {
-      const eventKey = createEventKey(row[0], row[1]);
-      eventsSet.add(eventKey);
+      rows.push({
+        rowNumber: block.firstRow + index,
+        title: row[DB_COL.TITLE],
+        start: row[DB_COL.START],
+        end: row[DB_COL.END],
+        eventId: String(row[DB_COL.EVENT_ID] || ''),
+        calendarId: String(row[DB_COL.CALENDAR_ID] || ''),
+        allDay: row[DB_COL.ALL_DAY] === true,
+        source: String(row[DB_COL.SOURCE] || ''),
+        category: text(row[DB_COL.CATEGORY]),
+        subcategory: text(row[DB_COL.SUBCATEGORY]),
+        tags: text(row[DB_COL.TAGS]),
+        durationOverride: text(row[DB_COL.DURATION_OVERRIDE])
+      });
     }
   });
 
-  return eventsSet;
+  return rows;
+}
+
+/**
+ * DBシートの行とカレンダーのレコードで、タイトル・時刻・終日フラグ・取得元のいずれかが異なるかを判定します。
+ * タイトルから求めた列（カテゴリー・子カテゴリー・タグ・所要時間の上書き）も比べるため、
+ * カレンダーの既定のカテゴリーを変えた場合や、求め方が変わった場合も行を書き直します。
+ * @param {Object} row - getSheetEventsForDateで取得した行
+ * @param {Array} record - formatEventRecordで整形したレコード
+ * @return {boolean} 異なる場合はtrue
+ */
+function isEventRecordChanged(row, record) {
+  const sameTime = (a, b) => a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  return String(row.title) !== String(record[DB_COL.TITLE]) ||
+         !sameTime(row.start, record[DB_COL.START]) ||
+         !sameTime(row.end, record[DB_COL.END]) ||
+         row.allDay !== record[DB_COL.ALL_DAY] ||
+         row.source !== record[DB_COL.SOURCE] ||
+         row.category !== String(record[DB_COL.CATEGORY]) ||
+         row.subcategory !== String(record[DB_COL.SUBCATEGORY]) ||
+         row.tags !== String(record[DB_COL.TAGS]) ||
+         row.durationOverride !== String(record[DB_COL.DURATION_OVERRIDE]);
+}
+
+/**
+ * 開始時刻から終了時刻までを、日付の境目（0時）で区切った時間帯に分割します。
+ * 例: 23:00～翌7:00 → [23:00～24:00, 0:00～7:00]
+ * @param {Date} start - 開始時刻
+ * @param {Date} end - 終了時刻
+ * @return {Array<{start: Date, end: Date}>} 日ごとの時間帯の配列
+ */
+function splitEventByDay(start, end) {
+  const segments = [];
+  let cursor = new Date(start.getTime());
+
+  do {
+    const nextMidnight = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+    const segmentEnd = end < nextMidnight ? new Date(end.getTime()) : nextMidnight;
+    segments.push({ start: cursor, end: segmentEnd });
+    cursor = nextMidnight;
+  } while (cursor < end);
+
+  return segments;
 }
 
 /**
@@ -119,3 +391,13 @@ function isSameDate(d1, d2) {
 function createEventKey(title, startTime) {
   return `${title}_${startTime.toISOString()}`;
 }
+
+/**
+ * カレンダーIDとイベントIDからユニークなキーを生成します。
+ * @param {string} calendarId - カレンダーID
+ * @param {string} eventId - イベントID
+ * @return {string} イベントのユニークなキー
+ */
+function createEventIdKey(calendarId, eventId) {
+  return `${calendarId}_${eventId}`;
+}
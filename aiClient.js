@@ -0,0 +1,341 @@
+/**
+ * @fileoverview AIクライアント（プロバイダー切り替え・プロンプトテンプレート・キャッシュ・構造化出力）
+ * 日次LINE・週次／月次／年間レポートのAI寸評は、すべてこのモジュールを経由して生成します。
+ *
+ * スクリプトプロパティ:
+ * - AI_PROVIDER: 'gemini'（既定） または 'openai'（OpenAI互換のAPI。ローカルLLMのサーバーなども可）
+ * - AI_MODEL: 使用するモデル（既定: Gemini は CONFIG.GEMINI_MODEL、OpenAI互換は gpt-4o-mini）
+ * - AI_API_KEY: APIキー（Gemini の場合は未設定なら GEMINI_API_KEY を使用。ローカルのサーバーでは不要）
+ * - AI_BASE_URL: OpenAI互換APIのベースURL（既定: https://api.openai.com/v1）
+ *   Apps Script はGoogleのサーバーから接続するため、ローカルのサーバーはトンネル等でインターネットから届くURLにしてください。
+ *
+ * プロンプトは「Prompts」シートで編集できます（A:キー | B:テンプレート | C:最大文字数）。
+ * テンプレートでは {{名前}} で値を埋め込み、{{#名前}}～{{/名前}} で値があるときだけ表示する部分を指定します。
+ * シートに無いキーは既定のテンプレートを使用します（メニュー「プロンプトテンプレート作成」でシートに書き出せます）。
+ */
+
+/**
+ * 既定のプロンプトテンプレートを返します。
+ * @return {Object} キーごとの { template, maxChars }
+ */
+function getDefaultPromptTemplates() {
+    return {
+        daily_insight: {
+            maxChars: 120,
+            template: `あなたはライフログコーチです。昨日の活動実績と直近4週間の1日平均（記録のある日の平均）の比較データを見て、短く鋭い日本語の寸評を【{{maxChars}}文字以内】で作成してください。
+LINEで読むため、簡潔かつ前向きなアドバイスにしてください。
+
+比較データ(昨日 vs 1日平均):
+{{data}}
+{{#trend}}
+長期の傾向から外れた項目（anomalies は直近4週間・同じ曜日の平均から大きく外れたカテゴリー、trends は直近4週間の平均が12週間の平均から大きく変化したカテゴリー、newCategories は新しく現れたカテゴリー、disappearedCategories は普段は毎日あるのに記録が無かったカテゴリー）:
+{{trend}}
+寸評ではこの事実を優先して取り上げてください。
+{{/trend}}
+{{#goals}}
+ユーザーが設定した目標（daily は昨日の実績、weekly は今週の累計との比較）:
+{{goals}}
+目標に触れる場合は、この実際の目標値を基準にしてください。
+{{/goals}}
+{{#coaching}}
+前回のアドバイスと、その後の実績（followed は提案どおりの方向に変化したか。history はそれ以前の提案回数と実行回数）:
+{{coaching}}
+提案どおりに実行できたことは具体的に認め、できなかったことには無理のない次の一歩を示してください。
+{{/coaching}}`
+        },
+        period_analysis: {
+            maxChars: CONFIG.MAX_ANALYSIS_CHARS,
+            template: `あなたはライフログ分析のプロフェッショナルAIです。
+以下の{{periodName}}の集計データ（活動構成比、インプット/アウトプット比率、{{comparisonLabels}}）を読み解き、ユーザーの生活リズムと質の変化について【{{maxChars}}文字以内】で日本語のアドバイスを記述してください。
+
+着眼点：
+- カテゴリー別の「時間(h)」の変化（何が増え、何が減り、それが生活にどう影響しているか）。{{diffNote}}
+{{#hasBreakdown}}
+- 期間内の推移（breakdown）と、上位カテゴリー（topCategories）から見える傾向。
+{{/hasBreakdown}}
+{{#hasTimeProfile}}
+- 時間帯の傾向（timeProfile）。カテゴリーごとの多い曜日・時間帯（peaks）と、典型的な1日（起床・最初の集中作業・就寝）の前週からのずれ（shiftMinutes、分）から見える生活リズムの変化。
+{{/hasTimeProfile}}
+{{#hasTrend}}
+- 長期の傾向（trend）。直近4週間の平均から大きく外れたカテゴリー（anomalies）、12週間の平均からの変化（trends）、新しく現れた・記録が途絶えたカテゴリー（newCategories / disappearedCategories）は事実として優先して取り上げてください。
+{{/hasTrend}}
+{{#hasAdherence}}
+- 予定と実績の比較（adherence）。score は予定どおりに過ごせた度合い（%）、categories はカテゴリーごとの予定・実績・予定どおりの時間、missed は実行しなかった予定、unplanned は予定の時間帯に行った予定外の活動です。計画の立て方と実行の両面から、無理のない改善策を示してください。
+{{/hasAdherence}}
+- プロフェッショナルな視点でのワークライフバランスや自己研鑽の評価。
+- インプット({{inputRatio}}%) 対 アウトプット({{outputRatio}}%)の比率（理想の黄金比は{{ioGoalRatio}}とされています）から見た示唆。
+- ユーザー自身が設定した目標（goals）の達成状況。未達の目標には具体的な改善策を、連続達成(streakWeeks)には称賛を。
+- 温かみがあり、かつ気づきを与えるトーンで記述してください。
+{{#coaching}}
+- 前回のアドバイスへの取り組み（coaching）。提案どおりに変化したカテゴリー（followed: true）は「前回の提案どおり【カテゴリー】が増えました」のように具体的に触れてください。
+{{/coaching}}
+
+データ: {{data}}
+{{#coaching}}
+前回のアドバイスと、その後の実績（history はそれ以前の提案回数と実行回数）: {{coaching}}
+{{/coaching}}`
+        },
+        action_extraction: {
+            maxChars: null,
+            template: `次のライフログコーチのアドバイスから、ユーザーへの具体的な行動提案を抽出してください。
+提案ごとに、対象のカテゴリー（次の一覧から選択。該当が無ければ空文字）、時間を増やす(increase)・減らす(decrease)・維持する(keep)のいずれか、提案内容の要約（30文字以内）を返してください。
+
+カテゴリー一覧: {{categories}}
+
+アドバイス:
+{{insight}}`
+        }
+    };
+}
+
+/** AIの応答をキャッシュする時間（秒）。CacheService の上限は6時間です */
+const AI_CACHE_TTL_SECONDS = 21600;
+
+/** 実行中に一度だけシートを読み込むためのキャッシュ */
+let promptTemplatesCache = null;
+
+/**
+ * AIの接続設定を設定（settings.js）から取得します。旧名の GEMINI_API_KEY は AI_API_KEY として引き継ぎます。
+ * @return {Object} { provider, model, apiKey, baseUrl }
+ */
+function getAiSettings() {
+    const provider = getSetting('AI_PROVIDER') === 'openai' ? 'openai' : 'gemini';
+    return {
+        provider: provider,
+        model: getSetting('AI_MODEL') || (provider === 'gemini' ? CONFIG.GEMINI_MODEL : 'gpt-4o-mini'),
+        apiKey: getSetting('AI_API_KEY'),
+        baseUrl: (getSetting('AI_BASE_URL') || 'https://api.openai.com/v1').replace(/\/+$/, '')
+    };
+}
+
+/**
+ * AIを呼び出せる設定になっているかを判定します（Gemini はAPIキーが必須）。
+ * @return {boolean} 呼び出せる場合はtrue
+ */
+function isAiConfigured() {
+    const settings = getAiSettings();
+    return settings.provider !== 'gemini' || !!settings.apiKey;
+}
+
+/**
+ * AIの寸評を生成します。APIキーが無い場合や失敗した場合は、代わりの文言を返します。
+ * @param {string} promptKey プロンプトテンプレートのキー（最大文字数の取得に使用）
+ * @param {string} prompt renderPromptTemplate で組み立てたプロンプト
+ * @param {string} fallbackText 失敗した場合に返す文言
+ * @return {string} AIの寸評
+ */
+function generateInsight(promptKey, prompt, fallbackText) {
+    if (!isAiConfigured()) {
+        return "※AI寸評は、AIのAPIキー（メニューの「設定」）が設定されていないためスキップされました。";
+    }
+
+    try {
+        return generateAiText(prompt, { maxChars: getPromptTemplate(promptKey).maxChars });
+    } catch (e) {
+        console.error(`AI呼び出しエラー: ${e.message}`);
+        return fallbackText;
+    }
+}
+
+/**
+ * AIにプロンプトを送信し、応答を返します。
+ * 同じプロンプト（＝同じ入力データ）への応答はキャッシュし、再実行時にAPIを呼び出しません。
+ * @param {string} prompt プロンプト
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] 応答の最大文字数（超えた場合は文の区切りで切り詰めます）
+ * @param {Object} [options.schema] JSON Schema。指定すると構造化出力（JSON）で応答させ、解析したオブジェクトを返します
+ * @return {string|Object} 応答のテキスト（schema 指定時はオブジェクト）
+ * @throws {Error} 応答を取得できなかった場合
+ */
+function generateAiText(prompt, options) {
+    const opts = options || {};
+    const settings = getAiSettings();
+
+    const cache = CacheService.getScriptCache();
+    const cacheKey = createAiCacheKey(settings, prompt, opts.schema);
+    const cached = cache.get(cacheKey);
+    if (cached !== null) return parseAiResponse(cached, opts);
+
+    const text = settings.provider === 'openai'
+        ? requestOpenAiCompatible(settings, prompt, opts.schema)
+        : requestGemini(settings, prompt, opts.schema);
+    if (!text) throw new Error('AIの応答が空でした。');
+
+    // JSONとして解析できない応答をキャッシュしないよう、解析できてからキャッシュします
+    const result = parseAiResponse(text, opts);
+    // CacheService の値の上限（100KB）を超えるものはキャッシュしません
+    if (text.length < 90000) cache.put(cacheKey, text, AI_CACHE_TTL_SECONDS);
+    return result;
+}
+
+/**
+ * AIの応答のテキストを、generateAiText の戻り値の形にします。
+ * @param {string} text 応答のテキスト
+ * @param {Object} opts generateAiText の options
+ * @return {string|Object} 応答のテキスト（schema 指定時は解析したオブジェクト）
+ * @throws {Error} schema 指定時に、応答がJSONとして解析できない場合
+ */
+function parseAiResponse(text, opts) {
+    if (opts.schema) return JSON.parse(text);
+    return opts.maxChars ? enforceMaxChars(text, opts.maxChars) : text;
+}
+
+/**
+ * Gemini API（generateContent）を呼び出します。
+ */
+function requestGemini(settings, prompt, schema) {
+    const url = `https://generativelanguage.googleapis.com/v1/models/${settings.model}:generateContent`;
+    const payload = { contents: [{ parts: [{ text: prompt }] }] };
+    if (schema) {
+        payload.generationConfig = { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) };
+    }
+
+    const response = fetchWithRetry('Gemini', url, {
+        method: 'post',
+        contentType: 'application/json',
+        headers: { 'x-goog-api-key': settings.apiKey },
+        payload: JSON.stringify(payload)
+    });
+    const json = JSON.parse(response.getContentText());
+    const parts = json.candidates && json.candidates[0].content && json.candidates[0].content.parts;
+    return parts ? parts.map(part => part.text || '').join('').trim() : '';
+}
+
+/**
+ * JSON Schema を Gemini の responseSchema の形式（type が大文字）に変換します。
+ */
+function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    Object.keys(schema).forEach(key => {
+        converted[key] = key === 'type' && typeof schema[key] === 'string'
+            ? schema[key].toUpperCase()
+            : toGeminiSchema(schema[key]);
+    });
+    return converted;
+}
+
+/**
+ * OpenAI互換API（/chat/completions）を呼び出します。
+ */
+function requestOpenAiCompatible(settings, prompt, schema) {
+    const payload = { model: settings.model, messages: [{ role: 'user', content: prompt }] };
+    if (schema) {
+        payload.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: schema } };
+    }
+
+    const params = {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify(payload)
+    };
+    if (settings.apiKey) params.headers = { Authorization: 'Bearer ' + settings.apiKey };
+
+    const response = fetchWithRetry('OpenAI互換API', `${settings.baseUrl}/chat/completions`, params);
+    const json = JSON.parse(response.getContentText());
+    const message = json.choices && json.choices[0].message;
+    return message && message.content ? message.content.trim() : '';
+}
+
+/**
+ * キャッシュのキーを生成します（接続先・モデル・プロンプト・スキーマのハッシュ）。
+ */
+function createAiCacheKey(settings, prompt, schema) {
+    const source = [settings.provider, settings.baseUrl, settings.model, prompt, schema ? JSON.stringify(schema) : ''].join('\n');
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, source, Utilities.Charset.UTF_8);
+    return 'ai_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * 応答が最大文字数を超える場合に、上限内の最後の文の区切り（。！？改行）で切り詰めます。
+ * 区切りが見つからない場合は上限の位置で切り、「…」を付けます。
+ * @param {string} text 応答のテキスト
+ * @param {number} maxChars 最大文字数
+ * @return {string} 上限内に収めたテキスト
+ */
+function enforceMaxChars(text, maxChars) {
+    if (text.length <= maxChars) return text;
+
+    const head = text.slice(0, maxChars);
+    const lastBreak = Math.max(head.lastIndexOf('。'), head.lastIndexOf('！'), head.lastIndexOf('？'), head.lastIndexOf('\n'));
+    if (lastBreak >= maxChars / 2) return head.slice(0, lastBreak + 1).trim();
+    return head.slice(0, maxChars - 1) + '…';
+}
+
+/**
+ * プロンプトテンプレートを取得します。Promptsシートにあればその内容、無ければ既定のテンプレートを使用します。
+ * @param {string} key テンプレートのキー
+ * @return {Object} { template, maxChars }
+ */
+function getPromptTemplate(key) {
+    if (!promptTemplatesCache) {
+        promptTemplatesCache = {};
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.PROMPT_SHEET_NAME);
+        if (sheet) {
+            sheet.getDataRange().getValues().slice(1).forEach(row => {
+                const name = String(row[0]).trim();
+                const template = String(row[1]);
+                if (!name || !template.trim()) return;
+                promptTemplatesCache[name] = { template: template, maxChars: Number(row[2]) > 0 ? Number(row[2]) : null };
+            });
+        }
+    }
+
+    const fallback = getDefaultPromptTemplates()[key];
+    const custom = promptTemplatesCache[key];
+    if (!custom && !fallback) throw new Error(`プロンプトテンプレートが見つかりません: ${key}`);
+    return {
+        template: custom ? custom.template : fallback.template,
+        maxChars: (custom && custom.maxChars) || (fallback && fallback.maxChars) || null
+    };
+}
+
+/**
+ * プロンプトテンプレートに値を埋め込みます。
+ * オブジェクトや配列の値は JSON にして埋め込みます。{{maxChars}} にはテンプレートの最大文字数が入ります。
+ * @param {string} key テンプレートのキー
+ * @param {Object} vars 埋め込む値
+ * @return {string} プロンプト
+ */
+function renderPromptTemplate(key, vars) {
+    const template = getPromptTemplate(key);
+    const values = Object.assign({ maxChars: template.maxChars || '' }, vars);
+    const hasValue = value => Array.isArray(value) ? value.length > 0 : !!value;
+
+    return template.template
+        .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, body) => hasValue(values[name]) ? body : '')
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            const value = values[name];
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+}
+
+/**
+ * 【メニュー】Promptsシートを作成し、まだ登録されていない既定のテンプレートを書き出します。
+ */
+function initPromptSheet() {
+    assertSpreadsheetUser_();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.PROMPT_SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(CONFIG.PROMPT_SHEET_NAME);
+        sheet.getRange(1, 1, 1, 3).setValues([['キー', 'テンプレート', '最大文字数']]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+    }
+
+    const defaults = getDefaultPromptTemplates();
+    const existing = new Set(sheet.getDataRange().getValues().slice(1).map(row => String(row[0]).trim()));
+    const newRows = Object.keys(defaults)
+        .filter(key => !existing.has(key))
+        .map(key => [key, defaults[key].template, defaults[key].maxChars]);
+
+    if (newRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+    }
+    promptTemplatesCache = null;
+
+    ss.toast(`${newRows.length}件のテンプレートを登録しました。B列を編集するとAIへの指示を変更できます。`, 'プロンプト', 5);
+}
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview カレンダー期間取り込み（バックフィル）プログラム
+ * ダイアログで指定した期間の各日について、addCalendarDayEvents と同じ突き合わせロジックで
+ * DBシートへ取り込みます。長い期間は実行時間の上限に達する前に処理を区切り、
+ * 進捗をスクリプトプロパティに保存して続きから再開できるようにします。
+ */
+
+// --- 設定定数 ---
+const BACKFILL_CONFIG = {
+    PROPERTY_KEY: 'BACKFILL_JOB', // 進捗を保存するスクリプトプロパティのキー
+    TIME_LIMIT_MS: 4.5 * 60 * 1000, // 1回の実行で処理に使う時間（GASの上限6分に対して余裕を持たせる）
+    MAX_DAYS: 3660 // 一度に指定できる最大日数（入力ミスによる巨大な範囲を防止）
+};
+
+/**
+ * 【メニュー】期間指定の取り込みダイアログを表示します。
+ */
+function showBackfillDialog() {
+    assertSpreadsheetUser_();
+    const html = HtmlService.createHtmlOutputFromFile('backfillDialog')
+        .setWidth(420)
+        .setHeight(520);
+    SpreadsheetApp.getUi().showModalDialog(html, '期間指定でカレンダーを取り込み');
+}
+
+/**
+ * 取り込みジョブを新規に登録します。ダイアログから呼び出されます。
+ * @param {Object} params 期間の指定
+ *   { mode: 'range', startDate: 'yyyy-MM-dd', endDate: 'yyyy-MM-dd' }
+ *   { mode: 'lastDays', days: number } 昨日までの直近N日
+ *   { mode: 'thisMonth' } 今月1日から昨日まで
+ * @return {Object} ジョブの進捗状況
+ */
+function startBackfill(params) {
+    assertSpreadsheetUser_();
+    const range = resolveBackfillRange_(params, new Date());
+    const days = Math.round((range.end - range.start) / 86400000) + 1;
+    if (days > BACKFILL_CONFIG.MAX_DAYS) {
+        throw new Error(`期間が長すぎます（最大 ${BACKFILL_CONFIG.MAX_DAYS} 日）。`);
+    }
+
+    const job = {
+        start: range.start.getTime(),
+        end: range.end.getTime(),
+        next: range.start.getTime(),
+        totals: { added: 0, updated: 0, deleted: 0 }
+    };
+    saveBackfillJob_(job);
+    return toBackfillStatus_(job, []);
+}
+
+/**
+ * 登録済みのジョブを時間の許す限り1日ずつ処理します。
+ * ダイアログは完了するまでこの関数を繰り返し呼び出します。
+ * 途中で中断された場合も、次回の呼び出しで保存済みの位置から再開します。
+ * @return {Object} ジョブの進捗状況と今回処理した日ごとの結果
+ */
+function runBackfillChunk() {
+    assertSpreadsheetUser_();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10 * 1000)) throw new Error('別の取り込み処理が実行中です。しばらく待ってから再度お試しください。');
+
+    try {
+        const job = loadBackfillJob_();
+        if (!job) throw new Error('実行中の取り込みジョブがありません。');
+
+        const startedAt = Date.now();
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+        const processed = [];
+
+        while (job.next <= job.end && Date.now() - startedAt < BACKFILL_CONFIG.TIME_LIMIT_MS) {
+            const day = new Date(job.next);
+            const result = syncCalendarDay(sheet, day);
+
+            processed.push({
+                date: formatDate(day),
+                added: result.added,
+                updated: result.updated,
+                deleted: result.deleted
+            });
+            job.totals.added += result.added;
+            job.totals.updated += result.updated;
+            job.totals.deleted += result.deleted;
+
+            // 1日ごとに進捗を保存し、途中で止まっても次の日から再開できるようにします
+            job.next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+            saveBackfillJob_(job);
+        }
+
+        const status = toBackfillStatus_(job, processed);
+        if (status.done) {
+            PropertiesService.getScriptProperties().deleteProperty(BACKFILL_CONFIG.PROPERTY_KEY);
+            console.log(`期間取り込み完了: ${status.rangeLabel} ${formatSyncResult(job.totals)}`);
+        }
+        return status;
+
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * 未完了のジョブの進捗を返します。ダイアログを開いた際の再開確認に使用します。
+ * @return {Object|null} ジョブの進捗状況（ジョブが無ければnull）
+ */
+function getBackfillStatus() {
+    assertSpreadsheetUser_();
+    const job = loadBackfillJob_();
+    return job ? toBackfillStatus_(job, []) : null;
+}
+
+/**
+ * 未完了のジョブを破棄します。ダイアログの「取り込みを中止」から呼び出されます。
+ * 取り込み済みの日の行はDBシートに残ります。
+ */
+function cancelBackfill() {
+    assertSpreadsheetUser_();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10 * 1000)) throw new Error('別の取り込み処理が実行中です。しばらく待ってから再度お試しください。');
+
+    try {
+        PropertiesService.getScriptProperties().deleteProperty(BACKFILL_CONFIG.PROPERTY_KEY);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * ダイアログの入力値から取り込み対象の開始日・終了日を求めます。
+ * @param {Object} params startBackfill の引数
+ * @param {Date} today 基準日（通常は今日）
+ * @return {{start: Date, end: Date}} 開始日と終了日（いずれも0時0分）
+ */
+function resolveBackfillRange_(params, today) {
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    let start;
+    let end;
+
+    switch (params && params.mode) {
+        case 'range':
+            start = parseDateInput(params.startDate);
+            end = parseDateInput(params.endDate);
+            break;
+        case 'lastDays': {
+            const days = parseInt(params.days, 10);
+            if (!(days > 0)) throw new Error('日数には1以上の数値を入力してください。');
+            end = yesterday;
+            start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - days + 1);
+            break;
+        }
+        case 'thisMonth':
+            // 月初の実行時は、前日が属する月（先月）を対象にします
+            end = yesterday;
+            start = new Date(end.getFullYear(), end.getMonth(), 1);
+            break;
+        default:
+            throw new Error('期間の指定方法が不正です。');
+    }
+
+    if (start > end) throw new Error('開始日が終了日より後になっています。');
+    return { start, end };
+}
+
+/**
+ * 'yyyy-MM-dd' 形式の文字列をスクリプトのタイムゾーンの0時0分のDateに変換します。
+ * @param {string} value 日付文字列（input[type=date]の値）
+ * @return {Date} 日付
+ */
+function parseDateInput(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) throw new Error(`日付の形式が不正です: ${value}`);
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * ジョブの内部状態を、ダイアログへ返す進捗情報に変換します。
+ */
+function toBackfillStatus_(job, processed) {
+    const totalDays = Math.round((job.end - job.start) / 86400000) + 1;
+    const doneDays = Math.min(totalDays, Math.round((job.next - job.start) / 86400000));
+    return {
+        rangeLabel: `${formatDate(new Date(job.start))} ～ ${formatDate(new Date(job.end))}`,
+        totalDays: totalDays,
+        doneDays: doneDays,
+        done: job.next > job.end,
+        totals: job.totals,
+        processed: processed
+    };
+}
+
+/**
+ * 保存済みのジョブを読み込みます。
+ */
+function loadBackfillJob_() {
+    const json = PropertiesService.getScriptProperties().getProperty(BACKFILL_CONFIG.PROPERTY_KEY);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * ジョブの状態を保存します。
+ */
+function saveBackfillJob_(job) {
+    PropertiesService.getScriptProperties().setProperty(BACKFILL_CONFIG.PROPERTY_KEY, JSON.stringify(job));
+}
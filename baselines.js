@@ -0,0 +1,236 @@
+/**
+ * @fileoverview 長期の傾向と「いつもと違う」の検出
+ * カテゴリーごとに直近4週間・12週間の基準値（平均とばらつき）を求め、日次・週次レポートで次の項目を検出します。
+ * - anomalies: 直近4週間の平均から大きく外れた日・週（日次は同じ曜日の平均からも外れている場合のみ）
+ * - trends: 直近4週間の平均が12週間の平均から大きく変化しているカテゴリー
+ * - newCategories: 12週間で一度も記録が無かったカテゴリー
+ * - disappearedCategories: 直近4週間でほぼ毎回（DISAPPEAR_MIN_PRESENCE 以上）記録があったのに、今回は無いカテゴリー
+ * 平均は記録のある日（週）だけで計算するため、記録を付けていない日が平均を押し下げることはありません。
+ * 過去の日・週の集計は、集計シート（Daily・Weekly。rollups.js）にあればそこから読み込みます。
+ *
+ * スクリプトプロパティ:
+ * - ANOMALY_THRESHOLD_SIGMA: 平均から標準偏差の何倍離れたら「いつもと違う」とするか（既定: 2）
+ */
+
+/** 基準値と検出の設定 */
+const BASELINE_CONFIG = {
+    SHORT_WEEKS: 4,
+    LONG_WEEKS: 12,
+    DEFAULT_THRESHOLD_SIGMA: 2,
+    // 標準偏差が小さい場合でも、この時間未満の差は検出しません
+    MIN_DIFF_HOURS: { day: 0.5, week: 2 },
+    // 直近4週間の平均が12週間の平均からこの割合以上変化したら傾向として報告します
+    TREND_MIN_RATIO: 0.3,
+    // 基準値を計算するのに必要な、記録のある日（週）の数
+    MIN_PERIODS: { day: 7, week: 3 },
+    DISAPPEAR_MIN_PRESENCE: 0.75
+};
+
+/**
+ * 昨日の実績を、直近4週間・12週間と同じ曜日の基準値と比較します。
+ * @param {Array<Array>} allRows DBシートの行データ（readDbRows の結果。基準期間を含むもの）
+ * @param {Date} day 対象日（昨日）
+ * @param {Object} stats 対象日のカテゴリー別集計（aggregateStats の結果）
+ * @return {Object} analyzeTrend の結果（sameWeekday を含みます）
+ */
+function analyzeDailyTrend(allRows, day, stats) {
+    const periods = [];
+    for (let i = 1; i <= BASELINE_CONFIG.LONG_WEEKS * 7; i++) {
+        const date = addDays(day, -i);
+        periods.push({ start: date, end: date, short: i <= BASELINE_CONFIG.SHORT_WEEKS * 7, sameWeekday: i % 7 === 0 });
+    }
+    return analyzeTrend('day', stats, withPeriodStats('daily', allRows, periods));
+}
+
+/**
+ * 週の実績を、直前の4週間・12週間の基準値と比較します。
+ * @param {Array<Array>} allRows DBシートの行データ（readDbRows の結果。基準期間を含むもの）
+ * @param {Date} weekStart 対象の週の開始日（日曜日）
+ * @param {Object} stats 対象の週のカテゴリー別集計（aggregateStats の結果）
+ * @return {Object} analyzeTrend の結果
+ */
+function analyzeWeeklyTrend(allRows, weekStart, stats) {
+    const periods = [];
+    for (let i = 1; i <= BASELINE_CONFIG.LONG_WEEKS; i++) {
+        periods.push({ start: addDays(weekStart, -7 * i), end: addDays(weekStart, -7 * i + 6), short: i <= BASELINE_CONFIG.SHORT_WEEKS });
+    }
+    return analyzeTrend('week', stats, withPeriodStats('weekly', allRows, periods));
+}
+
+/**
+ * 基準期間の区切りごとに、カテゴリー別の時間（hours）を付け加えます。
+ * @param {string} type 集計シートの種類（daily / weekly）
+ * @param {Array<Array>} allRows DBシートの行データ（readDbRows の結果。基準期間を含むもの）
+ * @param {Array<Object>} periods 基準期間の区切り [{ start, end, ... }]
+ * @return {Array<Object>} [{ start, end, ..., hours: { カテゴリー名: 時間 } }]
+ */
+function withPeriodStats(type, allRows, periods) {
+    const statsList = getPeriodStatsList(type, allRows, periods);
+    return periods.map((period, i) => {
+        const hours = {};
+        Object.keys(statsList[i]).forEach(category => hours[category] = statsList[i][category].hours);
+        return Object.assign({ hours: hours }, period);
+    });
+}
+
+/**
+ * 基準値を計算し、今回の実績との差を検出します。
+ * @param {string} unit 比較の単位（day / week）
+ * @param {Object} stats 今回のカテゴリー別集計
+ * @param {Array<Object>} series 基準期間の区切りごとの集計 [{ hours, short, sameWeekday }]（withPeriodStats の結果）
+ * @return {Object} { unit, short, long, sameWeekday, anomalies, trends, newCategories, disappearedCategories }
+ *   short / long / sameWeekday は summarizeBaseline の結果
+ */
+function analyzeTrend(unit, stats, series) {
+    const short = summarizeBaseline(series.filter(period => period.short));
+    const long = summarizeBaseline(series);
+    const sameWeekday = unit === 'day' ? summarizeBaseline(series.filter(period => period.sameWeekday)) : null;
+
+    const sigma = getSetting('ANOMALY_THRESHOLD_SIGMA') || BASELINE_CONFIG.DEFAULT_THRESHOLD_SIGMA;
+    const minDiff = BASELINE_CONFIG.MIN_DIFF_HOURS[unit];
+    const current = category => stats[category] ? stats[category].hours : 0;
+    const baselineOf = (summary, category) => summary.categories[category] || { mean: 0, std: 0, presence: 0 };
+    const isOutside = (value, base) => Math.abs(value - base.mean) >= Math.max(sigma * base.std, minDiff);
+
+    const result = { unit, short, long, sameWeekday, anomalies: [], trends: [], newCategories: [], disappearedCategories: [] };
+    const categories = sortCategories(Array.from(new Set([...Object.keys(stats), ...Object.keys(long.categories)])));
+
+    categories.forEach(category => {
+        const value = current(category);
+        const shortBase = baselineOf(short, category);
+        const longBase = baselineOf(long, category);
+
+        // 新しく現れた・記録が途絶えたカテゴリーは、平均からの外れとしては重ねて報告しません
+        if (value > 0 && long.periods > 0 && !long.categories[category]) {
+            result.newCategories.push(category);
+        } else if (value === 0 && short.periods >= BASELINE_CONFIG.MIN_PERIODS[unit] && shortBase.presence >= BASELINE_CONFIG.DISAPPEAR_MIN_PRESENCE) {
+            result.disappearedCategories.push({ category: category, presence: shortBase.presence });
+        } else if (short.periods >= BASELINE_CONFIG.MIN_PERIODS[unit] && isOutside(value, shortBase)) {
+            // 日次は、同じ曜日としては普段どおりの場合（日曜は仕事が無い等）を除外します
+            const weekdayBase = sameWeekday && sameWeekday.periods >= 2 ? baselineOf(sameWeekday, category) : null;
+            if (!weekdayBase || isOutside(value, weekdayBase)) {
+                result.anomalies.push({
+                    category: category,
+                    direction: value > shortBase.mean ? 'high' : 'low',
+                    current: value,
+                    baseline: shortBase.mean,
+                    sameWeekday: weekdayBase ? weekdayBase.mean : null
+                });
+            }
+        }
+
+        const shift = shortBase.mean - longBase.mean;
+        if (long.periods >= short.periods + BASELINE_CONFIG.MIN_PERIODS[unit] &&
+            Math.abs(shift) >= Math.max(longBase.mean * BASELINE_CONFIG.TREND_MIN_RATIO, minDiff)) {
+            result.trends.push({ category: category, direction: shift > 0 ? 'up' : 'down', shortAverage: shortBase.mean, longAverage: longBase.mean });
+        }
+    });
+    return result;
+}
+
+/**
+ * 記録のある区切り（日・週）だけを対象に、カテゴリーごとの平均・標準偏差・記録のあった割合を求めます。
+ * その区切りに記録の無いカテゴリーは0時間として計算します。
+ * @param {Array<Object>} series 区切りごとのカテゴリー別時間 [{ hours }]
+ * @return {Object} { periods, categories: { カテゴリー名: { mean, std, presence } } }
+ */
+function summarizeBaseline(series) {
+    const active = series.filter(period => Object.keys(period.hours).length > 0);
+    const categories = {};
+    const names = new Set();
+    active.forEach(period => Object.keys(period.hours).forEach(name => names.add(name)));
+
+    names.forEach(name => {
+        const values = active.map(period => period.hours[name] || 0);
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+        categories[name] = {
+            mean: mean,
+            std: Math.sqrt(variance),
+            presence: values.filter(v => v > 0).length / values.length
+        };
+    });
+    return { periods: active.length, categories: categories };
+}
+
+/**
+ * 直近4週間の平均（記録のある日・週の平均）をカテゴリーごとに返します。
+ * @param {Object} trend analyzeTrend の結果
+ * @return {Object} カテゴリー名をキーとした平均時間
+ */
+function getShortBaselineAverages(trend) {
+    const averages = {};
+    Object.keys(trend.short.categories).forEach(name => averages[name] = trend.short.categories[name].mean);
+    return averages;
+}
+
+/**
+ * 検出結果をLINE・メールのテキストに表示する行に変換します。
+ * @param {Object} trend analyzeTrend の結果
+ * @return {Array<string>} 表示する行（検出されたものが無い場合は空の配列）
+ */
+function buildTrendFlagLines(trend) {
+    const unitLabel = trend.unit === 'day' ? '日' : '週';
+    const lines = [];
+    trend.anomalies.forEach(item => {
+        const weekday = item.sameWeekday !== null ? `／同じ曜日 ${item.sameWeekday.toFixed(1)}h` : '';
+        lines.push(`${item.direction === 'high' ? '📈' : '📉'}${getCategoryLabel(item.category)} ${item.current.toFixed(1)}h（${BASELINE_CONFIG.SHORT_WEEKS}週平均 ${item.baseline.toFixed(1)}h${weekday}）`);
+    });
+    trend.trends.forEach(item => {
+        lines.push(`${item.direction === 'up' ? '↗️' : '↘️'}${getCategoryLabel(item.category)} 1${unitLabel}平均 ${item.longAverage.toFixed(1)}h → ${item.shortAverage.toFixed(1)}h（${BASELINE_CONFIG.LONG_WEEKS}週 → 直近${BASELINE_CONFIG.SHORT_WEEKS}週）`);
+    });
+    trend.newCategories.forEach(category => {
+        lines.push(`🆕${getCategoryLabel(category)} ${BASELINE_CONFIG.LONG_WEEKS}週間で初めての記録`);
+    });
+    trend.disappearedCategories.forEach(item => {
+        lines.push(`💤${getCategoryLabel(item.category)} 記録なし（直近${BASELINE_CONFIG.SHORT_WEEKS}週は${Math.round(item.presence * 100)}%の${unitLabel}に記録）`);
+    });
+    return lines;
+}
+
+/**
+ * 週次メール用に、検出結果の一覧を組み立てます。
+ * @param {Array<string>} lines buildTrendFlagLines の結果
+ * @return {string} HTML
+ */
+function buildTrendHtml(lines) {
+    const items = lines.map(line => `<li style="margin: 4px 0;">${line}</li>`).join('');
+    return `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #EA4335; font-size: 1em;">● いつもと違う点（直近${BASELINE_CONFIG.SHORT_WEEKS}週・${BASELINE_CONFIG.LONG_WEEKS}週の平均との比較）</h3>
+      <ul style="margin: 10px 0 35px 0; padding-left: 20px;">${items}</ul>`;
+}
+
+/**
+ * 検出結果をAIへのデータ用に要約します（時間は小数第1位に丸めます）。
+ * @param {Object} trend analyzeTrend の結果
+ * @return {Object|null} { anomalies, trends, newCategories, disappearedCategories }（検出されたものが無い場合はnull）
+ */
+function summarizeTrendForPrompt(trend) {
+    if (trend.anomalies.length + trend.trends.length + trend.newCategories.length + trend.disappearedCategories.length === 0) {
+        return null;
+    }
+    const round = hours => hours === null ? null : Number(hours.toFixed(1));
+    return {
+        anomalies: trend.anomalies.map(item => ({
+            category: item.category,
+            direction: item.direction,
+            current: round(item.current),
+            shortAverage: round(item.baseline),
+            sameWeekdayAverage: round(item.sameWeekday)
+        })),
+        trends: trend.trends.map(item => ({
+            category: item.category,
+            direction: item.direction,
+            shortAverage: round(item.shortAverage),
+            longAverage: round(item.longAverage)
+        })),
+        newCategories: trend.newCategories,
+        disappearedCategories: trend.disappearedCategories.map(item => item.category)
+    };
+}
+
+/**
+ * 日付に日数を加えた日付（0時）を返します。
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview カテゴリー別の目標・上限（予算）
+ * 「Goals」シートに定義した目標をもとに、達成状況・残り時間・連続達成週数を算出し、
+ * 週次メール・日次LINE・AIプロンプトで共通して使用します。
+ *
+ * シートの列構成（1行目はヘッダー）:
+ *   A:カテゴリー | B:期間 | C:種別 | D:時間(h)
+ * - 期間: daily（1日あたり）/ weekly（1週間あたり）
+ * - 種別: min（最低でもこの時間は行う）/ max（この時間を超えない）
+ * 例: 読書 | weekly | min | 5  →「週に5時間以上の読書」
+ *     SNS  | daily  | max | 1  →「SNSは1日1時間まで」
+ */
+
+/** 実行中に一度だけシートを読み込むためのキャッシュ */
+let categoryGoalsCache = null;
+
+/** 連続達成週数を数えるときに遡る最大週数 */
+const GOAL_STREAK_MAX_WEEKS = 52;
+
+/**
+ * Goalsシートから目標の一覧を読み込みます。シートが無い場合は空配列を返します。
+ * @return {Array<Object>} { category, period, type, hours } の配列
+ */
+function getCategoryGoals() {
+    if (categoryGoalsCache) return categoryGoalsCache;
+
+    const goals = [];
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.GOAL_SHEET_NAME);
+    if (sheet) {
+        const rows = sheet.getDataRange().getValues();
+        for (let i = 1; i < rows.length; i++) {
+            const row = rows[i];
+            const category = String(row[0]).trim();
+            const period = String(row[1]).trim().toLowerCase();
+            const type = String(row[2]).trim().toLowerCase();
+            const hours = Number(row[3]);
+            if (!category) continue;
+
+            if (!['daily', 'weekly'].includes(period) || !['min', 'max'].includes(type) || !(hours > 0)) {
+                console.warn(`Goalsシート ${i + 1}行目の設定が不正なためスキップします。`);
+                continue;
+            }
+            goals.push({ category: resolveCategory(category), period, type, hours });
+        }
+    }
+
+    categoryGoalsCache = goals;
+    return goals;
+}
+
+/**
+ * 集計期間の実績を目標と比較します。
+ * 目標時間は期間の日数に合わせて換算します（daily は × 日数、weekly は × 日数/7）。
+ * @param {Object} stats aggregateStats / aggregateDailyEvents の集計結果
+ * @param {number} days 集計期間の日数
+ * @param {string} [period] 指定した場合はその期間の目標のみを評価します
+ * @return {Array<Object>} 目標ごとの評価結果
+ */
+function evaluateGoals(stats, days, period) {
+    return getCategoryGoals()
+        .filter(goal => !period || goal.period === period)
+        .map(goal => {
+            const target = goal.period === 'daily' ? goal.hours * days : goal.hours * days / 7;
+            const actual = getCategoryHoursWithChildren(stats, goal.category);
+            return {
+                key: createGoalKey(goal),
+                category: goal.category,
+                period: goal.period,
+                type: goal.type,
+                target: target,
+                actual: actual,
+                progress: target > 0 ? actual / target : 0,
+                met: goal.type === 'min' ? actual >= target : actual <= target,
+                // min: あと何時間で達成か / max: あと何時間使えるか（マイナスは超過）
+                remaining: target - actual
+            };
+        });
+}
+
+/**
+ * カテゴリーの時間を、マスタで子カテゴリーとして登録されたものも含めて合計します。
+ * @param {Object} stats 集計結果
+ * @param {string} category カテゴリー名
+ * @return {number} 合計時間
+ */
+function getCategoryHoursWithChildren(stats, category) {
+    return Object.keys(stats)
+        .filter(cat => cat === category || getCategoryParent(cat) === category)
+        .reduce((sum, cat) => sum + stats[cat].hours, 0);
+}
+
+/**
+ * 目標ごとに、基準週から遡って連続で達成した週数を算出します。
+ * 記録が1件も無い週に到達した時点で打ち切ります。
+ * @param {Array<Array>} allRows DBシートの行データ（readDbRows の結果。遡る週を含むもの）
+ * @param {Date} weekStart 基準週の開始日（この週を含めて数えます）
+ * @param {number} [maxWeeks] 遡る最大週数
+ * @return {Object} 目標のキーをキーとした連続達成週数
+ */
+function calculateGoalStreaks(allRows, weekStart, maxWeeks) {
+    const streaks = {};
+    const active = new Set();
+    getCategoryGoals().forEach(goal => {
+        streaks[createGoalKey(goal)] = 0;
+        active.add(createGoalKey(goal));
+    });
+
+    for (let w = 0; w < (maxWeeks || GOAL_STREAK_MAX_WEEKS) && active.size > 0; w++) {
+        const start = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() - 7 * w);
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6, 23, 59, 59, 999);
+        const events = filterEventsByRange(allRows, start, end);
+        if (events.length === 0) break;
+
+        evaluateGoals(aggregateStats(events), 7).forEach(result => {
+            if (!active.has(result.key)) return;
+            if (result.met) streaks[result.key]++;
+            else active.delete(result.key);
+        });
+    }
+    return streaks;
+}
+
+/**
+ * 目標を識別するキーを生成します。
+ */
+function createGoalKey(goal) {
+    return `${goal.category}_${goal.period}_${goal.type}`;
+}
+
+/**
+ * 目標の内容を「週5h以上」のような短い文字列にします。
+ */
+function formatGoalTarget(result) {
+    const periodLabel = result.period === 'daily' ? '1日' : '週';
+    const goal = getCategoryGoals().find(g => createGoalKey(g) === result.key);
+    return `${periodLabel}${goal ? goal.hours : result.target.toFixed(1)}h${result.type === 'min' ? '以上' : 'まで'}`;
+}
+
+/**
+ * 日次LINE用の「目標・残り予算」の行を生成します。
+ * daily の目標は昨日の実績、weekly の目標は今週（日曜～昨日）の累計で評価します。
+ * @param {Array<Object>} dailyResults 昨日の実績で評価した daily の目標
+ * @param {Array<Object>} weeklyResults 今週の累計で評価した weekly の目標
+ * @return {Array<string>} メッセージの行
+ */
+function buildGoalBudgetLines(dailyResults, weeklyResults) {
+    const lines = [];
+    dailyResults.concat(weeklyResults).forEach(result => {
+        const mark = result.met ? '✅' : (result.type === 'max' ? '⚠️' : '⬜');
+        const scope = result.period === 'daily' ? '昨日' : '今週';
+        lines.push(`${mark}${result.category} ${scope}${result.actual.toFixed(1)}h / ${formatGoalTarget(result)}（${formatGoalStatus(result)}）`);
+    });
+    return lines;
+}
+
+/**
+ * 目標の状況を「達成」「あと1.5h」「残り0.5h」「0.5h超過」のような短い文字列にします。
+ */
+function formatGoalStatus(result) {
+    if (result.type === 'min') {
+        return result.met ? '達成' : `あと${result.remaining.toFixed(1)}h`;
+    }
+    return result.met ? `残り${result.remaining.toFixed(1)}h` : `${(-result.remaining).toFixed(1)}h超過`;
+}
+
+/**
+ * 目標の状況を表す色を返します（達成: 緑 / 上限超過: 赤 / 未達: 黄）。
+ */
+function getGoalStatusColor(result) {
+    return result.met ? "#34A853" : (result.type === 'max' ? "#EA4335" : "#FBBC05");
+}
+
+/**
+ * 週次メール用の目標達成状況セクション（プログレスバー付き）のHTMLを生成します。
+ * @param {Array<Object>} goalResults evaluateGoals の結果
+ * @param {Object} streaks calculateGoalStreaks の結果
+ * @return {string} HTML（目標が無い場合は空文字）
+ */
+function buildGoalsHtml(goalResults, streaks) {
+    if (!goalResults || goalResults.length === 0) return "";
+
+    let rows = "";
+    goalResults.forEach(result => {
+        const percent = Math.round(result.progress * 100);
+        const barColor = getGoalStatusColor(result);
+        const streak = streaks && streaks[result.key] > 0 ? ` 🔥${streaks[result.key]}週連続` : "";
+
+        rows += `
+      <tr>
+        <td style="padding: 8px 0; font-weight: bold; width: 30%;">【${result.category}】<br><span style="font-size: 0.8em; color: #888; font-weight: normal;">${formatGoalTarget(result)}</span></td>
+        <td style="padding: 8px;">
+          <div style="background: #eee; border-radius: 6px; height: 12px; width: 100%;">
+            <div style="background: ${barColor}; border-radius: 6px; height: 12px; width: ${Math.min(percent, 100)}%;"></div>
+          </div>
+          <span style="font-size: 0.85em; color: #666;">${result.actual.toFixed(1)}h / ${result.target.toFixed(1)}h (${percent}%)</span>
+        </td>
+        <td style="padding: 8px 0; text-align: right; white-space: nowrap; font-weight: bold; color: ${result.met ? "#1B5E20" : "#EA4335"};">
+          ${result.met ? "達成" : "未達"}${streak}
+        </td>
+      </tr>`;
+    });
+
+    return `
+      <h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #34A853; font-size: 1em;">● 目標の達成状況</h3>
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 35px;">
+        ${rows}
+      </table>`;
+}
+
+/**
+ * AIプロンプトに渡す目標データを簡潔な形に変換します。
+ * @param {Array<Object>} goalResults evaluateGoals の結果
+ * @param {Object} [streaks] calculateGoalStreaks の結果
+ * @return {Array<Object>} プロンプト用の目標データ
+ */
+function summarizeGoalsForPrompt(goalResults, streaks) {
+    return goalResults.map(result => ({
+        category: result.category,
+        goal: formatGoalTarget(result),
+        actualHours: Number(result.actual.toFixed(1)),
+        targetHours: Number(result.target.toFixed(1)),
+        met: result.met,
+        streakWeeks: streaks ? (streaks[result.key] || 0) : undefined
+    }));
+}
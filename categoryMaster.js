@@ -0,0 +1,224 @@
+/**
+ * @fileoverview カテゴリーマスタ
+ * 「Categories」シートに定義したカテゴリーの設定（グループ・別名・色・表示順・親カテゴリー）を読み込み、
+ * 日次・週次レポートやグラフで共通して使用します。
+ *
+ * シートの列構成（1行目はヘッダー）:
+ *   A:カテゴリー | B:グループ | C:別名 | D:色 | E:表示順 | F:親カテゴリー
+ * - グループ: input（インプット）/ output（アウトプット）/ rest（休息）/ work（仕事）/ sleep（睡眠）など。
+ *   インプット・アウトプット比率は input と output のグループで計算します。
+ *   週次レポートの「典型的な1日」は sleep を睡眠、output と work を集中作業として扱います。
+ * - 別名: 表記ゆれや誤字をカンマ区切りで指定すると、このカテゴリーに統合して集計します。
+ * - 色: グラフで使用する色（#RRGGBB）。未指定の場合はカテゴリー名から決まる固定の色を使います。
+ * - 表示順: 小さいほど先に表示します。未指定のカテゴリーは指定済みのものの後に並びます。
+ */
+
+/** 実行中に一度だけシートを読み込むためのキャッシュ */
+let categoryMasterCache = null;
+
+/**
+ * カテゴリーマスタを読み込みます。シートが無い場合は空のマスタを返します。
+ * @return {{entries: Map<string, Object>, aliases: Map<string, string>}} カテゴリー名をキーとした設定と、別名→カテゴリー名の対応表
+ */
+function getCategoryMaster() {
+    if (categoryMasterCache) return categoryMasterCache;
+
+    const master = { entries: new Map(), aliases: new Map() };
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.CATEGORY_SHEET_NAME);
+    if (sheet) {
+        const rows = sheet.getDataRange().getValues();
+        for (let i = 1; i < rows.length; i++) {
+            const row = rows[i];
+            const name = String(row[0]).trim();
+            if (!name) continue;
+
+            const order = Number(row[4]);
+            master.entries.set(name, {
+                name: name,
+                group: String(row[1]).trim().toLowerCase(),
+                color: /^#[0-9a-f]{6}$/i.test(String(row[3]).trim()) ? String(row[3]).trim() : '',
+                order: row[4] !== '' && !isNaN(order) ? order : null,
+                parent: String(row[5]).trim()
+            });
+            String(row[2]).split(/[,、，]/).map(a => a.trim()).filter(Boolean)
+                .forEach(alias => master.aliases.set(alias, name));
+        }
+    }
+
+    categoryMasterCache = master;
+    return master;
+}
+
+/**
+ * タイトルから【 】で囲まれたカテゴリー名を抽出します。
+ * @param {string} title イベントのタイトル
+ * @return {string|null} カテゴリー名（【 】が無ければnull）
+ */
+function extractCategory(title) {
+    const match = String(title).match(/【(.*?)】/);
+    return match ? match[1] : null;
+}
+
+/**
+ * カテゴリー名を、別名を統合した正式なカテゴリー名に変換します。
+ * @param {string} name カテゴリー名（別名・誤字を含む）
+ * @return {string} 正式なカテゴリー名
+ */
+function resolveCategory(name) {
+    const trimmed = String(name).trim();
+    return getCategoryMaster().aliases.get(trimmed) || trimmed;
+}
+
+/**
+ * イベントのカテゴリー（親カテゴリー）を返します。
+ * E列の値（【…】から抽出したもの、またはカレンダーの既定カテゴリー）を優先し、
+ * 空欄の場合はタイトルの【 】から抽出します。別名は正式なカテゴリー名に統合します。
+ * 「仕事/会議」のような階層付きの値（E列が数式だったころの行など）は、親カテゴリーに集約します。
+ * @param {Object} ev filterEventsByRangeで抽出したイベント
+ * @return {string|null} カテゴリー名（判定できない場合はnull）
+ */
+function getEventCategory(ev) {
+    const path = splitCategoryPath(ev.category || extractCategory(ev.title));
+    return path.length > 0 ? resolveCategory(path[0]) : null;
+}
+
+/**
+ * カテゴリーのグループ（input / output / rest / work など）を返します。
+ * マスタに登録されていないカテゴリーは、名前から推定します。
+ * @param {string} category カテゴリー名
+ * @return {string} グループ名（判定できない場合は空文字）
+ */
+function getCategoryGroup(category) {
+    const entry = getCategoryMaster().entries.get(category);
+    return entry ? entry.group : guessCategoryGroup(category);
+}
+
+/**
+ * マスタ未登録のカテゴリーのグループを名前から推定します（マスタ導入前の判定ルール）。
+ * @param {string} category カテゴリー名
+ * @return {string} グループ名
+ */
+function guessCategoryGroup(category) {
+    if (category.includes("インプット")) return 'input';
+    if (category.includes("アウトプット") || category === "中小") return 'output';
+    if (category.includes("睡眠")) return 'sleep';
+    return '';
+}
+
+/**
+ * カテゴリーのグラフ用の色を返します。
+ * マスタに色が無い場合も、並び順に左右されないようカテゴリー名から色を決めます。
+ * @param {string} category カテゴリー名
+ * @return {string} 色（#RRGGBB）
+ */
+function getCategoryColor(category) {
+    const entry = getCategoryMaster().entries.get(category);
+    if (entry && entry.color) return entry.color;
+
+    let hash = 0;
+    for (let i = 0; i < category.length; i++) {
+        hash = (hash * 31 + category.charCodeAt(i)) >>> 0;
+    }
+    return CONFIG.CHART_COLORS[hash % CONFIG.CHART_COLORS.length];
+}
+
+/**
+ * カテゴリーの親カテゴリーを返します。
+ * @param {string} category カテゴリー名
+ * @return {string} 親カテゴリー名（無ければ空文字）
+ */
+function getCategoryParent(category) {
+    const entry = getCategoryMaster().entries.get(category);
+    return entry ? entry.parent : '';
+}
+
+/**
+ * 表示順の比較関数。親カテゴリーがあれば親の表示順でまとめ、その中で自身の表示順で並べます。
+ * 表示順が未指定のカテゴリー（マスタに無いカテゴリーを含みます）は指定のあるカテゴリーの後ろにします。
+ * 表示順が同じ場合は、hoursOf を指定していれば時間が長い順（親カテゴリーどうしは子カテゴリーを含めた合計）、
+ * 最後に名前順にします。異なるカテゴリーで0を返さないため、実行ごとに並びが変わりません。
+ * @param {string} a カテゴリー名
+ * @param {string} b カテゴリー名
+ * @param {function(string): number} [hoursOf] カテゴリー名から時間を返す関数（記録が無ければ0やundefined）
+ * @return {number} 比較結果
+ */
+function compareCategoryOrder(a, b, hoursOf) {
+    const orderOf = name => {
+        const entry = getCategoryMaster().entries.get(name);
+        return entry && entry.order !== null ? entry.order : Number.MAX_VALUE;
+    };
+    const hoursOfGroup = parent => Array.from(getCategoryMaster().entries.values())
+        .filter(entry => entry.parent === parent)
+        .reduce((sum, entry) => sum + (hoursOf(entry.name) || 0), hoursOf(parent) || 0);
+    const compare = (x, y, hoursOfName) => orderOf(x) - orderOf(y)
+        || (hoursOf ? hoursOfName(y) - hoursOfName(x) : 0)
+        || x.localeCompare(y);
+    if (a === b) return 0;
+    const parentA = getCategoryParent(a) || a;
+    const parentB = getCategoryParent(b) || b;
+
+    if (parentA !== parentB) return compare(parentA, parentB, hoursOfGroup);
+    // 同じ親の中では親自身を先頭にします
+    if (a === parentA) return -1;
+    if (b === parentB) return 1;
+    return compare(a, b, name => hoursOf(name) || 0);
+}
+
+/**
+ * カテゴリー名の一覧を表示順に並べ替えます（表示順が同じ場合は名前順）。
+ * @param {Array<string>} categories カテゴリー名の配列
+ * @return {Array<string>} 並べ替えた配列
+ */
+function sortCategories(categories) {
+    return categories.slice().sort(compareCategoryOrder);
+}
+
+/**
+ * カテゴリーの表示名を返します（親カテゴリーがある場合は「親 › 子」）。
+ * @param {string} category カテゴリー名
+ * @return {string} 表示名
+ */
+function getCategoryLabel(category) {
+    const parent = getCategoryParent(category);
+    return parent && parent !== category ? `${parent} › ${category}` : category;
+}
+
+/**
+ * 【メニュー】Categoriesシートを作成し、DBシートに登場するカテゴリーを登録します。
+ * 既にシートがある場合は、未登録のカテゴリーだけを追記します。
+ */
+function initCategorySheet() {
+    assertSpreadsheetUser_();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.CATEGORY_SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(CONFIG.CATEGORY_SHEET_NAME);
+        sheet.getRange(1, 1, 1, 6).setValues([['カテゴリー', 'グループ', '別名', '色', '表示順', '親カテゴリー']]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+    }
+
+    categoryMasterCache = null;
+    const master = getCategoryMaster();
+
+    // DBシートのカテゴリーを出現回数の多い順に集めます
+    const dbSheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+    const counts = {};
+    if (dbSheet) {
+        dbSheet.getDataRange().getValues().slice(1).forEach(row => {
+            const name = splitCategoryPath(String(row[DB_COL.CATEGORY] || '') || extractCategory(row[DB_COL.TITLE]))[0];
+            if (name) counts[name] = (counts[name] || 0) + 1;
+        });
+    }
+
+    const newRows = Object.keys(counts)
+        .filter(name => !master.entries.has(name) && !master.aliases.has(name))
+        .sort((a, b) => counts[b] - counts[a])
+        .map(name => [name, guessCategoryGroup(name), '', getCategoryColor(name), '', '']);
+
+    if (newRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+    }
+    categoryMasterCache = null;
+
+    ss.toast(`${newRows.length}件のカテゴリーを登録しました。グループ・色・表示順を設定してください。`, 'カテゴリーマスタ', 5);
+}
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview AIコーチングの記憶（Insightsシート）
+ * 生成したAI寸評と、そこから抽出した行動提案（どのカテゴリーを増やす／減らす／維持するか）を
+ * 「Insights」シートに記録し、次回のプロンプトに「前回のアドバイスと、その後に実際どう変化したか」を含めます。
+ * これにより「先週の提案どおり【運動】が増えましたね」のような継続的なコーチングができます。
+ *
+ * シートの列構成（1行目はヘッダー）:
+ *   A:作成日時 | B:種類 | C:開始日 | D:終了日 | E:寸評 | F:行動提案(JSON) | G:実行結果(JSON)
+ * - F: [{ category, direction, action, baselineHours, baselineDays }]（direction は increase / decrease / keep）
+ * - G: 次の同じ種類のレポートで評価した結果 [{ category, direction, action, before, after, followed }]
+ *
+ * プロンプトを小さく保つため、全文を渡すのは直前のアドバイスのみとし、
+ * それより前の履歴はカテゴリー・方向ごとの「提案回数／実行回数」に集約して渡します。
+ * Promptsシートでテンプレートを編集している場合は、{{#coaching}}～{{/coaching}} の部分を含めてください。
+ */
+
+/** コーチングの記憶の設定 */
+const COACHING_CONFIG = {
+    // 1日あたりこの時間以上動いたら「提案どおりに変化した」とみなします（維持はこの範囲内の変化）
+    FOLLOW_THRESHOLD_HOURS_PER_DAY: 0.1,
+    // 集約する過去の履歴の件数（レポートの種類ごと）
+    HISTORY_LIMIT: { daily: 14, weekly: 8, monthly: 6, yearly: 3 },
+    // プロンプトに含める前回のアドバイスの最大文字数
+    ADVICE_PREVIEW_CHARS: 150
+};
+
+/** 行動提案を抽出するときの応答の形式（JSON Schema） */
+const ACTION_ITEMS_SCHEMA = {
+    type: 'object',
+    properties: {
+        actions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    category: { type: 'string' },
+                    direction: { type: 'string', enum: ['increase', 'decrease', 'keep'] },
+                    action: { type: 'string' }
+                },
+                required: ['category', 'direction', 'action']
+            }
+        }
+    },
+    required: ['actions']
+};
+
+/**
+ * 前回のアドバイスの実行状況と過去の履歴の要約を組み立てます。
+ * @param {string} type レポートの種類（daily / weekly / monthly / yearly）
+ * @param {Date} start 今回の集計期間の開始日
+ * @param {Object} stats 今回の集計結果（aggregateStats / aggregateDailyEvents）
+ * @param {number} days 今回の集計期間の日数
+ * @return {Object} { prompt, previousRowNumber, evaluation }
+ *   prompt はプロンプトに含めるデータ（前回のアドバイスが無い場合はnull）
+ */
+function buildCoachingContext(type, start, stats, days) {
+    const rows = loadInsightRows().filter(row => row.type === type && row.start.getTime() < start.getTime());
+    if (rows.length === 0) return { prompt: null, previousRowNumber: null, evaluation: null };
+
+    const previous = rows[rows.length - 1];
+    const evaluation = evaluateFollowThrough(previous.actions, stats, days);
+    const older = rows.slice(0, -1).slice(-(COACHING_CONFIG.HISTORY_LIMIT[type] || 8));
+
+    const adviceText = previous.insight.length > COACHING_CONFIG.ADVICE_PREVIEW_CHARS
+        ? previous.insight.slice(0, COACHING_CONFIG.ADVICE_PREVIEW_CHARS) + '…'
+        : previous.insight;
+
+    return {
+        prompt: {
+            previousAdvice: {
+                period: `${formatDate(previous.start)}～${formatDate(previous.end)}`,
+                text: adviceText,
+                actions: evaluation
+            },
+            history: summarizeCoachingHistory(older)
+        },
+        previousRowNumber: previous.rowNumber,
+        evaluation: evaluation
+    };
+}
+
+/**
+ * 行動提案ごとに、今回の実績が提案どおりの方向に動いたかを判定します。
+ * 期間の長さが異なる場合（月次など）に備えて、1日あたりの時間で比較します。
+ * @param {Array<Object>} actions 前回の行動提案
+ * @param {Object} stats 今回の集計結果
+ * @param {number} days 今回の集計期間の日数
+ * @return {Array<Object>} { category, direction, action, before, after, followed }
+ */
+function evaluateFollowThrough(actions, stats, days) {
+    const threshold = COACHING_CONFIG.FOLLOW_THRESHOLD_HOURS_PER_DAY;
+    return actions.filter(item => item.category).map(item => {
+        const after = getCategoryHoursWithChildren(stats, item.category);
+        const change = after / days - item.baselineHours / (item.baselineDays || 1);
+
+        let followed;
+        if (item.direction === 'increase') followed = change >= threshold;
+        else if (item.direction === 'decrease') followed = change <= -threshold;
+        else followed = Math.abs(change) < threshold;
+
+        return {
+            category: item.category,
+            direction: item.direction,
+            action: item.action,
+            before: Number(item.baselineHours.toFixed(1)),
+            after: Number(after.toFixed(1)),
+            followed: followed
+        };
+    });
+}
+
+/**
+ * 評価済みの過去の履歴を、カテゴリー・方向ごとの提案回数と実行回数に集約します。
+ * @param {Array<Object>} rows Insightsシートの行（loadInsightRows の結果）
+ * @return {Array<Object>} { category, direction, suggested, followed }
+ */
+function summarizeCoachingHistory(rows) {
+    const summary = {};
+    rows.forEach(row => {
+        (row.evaluation || []).forEach(item => {
+            const key = `${item.category}_${item.direction}`;
+            if (!summary[key]) summary[key] = { category: item.category, direction: item.direction, suggested: 0, followed: 0 };
+            summary[key].suggested++;
+            if (item.followed) summary[key].followed++;
+        });
+    });
+    return Object.keys(summary).map(key => summary[key]).sort((a, b) => b.suggested - a.suggested);
+}
+
+/**
+ * 生成した寸評と行動提案をInsightsシートに記録し、前回のアドバイスの実行結果を書き込みます。
+ * 同じ種類・同じ開始日の行がある場合（再送など）は上書きします。
+ * @param {string} type レポートの種類
+ * @param {Object} range 集計期間 { start, end }
+ * @param {string} insight AIの寸評
+ * @param {Object} stats 今回の集計結果（行動提案の基準値として記録します）
+ * @param {number} days 集計期間の日数
+ * @param {Object} coaching buildCoachingContext の結果
+ */
+function recordInsight(type, range, insight, stats, days, coaching) {
+    const sheet = getInsightSheet();
+
+    if (coaching && coaching.previousRowNumber) {
+        sheet.getRange(coaching.previousRowNumber, 7).setValue(JSON.stringify(coaching.evaluation));
+    }
+
+    const actions = extractActionItems(insight, Object.keys(stats)).map(item => ({
+        category: item.category,
+        direction: item.direction,
+        action: item.action,
+        baselineHours: item.category ? getCategoryHoursWithChildren(stats, item.category) : 0,
+        baselineDays: days
+    }));
+
+    const record = [new Date(), type, range.start, range.end, insight, JSON.stringify(actions), ''];
+    const existing = loadInsightRows().find(row => row.type === type && row.start.getTime() === range.start.getTime());
+    if (existing) {
+        sheet.getRange(existing.rowNumber, 1, 1, record.length).setValues([record]);
+    } else {
+        sheet.getRange(sheet.getLastRow() + 1, 1, 1, record.length).setValues([record]);
+    }
+}
+
+/**
+ * 寸評から行動提案を抽出します（AIの構造化出力を使用）。
+ * 抽出に失敗した場合は空の配列を返します。
+ * @param {string} insight AIの寸評
+ * @param {Array<string>} categories 集計に含まれるカテゴリー
+ * @return {Array<Object>} { category, direction, action }
+ */
+function extractActionItems(insight, categories) {
+    try {
+        const prompt = renderPromptTemplate('action_extraction', { categories: categories, insight: insight });
+        const result = generateAiText(prompt, { schema: ACTION_ITEMS_SCHEMA });
+        return (result.actions || []).map(item => ({
+            category: item.category ? resolveCategory(String(item.category).replace(/[【】]/g, '')) : '',
+            direction: ['increase', 'decrease', 'keep'].includes(item.direction) ? item.direction : 'keep',
+            action: String(item.action || '')
+        }));
+    } catch (e) {
+        console.warn(`行動提案の抽出に失敗しました: ${e.message}`);
+        return [];
+    }
+}
+
+/**
+ * Insightsシートの記録を読み込みます（開始日の古い順）。
+ * @return {Array<Object>} { rowNumber, type, start, end, insight, actions, evaluation }
+ */
+function loadInsightRows() {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.INSIGHT_SHEET_NAME);
+    if (!sheet) return [];
+
+    const parseJson = value => {
+        try {
+            return value ? JSON.parse(value) : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return sheet.getDataRange().getValues()
+        .map((row, i) => ({
+            rowNumber: i + 1,
+            type: String(row[1]),
+            start: row[2],
+            end: row[3],
+            insight: String(row[4]),
+            actions: parseJson(row[5]) || [],
+            evaluation: parseJson(row[6])
+        }))
+        .slice(1)
+        .filter(row => row.start instanceof Date && row.end instanceof Date)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Insightsシートを取得します。無い場合はヘッダー付きで作成します。
+ */
+function getInsightSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.INSIGHT_SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(CONFIG.INSIGHT_SHEET_NAME);
+        sheet.getRange(1, 1, 1, 7).setValues([['作成日時', '種類', '開始日', '終了日', '寸評', '行動提案', '実行結果']]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+    }
+    return sheet;
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview 記録の網羅率（未記録の時間と重複の検出）
+ * 1日ごとに、起きている時間のうちどれだけがカレンダーに記録されているかを調べます。
+ * - 未記録: 連続するイベントの間のすき間（COVERAGE_CONFIG.MIN_GAP_MINUTES 以上）
+ * - 重複: 時間が重なっているイベントと、二重に計上されている時間
+ * - 網羅率: 起きている時間のうち、いずれかのイベントが記録されている時間の割合
+ *
+ * 起きている時間は、その日の睡眠（sleep グループ）の記録から「起床～就寝」として求めます。
+ * 睡眠の記録が無い場合は、既定の起床・就寝時刻（DEFAULT_WAKE_HOUR～DEFAULT_BED_HOUR）を使います。
+ * 日次LINEには未記録の時間帯を、週次メールには網羅率のスコアを表示します。
+ */
+
+/** 網羅率の分析の設定 */
+const COVERAGE_CONFIG = {
+    DEFAULT_WAKE_HOUR: 7,
+    DEFAULT_BED_HOUR: 23,
+    // この長さ以上のすき間を「未記録」として扱います
+    MIN_GAP_MINUTES: 30,
+    // 日次LINEに表示する未記録の時間帯の最大件数
+    MAX_NUDGE_GAPS: 3
+};
+
+/**
+ * 期間内の各日の網羅率を分析し、期間全体のスコアを算出します。
+ * イベントが1件も無い日は、起きている時間のすべてを未記録として扱います。
+ * @param {Array<Object>} events 期間内のイベント（filterEventsByRange の結果）
+ * @param {Date} start 期間の開始日
+ * @param {Date} end 期間の終了日時
+ * @return {Object} { days, wakingHours, coveredHours, untrackedHours, overlapHours, score }
+ *   days は日ごとの analyzeDayCoverage の結果、score は網羅率（%）
+ */
+function analyzeCoverage(events, start, end) {
+    const days = [];
+    for (let day = new Date(start.getFullYear(), start.getMonth(), start.getDate()); day <= end;
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        days.push(analyzeDayCoverage(events.filter(ev => ev.date.getTime() === day.getTime()), day));
+    }
+
+    const sum = key => days.reduce((total, day) => total + day[key], 0);
+    const wakingHours = sum('wakingHours');
+    const coveredHours = sum('coveredHours');
+    return {
+        days: days,
+        wakingHours: wakingHours,
+        coveredHours: coveredHours,
+        untrackedHours: wakingHours - coveredHours,
+        overlapHours: sum('overlapHours'),
+        score: wakingHours > 0 ? Math.round(coveredHours / wakingHours * 100) : 0
+    };
+}
+
+/**
+ * 1日分のイベントから、未記録の時間帯・重複・網羅率を求めます。
+ * @param {Array<Object>} events その日のイベント（日ごとに分割済みのもの）
+ * @param {Date} day 対象日（0時）
+ * @return {Object} { date, wake, bed, wakingHours, recordedHours, coveredHours, overlapHours, coverageRatio, gaps, overlaps }
+ *   - gaps: [{ start, end, hours }]（未記録の時間帯）
+ *   - overlaps: [{ titles, start, end, hours }]（重なっているイベントの組）
+ */
+function analyzeDayCoverage(events, day) {
+    const at = hour => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+    const noon = at(12);
+    const timed = events.filter(ev => ev.start instanceof Date && ev.end instanceof Date);
+    const isSleep = ev => getCategoryGroup(getEventCategory(ev) || '') === TIME_PROFILE_CONFIG.SLEEP_GROUP;
+
+    // 起床は午前中に終わる睡眠の終了時刻、就寝は午後に始まる睡眠の開始時刻です
+    let wake = at(COVERAGE_CONFIG.DEFAULT_WAKE_HOUR);
+    let bed = at(COVERAGE_CONFIG.DEFAULT_BED_HOUR);
+    const sleeps = timed.filter(isSleep);
+    const morningSleeps = sleeps.filter(ev => ev.end <= noon);
+    const nightSleeps = sleeps.filter(ev => ev.start >= noon);
+    if (morningSleeps.length > 0) wake = new Date(Math.max(...morningSleeps.map(ev => ev.end.getTime())));
+    if (nightSleeps.length > 0) bed = new Date(Math.min(...nightSleeps.map(ev => ev.start.getTime())));
+    if (bed <= wake) {
+        wake = at(COVERAGE_CONFIG.DEFAULT_WAKE_HOUR);
+        bed = at(COVERAGE_CONFIG.DEFAULT_BED_HOUR);
+    }
+
+    // 起きている時間の範囲に切り詰めたイベント（開始時刻順）
+    const awake = timed
+        .filter(ev => !isSleep(ev) && ev.end > wake && ev.start < bed)
+        .map(ev => ({
+            title: String(ev.title),
+            start: ev.start < wake ? wake : ev.start,
+            end: ev.end > bed ? bed : ev.end
+        }))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const gaps = [];
+    const overlaps = [];
+    let recordedMs = 0;
+    let coveredMs = 0;
+    let cursor = wake;
+    let latest = null; // これまでで最も遅く終わるイベント
+
+    const addGap = (gapStart, gapEnd) => {
+        if ((gapEnd - gapStart) / 60000 >= COVERAGE_CONFIG.MIN_GAP_MINUTES) {
+            gaps.push({ start: gapStart, end: gapEnd, hours: (gapEnd - gapStart) / 3600000 });
+        }
+    };
+
+    awake.forEach(ev => {
+        recordedMs += ev.end - ev.start;
+        if (latest && ev.start < latest.end) {
+            const overlapEnd = ev.end < latest.end ? ev.end : latest.end;
+            overlaps.push({ titles: [latest.title, ev.title], start: ev.start, end: overlapEnd, hours: (overlapEnd - ev.start) / 3600000 });
+        } else {
+            addGap(cursor, ev.start);
+        }
+        if (ev.end > cursor) {
+            coveredMs += ev.end - (ev.start > cursor ? ev.start : cursor);
+            cursor = ev.end;
+        }
+        if (!latest || ev.end > latest.end) latest = ev;
+    });
+    addGap(cursor, bed);
+
+    const wakingHours = (bed - wake) / 3600000;
+    const coveredHours = coveredMs / 3600000;
+    return {
+        date: day,
+        wake: wake,
+        bed: bed,
+        wakingHours: wakingHours,
+        recordedHours: recordedMs / 3600000,
+        coveredHours: coveredHours,
+        overlapHours: (recordedMs - coveredMs) / 3600000,
+        coverageRatio: wakingHours > 0 ? Math.round(coveredHours / wakingHours * 100) : 0,
+        gaps: gaps,
+        overlaps: overlaps
+    };
+}
+
+/**
+ * 日次LINE用に、未記録の時間帯と重複を「未記録 2.5h (13:00–15:30)」の形式で列挙します。
+ * 未記録の時間帯は長い順に COVERAGE_CONFIG.MAX_NUDGE_GAPS 件までとします。
+ * @param {Object} dayCoverage analyzeDayCoverage の結果
+ * @return {Array<string>} 表示する行（未記録も重複も無い場合は空の配列）
+ */
+function buildCoverageNudgeLines(dayCoverage) {
+    const time = date => Utilities.formatDate(date, CONFIG.TIME_ZONE, 'HH:mm');
+    const lines = dayCoverage.gaps
+        .slice()
+        .sort((a, b) => b.hours - a.hours)
+        .slice(0, COVERAGE_CONFIG.MAX_NUDGE_GAPS)
+        .sort((a, b) => a.start - b.start)
+        .map(gap => `未記録 ${gap.hours.toFixed(1)}h (${time(gap.start)}–${time(gap.end)})`);
+
+    if (dayCoverage.gaps.length > COVERAGE_CONFIG.MAX_NUDGE_GAPS) {
+        lines.push(`ほか${dayCoverage.gaps.length - COVERAGE_CONFIG.MAX_NUDGE_GAPS}件の未記録があります`);
+    }
+    if (dayCoverage.overlaps.length > 0) {
+        lines.push(`重複 ${dayCoverage.overlapHours.toFixed(1)}h（${dayCoverage.overlaps.length}件。二重に計上されています）`);
+    }
+    return lines;
+}
+
+/**
+ * 週次メール用に、網羅率のスコアと日ごとの内訳の表を組み立てます。
+ * @param {Object} coverage analyzeCoverage の結果
+ * @return {string} HTML
+ */
+function buildCoverageHtml(coverage) {
+    const scoreColor = getCoverageColor(coverage.score);
+    const rows = coverage.days.map(day => `
+        <tr>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${Utilities.formatDate(day.date, CONFIG.TIME_ZONE, 'MM/dd(E)')}</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${day.coverageRatio}%</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${(day.wakingHours - day.coveredHours).toFixed(1)}h</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${day.overlapHours > 0 ? `${day.overlapHours.toFixed(1)}h` : '-'}</td>
+        </tr>`).join('');
+
+    return `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #34A853; font-size: 1em;">● 記録の網羅率</h3>
+      <p style="margin: 10px 0;">
+        <span style="font-size: 1.6em; font-weight: bold; color: ${scoreColor};">${coverage.score}%</span>
+        <span style="color: #666;">（起きている時間 ${coverage.wakingHours.toFixed(1)}h のうち ${coverage.coveredHours.toFixed(1)}h を記録。
+        未記録 ${coverage.untrackedHours.toFixed(1)}h / 重複 ${coverage.overlapHours.toFixed(1)}h）</span>
+      </p>
+      <table style="border-collapse: collapse; width: 100%; margin: 15px 0 35px 0; font-size: 0.95em;">
+        <tr style="background-color: #eee; color: #444;">
+          <th style="border: 1px solid #ddd; padding: 8px;">日付</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">網羅率</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">未記録</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">重複</th>
+        </tr>
+        ${rows}
+      </table>`;
+}
+
+/**
+ * 網羅率の表示色を返します（80%以上は緑、50%以上は黄、それ未満は赤）。
+ * @param {number} ratio 網羅率（%）
+ * @return {string} 色（#RRGGBB）
+ */
+function getCoverageColor(ratio) {
+    if (ratio >= 80) return '#34A853';
+    return ratio >= 50 ? '#FBBC05' : '#EA4335';
+}
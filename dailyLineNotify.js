@@ -1,96 +1,151 @@
 /**
  * @fileoverview 日次LINE通知プログラム
  * 前日の活動実績（カテゴリー別件数・時間）をDBシートから集計し、
- * 過去1週間の平均と比較した分析結果をLINE Messaging APIを使用して通知します。
+ * 直近4週間の1日平均と比較した分析結果と、長期の傾向から外れた項目（baselines.js）をLINE Messaging APIを使用して通知します。
+ * 予定のカレンダーを設定している場合は、昨日の予定と実績の比較（planAdherence.js）も通知します。
  */
 
 /**
- * 【メイン関数】前日のカテゴリー別統計と分析をLINEに通知します。
+ * 【メイン関数】前日のカテゴリー別統計と分析をLINE（NOTIFY_ROUTES の daily の送信先）に通知します。
  * 毎朝 5:00 に前日の実績をブロードキャストすることを想定しています。
+ * 失敗した場合は失敗通知と再送の予定追加を行ってから例外を投げ直し、トリガーの実行結果にエラーとして残します。
  */
 function dailyLineNotify() {
+    const now = new Date();
     try {
-        const now = new Date();
-        const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-
-        // 比較用の過去7日間（昨日のさらに前の7日間）
-        const weekStart = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate() - 7);
-        const weekEnd = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate() - 1);
-
-        const sheetName = 'DB';
-
-        // 1. スプレッドシートデータの取得
-        const ss = SpreadsheetApp.getActiveSpreadsheet();
-        const dbSheet = ss.getSheetByName(sheetName);
-        if (!dbSheet) throw new Error(`'${sheetName}' シートが見つかりません。`);
-
-        const allRows = dbSheet.getDataRange().getValues();
-        if (allRows.length <= 1) return;
-
-        // 2. データの抽出（昨日分と過去1週間分）
-        const yesterdayEvents = [];
-        const pastWeekEvents = [];
-
-        const rangeStart = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate(), 0, 0, 0);
-        const rangeEnd = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate(), 23, 59, 59, 999);
-
-        for (let i = 1; i < allRows.length; i++) {
-            const row = allRows[i];
-            if (row.length < 6) continue;
-
-            const eventDate = new Date(row[5]);
-            if (isNaN(eventDate.getTime())) continue;
-
-            // 昨日分
-            if (eventDate.toDateString() === yesterday.toDateString()) {
-                yesterdayEvents.push({
-                    title: String(row[0]),
-                    durationSerial: row[3]
-                });
-            }
-            // 過去1週間分（昨日を含まない直近7日間）
-            else if (eventDate >= rangeStart && eventDate <= weekEnd) {
-                pastWeekEvents.push({
-                    title: String(row[0]),
-                    durationSerial: row[3]
-                });
-            }
-        }
+        sendDailyReport(now);
+    } catch (e) {
+        console.error(`日次LINE通知エラー: ${e.message}`);
+        notifyFailure('日次LINE通知', e);
+        scheduleReportResend('daily', now);
+        throw e;
+    }
+}
 
-        if (yesterdayEvents.length === 0) {
-            console.log("前日のデータは見つかりませんでした。");
-            return;
-        }
+/**
+ * 日次レポートを組み立てて送信します（自動再送からも使用します）。
+ * @param {Date} refDate 基準日時（この前日を「昨日」として集計します）
+ * @throws {Error} 送信に失敗した場合
+ */
+function sendDailyReport(refDate) {
+    const report = buildDailyReport(refDate);
+    if (!report) return;
+
+    // 通知（既定はLINE。送信先は NOTIFY_ROUTES で変更できます）
+    notify('daily', {
+        title: `昨日の活動実績 (${formatDate(report.date)})`,
+        text: report.text,
+        line: report.message
+    });
+    saveLastDailyInsight(report.date, report.insight);
+    saveRollup('daily', { start: report.date, end: new Date(report.date.getTime() + 86400000 - 1) }, report.stats);
+}
+
+/**
+ * 日次レポートの内容（LINEメッセージとAIプロンプト）を組み立てます。
+ * スクリプトプロパティ LINE_MESSAGE_FORMAT が 'flex' の場合、message は Flex Message になります。
+ * @param {Date} refDate 基準日時（この前日を「昨日」として集計します）
+ * @param {Object} [options] { dryRun: true } の場合はAIを呼び出さずにプロンプトのみを組み立てます
+ * @return {Object|null} { message, text, prompt, date, insight, stats }（前日のデータが無い場合はnull）
+ *   message はLINE用のメッセージ、text は他のチャネルでも使うテキスト版です
+ */
+function buildDailyReport(refDate, options) {
+    const dryRun = !!(options && options.dryRun);
+    const yesterday = new Date(refDate.getFullYear(), refDate.getMonth(), refDate.getDate() - 1);
+
+    // 1. スプレッドシートデータの取得（長期の傾向の比較に使う12週間前から昨日までの行のみ）
+    const allRows = readDbRows(addDays(yesterday, -BASELINE_CONFIG.LONG_WEEKS * 7), yesterday);
+    if (allRows.length <= 1) return null;
 
-        // 3. カテゴリー別に集計
-        const statsYesterday = aggregateDailyEvents(yesterdayEvents);
-        const statsWeek = aggregateDailyEvents(pastWeekEvents);
+    // 2. データの抽出（昨日分）
+    // 日をまたぐイベントは日ごとに分割して、それぞれの日に計上します
+    const yesterdayEvents = filterEventsByRange(allRows, yesterday, yesterday);
 
-        // 4. 分析データの構築（昨日 vs 1週間の1日平均）
-        const analysisData = buildDailyAnalysis(statsYesterday, statsWeek);
+    if (yesterdayEvents.length === 0) {
+        console.log("前日のデータは見つかりませんでした。");
+        return null;
+    }
 
-        // 5. Geminiによる寸評の取得
-        const aiInsight = getGeminiDailyInsight(analysisData);
+    // 3. カテゴリー別に集計（件数も集計シートに保存するため aggregateStats を使います）
+    const statsYesterday = aggregateStats(yesterdayEvents);
+
+    // 4. 分析データの構築（昨日 vs 直近4週間の1日平均）と、長期の傾向から外れた項目の検出
+    const trend = analyzeDailyTrend(allRows, yesterday, statsYesterday);
+    const trendLines = buildTrendFlagLines(trend);
+    const analysisData = buildDailyAnalysis(statsYesterday, getShortBaselineAverages(trend));
+
+    // 記録の網羅率（未記録の時間帯と重複）
+    const coverage = analyzeDayCoverage(yesterdayEvents, yesterday);
+    const coverageLines = buildCoverageNudgeLines(coverage);
+
+    // 予定と実績の比較（予定のカレンダーが未設定、または昨日の予定が無い場合はnull）
+    const adherence = analyzePlanAdherence(yesterdayEvents, yesterday, yesterday);
+    const adherenceLines = adherence ? buildAdherenceLines(adherence) : [];
+
+    // 目標の評価（daily は昨日の実績、weekly は今週の日曜～昨日の累計）
+    const thisWeekStart = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate() - yesterday.getDay());
+    const statsWeekToDate = aggregateDailyEvents(filterEventsByRange(allRows, thisWeekStart, yesterday));
+    const dailyGoals = evaluateGoals(statsYesterday, 1, 'daily');
+    const weeklyGoals = evaluateGoals(statsWeekToDate, 7, 'weekly');
+
+    // 5. AIによる寸評の取得（プレビュー時はプロンプトの組み立てのみ）
+    // 前日のアドバイスとその実行状況（Insightsシート）もプロンプトに含めます
+    const coaching = buildCoachingContext('daily', yesterday, statsYesterday, 1);
+    const prompt = buildDailyInsightPrompt(analysisData, summarizeGoalsForPrompt(dailyGoals.concat(weeklyGoals)), coaching.prompt, summarizeTrendForPrompt(trend));
+    const aiFallback = "（AI分析を取得できませんでした。詳細はDeliveryLogシートを確認してください）";
+    const aiInsight = dryRun ? PREVIEW_AI_PLACEHOLDER : generateInsight('daily_insight', prompt, aiFallback);
+    if (!dryRun && isAiConfigured() && aiInsight !== aiFallback) {
+        recordInsight('daily', { start: yesterday, end: yesterday }, aiInsight, statsYesterday, 1, coaching);
+    }
 
-        // 6. LINEメッセージの構築
-        const dateStr = Utilities.formatDate(yesterday, 'JST', 'yyyy/MM/dd(E)');
-        let message = `【昨日の活動実績】\n📅 ${dateStr}\n\n`;
+    // 6. LINEメッセージの構築
+    const dateStr = Utilities.formatDate(yesterday, CONFIG.TIME_ZONE, 'yyyy/MM/dd(E)');
+    let message = `【昨日の活動実績】\n📅 ${dateStr}\n\n`;
 
-        analysisData.forEach(item => {
-            const diff = item.diff.toFixed(1);
-            const mark = item.diff > 0 ? "▲" : (item.diff < 0 ? "▼" : " ");
-            message += `■${item.category}\n  ${item.hours.toFixed(1)}h (平均比:${mark}${Math.abs(diff)}h)\n`;
-        });
+    analysisData.forEach(item => {
+        const diff = item.diff.toFixed(1);
+        const mark = item.diff > 0 ? "▲" : (item.diff < 0 ? "▼" : " ");
+        message += `■${getCategoryLabel(item.category)}\n  ${item.hours.toFixed(1)}h (平均比:${mark}${Math.abs(diff)}h)\n`;
+    });
 
-        message += `\n【AIリフレクション】\n${aiInsight}\n\n`;
-        message += `今日も素晴らしい一日を！`;
+    if (trendLines.length > 0) {
+        message += `\n【いつもと違う点】\n${trendLines.join('\n')}\n`;
+    }
 
-        // 7. LINE送信
-        sendLineMessage(message);
+    message += `\n【記録の網羅率】${coverage.coverageRatio}%\n`;
+    if (coverageLines.length > 0) {
+        message += `${coverageLines.join('\n')}\nカレンダーに追記しておきましょう。\n`;
+    }
 
-    } catch (e) {
-        console.error(`日次LINE通知エラー: ${e.message}`);
+    if (adherence) {
+        message += `\n【予定と実績】${adherence.score}%\n${adherenceLines.join('\n')}\n`;
+    }
+
+    const goalLines = buildGoalBudgetLines(dailyGoals, weeklyGoals);
+    if (goalLines.length > 0) {
+        message += `\n【目標・残り予算】\n${goalLines.join('\n')}\n`;
     }
+
+    message += `\n【AIリフレクション】\n${aiInsight}\n\n`;
+    message += `今日も素晴らしい一日を！`;
+
+    if (getLineMessageFormat() === 'flex') {
+        const flexMessage = buildDailyFlexMessage({
+            date: yesterday,
+            analysis: analysisData,
+            trendLines: trendLines,
+            goals: dailyGoals.concat(weeklyGoals),
+            coverage: coverage,
+            coverageLines: coverageLines,
+            adherence: adherence,
+            adherenceLines: adherenceLines,
+            insight: aiInsight,
+            altText: message
+        });
+        return { message: flexMessage, text: message, prompt, date: yesterday, insight: aiInsight, stats: statsYesterday };
+    }
+
+    return { message, text: message, prompt, date: yesterday, insight: aiInsight, stats: statsYesterday };
 }
 
 /**
@@ -99,30 +154,26 @@ function dailyLineNotify() {
 function aggregateDailyEvents(events) {
     const stats = {};
     events.forEach(ev => {
-        const match = ev.title.match(/【(.*?)】/);
-        if (match) {
-            const cat = match[1];
+        const cat = getEventCategory(ev);
+        if (cat) {
             if (!stats[cat]) stats[cat] = { hours: 0 };
-
-            let h = 0;
-            if (ev.durationSerial instanceof Date) h = ev.durationSerial.getHours() + (ev.durationSerial.getMinutes() / 60);
-            else if (typeof ev.durationSerial === 'number') h = ev.durationSerial * 24;
-
-            stats[cat].hours += h;
+            stats[cat].hours += getEventHours(ev);
         }
     });
     return stats;
 }
 
 /**
- * 昨日と過去1週間平均の比較データを構築
+ * 昨日と直近4週間の1日平均の比較データを構築
+ * @param {Object} yesterday 昨日のカテゴリー別集計
+ * @param {Object} averages カテゴリー別の1日平均（記録のある日の平均。getShortBaselineAverages の結果）
  */
-function buildDailyAnalysis(yesterday, week) {
-    const allCats = new Set([...Object.keys(yesterday), ...Object.keys(week)]);
+function buildDailyAnalysis(yesterday, averages) {
+    const allCats = new Set([...Object.keys(yesterday), ...Object.keys(averages)]);
     const res = [];
     allCats.forEach(cat => {
         const yHours = yesterday[cat] ? yesterday[cat].hours : 0;
-        const wAvgHours = week[cat] ? week[cat].hours / 7 : 0; // 7日間の平均
+        const wAvgHours = averages[cat] || 0;
 
         // 昨日活動があった、または平均的に活動があるもののみ
         if (yHours > 0 || wAvgHours > 0.1) {
@@ -134,52 +185,47 @@ function buildDailyAnalysis(yesterday, week) {
             });
         }
     });
-    return res.sort((a, b) => b.hours - a.hours);
+    const hours = new Map(res.map(item => [item.category, item.hours]));
+    return res.sort((a, b) => compareCategoryOrder(a.category, b.category, name => hours.get(name)));
 }
 
 /**
- * Geminiによる短寸評の取得
+ * 日次寸評用のAIへのプロンプトを組み立てます（Promptsシートの daily_insight）。
+ * @param {Array<Object>} data 昨日 vs 直近4週間の1日平均の比較データ
+ * @param {Array<Object>} goals 目標の達成状況（summarizeGoalsForPrompt の結果）
+ * @param {Object} [coaching] 前日のアドバイスとその実行状況（buildCoachingContext の prompt）
+ * @param {Object} [trend] 長期の傾向から外れた項目（summarizeTrendForPrompt の結果）
+ * @return {string} プロンプト
  */
-function getGeminiDailyInsight(data) {
-    const key = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
-    if (!key) return "（AI分析はAPIキー未設定のためスキップします）";
-
-    const endpoint = "https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent?key=" + key;
-    const prompt = `あなたはライフログコーチです。昨日の活動実績と直近1週間の1日平均の比較データを見て、短く鋭い日本語の寸評を【120文字以内】で作成してください。
-LINEで読むため、簡潔かつ前向きなアドバイスにしてください。
-
-比較データ(昨日 vs 1日平均):
-${JSON.stringify(data)}
-`;
-
-    const payload = { contents: [{ parts: [{ text: prompt }] }] };
-    const options = { method: 'post', contentType: 'application/json', payload: JSON.stringify(payload), muteHttpExceptions: true };
-
-    try {
-        const res = UrlFetchApp.fetch(endpoint, options);
-        const json = JSON.parse(res.getContentText());
-        if (json.candidates && json.candidates[0].content.parts[0].text) {
-            return json.candidates[0].content.parts[0].text.trim();
-        }
-    } catch (e) {
-        console.error("Gemini Error: " + e.message);
-    }
-    return "分析中...";
+function buildDailyInsightPrompt(data, goals, coaching, trend) {
+    return renderPromptTemplate('daily_insight', { data: data, goals: goals || [], coaching: coaching, trend: trend });
 }
 
 /**
  * LINEメッセージ送信用の共通関数
+ * スクリプトプロパティ LINE_TO_USER_IDS に送信先があれば push（1件）/ multicast（複数）、
+ * 無ければ友だち全員への broadcast で送信します。
+ * @param {string|Object|Array<string|Object>} message 送信するテキスト、またはメッセージオブジェクト（Flex Message など）。配列で複数件（最大5件）
  */
-function sendLineMessage(text) {
-    const url = 'https://api.line.me/v2/bot/message/broadcast';
-    const token = PropertiesService.getScriptProperties().getProperty('line_personal_channel_token');
-
-    if (!token) {
-        console.warn("line_personal_channel_token が未設定です。");
-        return;
+function sendLineMessage(message) {
+    const token = getSetting('LINE_CHANNEL_TOKEN');
+    if (!token) throw new Error('LINEのチャネルアクセストークン（LINE_CHANNEL_TOKEN）が未設定です。');
+
+    const to = getSetting('LINE_TO_USER_IDS')
+        .split(',').map(id => id.trim()).filter(Boolean);
+
+    let url;
+    const payload = buildLinePayload(message);
+    if (to.length === 0) {
+        url = 'https://api.line.me/v2/bot/message/broadcast';
+    } else if (to.length === 1) {
+        url = 'https://api.line.me/v2/bot/message/push';
+        payload.to = to[0];
+    } else {
+        url = 'https://api.line.me/v2/bot/message/multicast';
+        payload.to = to;
     }
 
-    const payload = { messages: [{ type: 'text', text: text }] };
     const params = {
         method: 'post',
         contentType: 'application/json',
@@ -188,26 +234,25 @@ function sendLineMessage(text) {
         muteHttpExceptions: true
     };
 
-    try {
-        UrlFetchApp.fetch(url, params);
-    } catch (e) {
-        console.error(`LINE通信例外: ${e.message}`);
-    }
+    fetchWithRetry('LINE', url, params);
 }
 
 /**
- * 毎日午前5時ごろに実行するトリガーを作成
+ * LINE Messaging API に送信するペイロードを組み立てます。
+ * 文字列はテキストメッセージに変換し、オブジェクトはメッセージオブジェクトとしてそのまま送信します。
+ * @param {string|Object|Array<string|Object>} message 送信するテキスト、またはメッセージオブジェクト
+ * @return {Object} ペイロード
  */
-function createDailyLineTrigger() {
-    const handler = 'dailyLineNotify';
-    const triggers = ScriptApp.getProjectTriggers();
-    triggers.forEach(t => { if (t.getHandlerFunction() === handler) ScriptApp.deleteTrigger(t); });
-
-    ScriptApp.newTrigger(handler)
-        .timeBased()
-        .everyDays(1)
-        .atHour(5)
-        .create();
+function buildLinePayload(message) {
+    const messages = (Array.isArray(message) ? message : [message])
+        .map(item => typeof item === 'string' ? { type: 'text', text: item } : item);
+    return { messages: messages };
+}
 
-    console.log("日次分析LINE通知のトリガーを設定しました（毎日 05:00）。");
+/**
+ * 毎日、設定の時刻（既定は午前5時）ごろに実行するトリガーを作成
+ * （メニューの「トリガーの管理」からも設定できます）
+ */
+function createDailyLineTrigger() {
+    installTriggerJob('daily');
 }
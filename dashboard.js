@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Webアプリのダッシュボード（dashboard.html）のサーバー側処理
+ * 任意の期間と区切り（日・週・月）を指定して、カテゴリー別の合計・構成比・インプット／アウトプット比・
+ * 推移と、各区切りに含まれる個々の予定を返します。集計の単位は親カテゴリー・子カテゴリー・タグから選べます。
+ * 数値がメールのレポートと一致するよう、集計にはレポートと同じ関数
+ * （filterEventsByRange / aggregateStats / buildComparison / calculateIOMetrics / allocateEventsToBuckets）を使用します。
+ *
+ * スクリプトプロパティ:
+ * - DASHBOARD_KEY: ダッシュボードの合言葉（未設定の場合はダッシュボードを表示しません）
+ */
+
+/** 一度に表示できる最大日数と区切りの数 */
+const DASHBOARD_MAX_DAYS = 366 * 3;
+const DASHBOARD_MAX_BUCKETS = 200;
+
+/**
+ * ダッシュボードの合言葉を確認します。
+ * google.script.run から直接呼び出せる関数でも確認するため、doGet とは別の関数にしています。
+ * @param {string} key リクエストの合言葉
+ * @return {boolean} 一致すればtrue
+ */
+function isDashboardAuthorized_(key) {
+    const expected = getSetting('DASHBOARD_KEY');
+    return !!expected && timingSafeEqual(expected, String(key || ''));
+}
+
+/**
+ * ダッシュボードを開いたときの初期表示の期間（昨日までの28日間）を返します。
+ * @param {Date} refDate 基準日時（通常は今日）
+ * @return {Object} { startDate, endDate }（yyyy-MM-dd 形式）
+ */
+function getDefaultDashboardRange_(refDate) {
+    const end = new Date(refDate.getFullYear(), refDate.getMonth(), refDate.getDate() - 1);
+    const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 27);
+    return {
+        startDate: Utilities.formatDate(start, CONFIG.TIME_ZONE, 'yyyy-MM-dd'),
+        endDate: Utilities.formatDate(end, CONFIG.TIME_ZONE, 'yyyy-MM-dd')
+    };
+}
+
+/**
+ * 【ダッシュボードから呼び出し】指定した期間の集計結果を返します。
+ * google.script.run は Date を返せないため、日時はすべて文字列に変換します。
+ * @param {Object} params { key, startDate, endDate, granularity, level }
+ *   - startDate / endDate: yyyy-MM-dd 形式
+ *   - granularity: 推移グラフの区切り（day / week / month）
+ *   - level: 集計の単位（category / subcategory / tag。インプット／アウトプット比は常に親カテゴリーで計算します）
+ * @return {Object} 集計結果
+ *   - range: { label, previousLabel, days }
+ *   - categories: [{ name, label, color, group }]（表示順。level が tag の場合はタグ）
+ *   - totals: buildComparison の結果（直前の同じ日数の期間と比較）
+ *   - totalHours, previousTotalHours（比較の期間の合計）, ioMetrics
+ *   - buckets: [{ label, hours: { カテゴリー名: 時間 } }]
+ *   - events: [{ title, category, keys, tags, start, end, hours, bucket }]
+ *     （keys は level での集計のキー、bucket は buckets の添字）
+ */
+function getDashboardData(params) {
+    if (!params || !isDashboardAuthorized_(params.key)) {
+        throw new Error('ダッシュボードを表示する権限がありません。');
+    }
+
+    const startDay = parseDateInput(params.startDate);
+    const endDay = parseDateInput(params.endDate);
+    if (endDay < startDay) throw new Error('終了日は開始日以降の日付を指定してください。');
+
+    const days = Math.round((endDay - startDay) / 86400000) + 1;
+    if (days > DASHBOARD_MAX_DAYS) throw new Error(`期間は${DASHBOARD_MAX_DAYS}日以内で指定してください。`);
+
+    const granularity = ['day', 'week', 'month'].includes(params.granularity) ? params.granularity : 'day';
+    const level = CATEGORY_LEVELS[params.level] ? params.level : 'category';
+    const end = new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate(), 23, 59, 59, 999);
+    const buckets = buildDateBuckets(startDay, end, granularity);
+    if (buckets.length > DASHBOARD_MAX_BUCKETS) {
+        throw new Error(`区切りの数が多すぎます（${buckets.length}件）。区切りを週・月にするか、期間を短くしてください。`);
+    }
+
+    // 比較用の期間は、開始日の直前の同じ日数です
+    const previousStart = new Date(startDay.getFullYear(), startDay.getMonth(), startDay.getDate() - days);
+    const previousEnd = new Date(startDay.getFullYear(), startDay.getMonth(), startDay.getDate() - 1, 23, 59, 59, 999);
+
+    const allRows = readDbRows(previousStart, end);
+
+    const events = filterEventsByRange(allRows, startDay, end);
+    const previousEvents = filterEventsByRange(allRows, previousStart, previousEnd);
+    const stats = aggregateStats(events, level);
+    const totals = buildComparison(stats, aggregateStats(previousEvents, level));
+    const ioMetrics = calculateIOMetrics(level === 'category' ? stats : aggregateStats(events));
+
+    const categoryNames = new Set(totals.map(item => item.category));
+    const categories = sortCategories(Array.from(categoryNames)).map(name => ({
+        name: name,
+        label: getCategoryLabel(name),
+        color: getCategoryColor(name),
+        group: getCategoryGroup(name)
+    }));
+
+    const allocation = allocateEventsToBuckets(events, buckets, level).map(({ label, stats }) => {
+        const hours = {};
+        Object.keys(stats).forEach(cat => hours[cat] = roundHours_(stats[cat].hours));
+        return { label: label, hours: hours };
+    });
+
+    return {
+        range: {
+            label: `${formatDate(startDay)} ～ ${formatDate(endDay)}`,
+            previousLabel: `${formatDate(previousStart)} ～ ${formatDate(previousEnd)}`,
+            days: days
+        },
+        categories: categories,
+        totals: totals.map(item => ({
+            category: item.category,
+            count: item.currentCount,
+            hours: roundHours_(item.currentHours),
+            ratio: Number(item.ratio),
+            diffHours: roundHours_(item.diffHours)
+        })),
+        // タグの単位では複数のタグを持つ予定が重複して計上されるため、合計はイベントから求めます
+        totalHours: roundHours_(sumDashboardEventHours_(events)),
+        previousTotalHours: roundHours_(sumDashboardEventHours_(previousEvents)),
+        ioMetrics: {
+            inputHours: roundHours_(ioMetrics.inputHours),
+            outputHours: roundHours_(ioMetrics.outputHours),
+            inputRatio: Number(ioMetrics.inputRatio),
+            outputRatio: Number(ioMetrics.outputRatio),
+            goalRatio: CONFIG.IO_GOAL_RATIO
+        },
+        granularity: granularity,
+        level: level,
+        buckets: allocation,
+        events: events
+            .filter(ev => getEventCategory(ev))
+            .map(ev => toDashboardEvent_(ev, buckets, level))
+            .sort((a, b) => a.sortKey - b.sortKey)
+    };
+}
+
+/**
+ * カテゴリーのある予定の時間の合計を求めます（予定ごとに1回だけ計上します）。
+ * @param {Array<Object>} events filterEventsByRange の結果
+ * @return {number} 合計時間
+ */
+function sumDashboardEventHours_(events) {
+    return events.reduce((sum, ev) => sum + (getEventCategory(ev) ? getEventHours(ev) : 0), 0);
+}
+
+/**
+ * イベントをダッシュボードに返す形式に変換します。
+ * 区切りの判定は allocateEventsToBuckets と同じく、イベントの日付で行います。
+ * @param {Object} ev filterEventsByRange で抽出したイベント
+ * @param {Array<Object>} buckets 区切りの定義
+ * @param {string} level 集計の単位
+ * @return {Object} { title, category, keys, tags, start, end, hours, bucket, sortKey }
+ */
+function toDashboardEvent_(ev, buckets, level) {
+    const hasTime = ev.start instanceof Date && ev.end instanceof Date;
+    return {
+        title: String(ev.title),
+        category: getEventSubcategory(ev),
+        keys: getEventGroupingKeys(ev, level),
+        tags: ev.tags || [],
+        start: hasTime ? Utilities.formatDate(ev.start, CONFIG.TIME_ZONE, 'yyyy/MM/dd HH:mm') : formatDate(ev.date),
+        end: hasTime ? Utilities.formatDate(ev.end, CONFIG.TIME_ZONE, 'HH:mm') : '',
+        hours: roundHours_(getEventHours(ev)),
+        bucket: buckets.findIndex(bucket => ev.date >= bucket.start && ev.date <= bucket.end),
+        sortKey: (hasTime ? ev.start : ev.date).getTime()
+    };
+}
+
+/**
+ * 時間を小数第2位で丸めます（表示用）。
+ */
+function roundHours_(hours) {
+    return Math.round(hours * 100) / 100;
+}
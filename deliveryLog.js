@@ -0,0 +1,272 @@
+/**
+ * @fileoverview 外部API呼び出しの信頼性（リトライ・送信ログ・失敗アラート・自動再送）
+ * LINE・Slack・Discord・AI（Gemini など）への HTTP リクエストは fetchWithRetry を経由して送信します。
+ * - レスポンスコードを確認し、2xx 以外はエラーとして扱います
+ * - 429（レート制限）と 5xx、通信例外は指数バックオフでリトライします
+ * - すべての試行を「DeliveryLog」シートに記録します（日時・送信先・試行回数・ステータス・ペイロードサイズ・結果）。
+ *   行数が上限（DELIVERY_CONFIG.MAX_LOG_ROWS）を超えたら、古い行から削除します
+ * - 同じ送信先で連続して失敗した回数がしきい値に達したら、メールでアラートを送ります
+ * - スクリプトプロパティ DELIVERY_AUTO_RESEND が 'true' の場合、送信できなかったレポートを後で自動的に再送します
+ *
+ * スクリプトプロパティ:
+ * - DELIVERY_ALERT_THRESHOLD: アラートを送る連続失敗回数（既定: 3）
+ * - DELIVERY_AUTO_RESEND: 'true' で自動再送を有効にします
+ */
+
+/** リトライと再送の設定 */
+const DELIVERY_CONFIG = {
+    MAX_ATTEMPTS: 4, // 1回の送信での最大試行回数
+    BASE_DELAY_MS: 1000, // リトライ間隔の初期値（1秒, 2秒, 4秒…と倍増）
+    MAX_DELAY_MS: 30000, // リトライ間隔の上限
+    DEFAULT_ALERT_THRESHOLD: 3,
+    FAILURE_COUNT_KEY: 'DELIVERY_FAILURE_COUNTS',
+    PENDING_RESEND_KEY: 'PENDING_RESENDS',
+    RESEND_DELAY_MINUTES: 30,
+    MAX_RESEND_ATTEMPTS: 3,
+    MAX_LOG_ROWS: 5000, // DeliveryLogシートに残す行数の上限（ヘッダーを除く）
+    TRIMMED_LOG_ROWS: 4000 // 上限を超えたときに、古い行を削除して残す行数
+};
+
+/**
+ * HTTPステータスを確認し、429・5xx・通信例外の場合は指数バックオフでリトライしながらリクエストを送信します。
+ * @param {string} label 送信先の名前（DeliveryLogシートの記録と連続失敗の集計に使用。例: LINE, Gemini）
+ * @param {string} url リクエスト先URL
+ * @param {Object} params UrlFetchApp.fetch のパラメーター
+ * @return {GoogleAppsScript.URL_Fetch.HTTPResponse} 成功（2xx）したレスポンス
+ * @throws {Error} すべての試行が失敗した場合、またはリトライしても成功しないエラー（4xx）の場合
+ */
+function fetchWithRetry(label, url, params) {
+    const options = Object.assign({}, params, { muteHttpExceptions: true });
+    const payloadSize = options.payload ? Utilities.newBlob(String(options.payload)).getBytes().length : 0;
+    let lastError = '';
+
+    for (let attempt = 1; attempt <= DELIVERY_CONFIG.MAX_ATTEMPTS; attempt++) {
+        let status = null;
+        let retryAfterMs = 0;
+        try {
+            const response = UrlFetchApp.fetch(url, options);
+            status = response.getResponseCode();
+            if (status >= 200 && status < 300) {
+                logDeliveryAttempt(label, attempt, status, payloadSize, '成功', '');
+                recordDeliveryResult(label, true, '');
+                return response;
+            }
+
+            lastError = `HTTP ${status}: ${response.getContentText().slice(0, 200)}`;
+            const retryAfter = Number((response.getHeaders() || {})['Retry-After']);
+            if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+        } catch (e) {
+            lastError = e.message;
+        }
+
+        const retryable = status === null || status === 429 || status >= 500;
+        const willRetry = retryable && attempt < DELIVERY_CONFIG.MAX_ATTEMPTS;
+        logDeliveryAttempt(label, attempt, status, payloadSize, willRetry ? 'リトライ' : '失敗', lastError);
+        if (!willRetry) break;
+
+        const backoff = DELIVERY_CONFIG.BASE_DELAY_MS * Math.pow(2, attempt - 1);
+        Utilities.sleep(Math.min(Math.max(backoff, retryAfterMs), DELIVERY_CONFIG.MAX_DELAY_MS));
+    }
+
+    recordDeliveryResult(label, false, lastError);
+    throw new Error(`${label}への送信に失敗しました（${lastError}）`);
+}
+
+/**
+ * DeliveryLogシートに試行結果を1行追記します。
+ * 行数が上限を超えた場合は、古い行（上の行）を削除して TRIMMED_LOG_ROWS 行にします。
+ * ログの記録に失敗しても送信処理は止めません。
+ */
+function logDeliveryAttempt(label, attempt, status, payloadSize, result, detail) {
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(CONFIG.DELIVERY_LOG_SHEET_NAME);
+        if (!sheet) {
+            sheet = ss.insertSheet(CONFIG.DELIVERY_LOG_SHEET_NAME);
+            sheet.getRange(1, 1, 1, 7).setValues([['日時', '送信先', '試行', 'HTTPステータス', 'ペイロード(bytes)', '結果', '詳細']]).setFontWeight('bold');
+            sheet.setFrozenRows(1);
+        }
+        sheet.appendRow([new Date(), label, attempt, status === null ? '' : status, payloadSize, result, detail]);
+
+        const rowCount = sheet.getLastRow() - 1;
+        if (rowCount > DELIVERY_CONFIG.MAX_LOG_ROWS) {
+            sheet.deleteRows(2, rowCount - DELIVERY_CONFIG.TRIMMED_LOG_ROWS);
+        }
+    } catch (e) {
+        console.warn(`DeliveryLogへの記録に失敗しました: ${e.message}`);
+    }
+}
+
+/**
+ * 送信先ごとの連続失敗回数を更新し、しきい値に達したときにメールでアラートを送ります。
+ * @param {string} label 送信先の名前
+ * @param {boolean} ok 送信に成功したか
+ * @param {string} error 失敗時のエラー内容
+ */
+function recordDeliveryResult(label, ok, error) {
+    let count;
+    try {
+        count = updateDeliveryState(props => {
+            const counts = JSON.parse(props.getProperty(DELIVERY_CONFIG.FAILURE_COUNT_KEY) || '{}');
+            const previous = counts[label] || 0;
+
+            counts[label] = ok ? 0 : previous + 1;
+            if (counts[label] !== previous) props.setProperty(DELIVERY_CONFIG.FAILURE_COUNT_KEY, JSON.stringify(counts));
+            return counts[label];
+        });
+    } catch (e) {
+        // 記録できなくても送信処理は止めません
+        console.warn(`連続失敗回数を更新できませんでした: ${e.message}`);
+        return;
+    }
+
+    const threshold = getSetting('DELIVERY_ALERT_THRESHOLD') || DELIVERY_CONFIG.DEFAULT_ALERT_THRESHOLD;
+    if (!ok && count === threshold) {
+        sendDeliveryAlert(
+            `⚠️ ${label}への送信が${threshold}回連続で失敗しています`,
+            `${label}への送信が${threshold}回連続で失敗しています。\n` +
+            `トークンの失効やAPIの利用上限などを確認してください。詳細はDeliveryLogシートに記録されています。\n\n` +
+            `最後のエラー: ${error}`
+        );
+    }
+}
+
+/**
+ * 送信の状態（連続失敗回数・再送の予定）のスクリプトプロパティを、スクリプトのロックを取って読み書きします。
+ * トリガー・Webhook・記録APIが同時に実行されても、互いの更新を上書きしないようにします。
+ * @param {function(GoogleAppsScript.Properties.Properties): *} update 読み書きの処理
+ * @return {*} update の戻り値
+ * @throws {Error} ロックを取れなかった場合
+ */
+function updateDeliveryState(update) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(30 * 1000)) throw new Error('別の処理が実行中のため、送信の状態を更新できませんでした。');
+
+    try {
+        return update(PropertiesService.getScriptProperties());
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * 送信失敗のアラートをメールで送ります。
+ * 失敗している送信先を経由しないよう、通知チャネルの設定（NOTIFY_ROUTES）に関係なくメールを使用します。
+ * @param {string} title 件名
+ * @param {string} text 本文
+ */
+function sendDeliveryAlert(title, text) {
+    try {
+        sendEmailNotification({ title: title, text: text });
+    } catch (e) {
+        console.error(`送信失敗アラートのメール送信に失敗しました: ${e.message}`);
+    }
+}
+
+/**
+ * 送信できなかったレポートを再送の予定に追加します（DELIVERY_AUTO_RESEND が 'true' の場合のみ）。
+ * 同じレポートがすでに予定されている場合は追加しません。
+ * @param {string} type レポートの種類（daily / weekly / monthly / yearly）
+ * @param {Date} refDate レポートの基準日時
+ */
+function scheduleReportResend(type, refDate) {
+    if (!getSetting('DELIVERY_AUTO_RESEND')) return;
+
+    const refDateStr = Utilities.formatDate(refDate, CONFIG.TIME_ZONE, 'yyyy-MM-dd');
+    try {
+        const added = updateDeliveryState(props => {
+            const pending = JSON.parse(props.getProperty(DELIVERY_CONFIG.PENDING_RESEND_KEY) || '[]');
+            if (pending.some(item => item.type === type && item.refDate === refDateStr)) return false;
+
+            pending.push({ type: type, refDate: refDateStr, attempts: 0 });
+            props.setProperty(DELIVERY_CONFIG.PENDING_RESEND_KEY, JSON.stringify(pending));
+            ensureResendTrigger();
+            return true;
+        });
+        if (added) console.log(`${refDateStr} 実行分の${type}レポートを${DELIVERY_CONFIG.RESEND_DELAY_MINUTES}分後に再送します。`);
+    } catch (e) {
+        // 呼び出し元では元のエラーを投げ直すため、ここでは記録だけにします
+        console.error(`${refDateStr} 実行分の${type}レポートを再送の予定に追加できませんでした: ${e.message}`);
+    }
+}
+
+/**
+ * 再送のトリガー（resendPendingReports）が無ければ作成します。
+ */
+function ensureResendTrigger() {
+    if (ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'resendPendingReports')) return;
+    ScriptApp.newTrigger('resendPendingReports')
+        .timeBased()
+        .after(DELIVERY_CONFIG.RESEND_DELAY_MINUTES * 60 * 1000)
+        .create();
+}
+
+/**
+ * 【トリガー】再送の予定に入っているレポートを送信します。
+ * 失敗したものは上限回数まで次の再送に回し、上限に達したらアラートを送って諦めます。
+ */
+function resendPendingReports() {
+    ScriptApp.getProjectTriggers().forEach(t => {
+        if (t.getHandlerFunction() === 'resendPendingReports') ScriptApp.deleteTrigger(t);
+    });
+
+    // 予定を取り出して空にします（送信中に追加された予定は、最後に残りと合わせて保存し直します）
+    let pending;
+    try {
+        pending = updateDeliveryState(props => {
+            const items = JSON.parse(props.getProperty(DELIVERY_CONFIG.PENDING_RESEND_KEY) || '[]');
+            props.deleteProperty(DELIVERY_CONFIG.PENDING_RESEND_KEY);
+            return items;
+        });
+    } catch (e) {
+        console.warn(`再送の予定を読み込めないため、次回に回します: ${e.message}`);
+        ensureResendTrigger();
+        return;
+    }
+
+    const remaining = [];
+    pending.forEach(item => {
+        const refDate = parseDateInput(item.refDate);
+        refDate.setHours(9);
+        try {
+            resendReport(item.type, refDate);
+            console.log(`${item.refDate} 実行分の${item.type}レポートを再送しました。`);
+        } catch (e) {
+            item.attempts++;
+            if (item.attempts < DELIVERY_CONFIG.MAX_RESEND_ATTEMPTS) {
+                remaining.push(item);
+            } else {
+                sendDeliveryAlert(
+                    `⚠️ ${item.refDate} 実行分の${item.type}レポートを再送できませんでした`,
+                    `${item.refDate} 実行分の${item.type}レポートの再送を${item.attempts}回試みましたが、送信できませんでした。\n\n最後のエラー: ${e.message}`
+                );
+            }
+        }
+    });
+
+    if (remaining.length === 0) return;
+    updateDeliveryState(props => {
+        const added = JSON.parse(props.getProperty(DELIVERY_CONFIG.PENDING_RESEND_KEY) || '[]');
+        const merged = remaining.concat(added.filter(item =>
+            !remaining.some(other => other.type === item.type && other.refDate === item.refDate)));
+        props.setProperty(DELIVERY_CONFIG.PENDING_RESEND_KEY, JSON.stringify(merged));
+        ensureResendTrigger();
+    });
+}
+
+/**
+ * レポートを基準日時を指定して作り直し、送信します（トリガーの管理の「今すぐ実行」からも使用します）。
+ * 失敗しても失敗通知・再送の予定追加は行わず、例外をそのまま投げます。
+ * @param {string} type レポートの種類
+ * @param {Date} refDate 基準日時
+ * @throws {Error} 送信に失敗した場合
+ */
+function resendReport(type, refDate) {
+    if (type === 'daily') {
+        sendDailyReport(refDate);
+        return;
+    }
+    const builders = { weekly: buildWeeklyPeriod, monthly: buildMonthlyPeriod, yearly: buildYearlyPeriod };
+    if (!builders[type]) throw new Error(`不明なレポートの種類です: ${type}`);
+    runPeriodReport(builders[type](refDate), { resend: true });
+}
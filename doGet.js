@@ -0,0 +1,23 @@
+/**
+ * Webアプリへの GET リクエストの入口です（ブラウザで開くダッシュボード）。
+ * Webアプリは匿名ユーザーもアクセスできる設定のため、URLの合言葉（?key=）が
+ * スクリプトプロパティ DASHBOARD_KEY と一致する場合のみダッシュボードを表示します。
+ * 例: https://script.google.com/macros/s/XXXX/exec?key=合言葉
+ * 合言葉が一致しない場合はHTMLのページ（google.script.run でスクリプトの関数を呼び出せるページ）を返さず、テキストで応答します。
+ * @param {Object} e リクエストのイベントオブジェクト
+ * @return {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} ダッシュボードのHTML、または権限が無い場合のテキスト
+ */
+function doGet(e) {
+  const key = e && e.parameter ? e.parameter.key : '';
+  if (!isDashboardAuthorized_(key)) {
+    return ContentService.createTextOutput('ダッシュボードを表示する権限がありません。URLの合言葉（?key=）を確認してください。')
+      .setMimeType(ContentService.MimeType.TEXT);
+  }
+
+  const template = HtmlService.createTemplateFromFile('dashboard');
+  template.dashboardKey = key;
+  template.defaultRange = getDefaultDashboardRange_(new Date());
+  return template.evaluate()
+    .setTitle('ライフログ・ダッシュボード')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
@@ -0,0 +1,38 @@
+/**
+ * Webアプリへの POST リクエストの入口です。
+ * リクエスト本文の形式を見て、各機能の処理に振り分けます。
+ * - LINE Messaging API の Webhook（events 配列を含む） → handleLineWebhook
+ * - 記録API（action を含む。ショートカットなどからのタイマー・活動の記録） → handleQuickLogRequest
+ *
+ * LINEのサーバーから呼び出せるよう、Webアプリは「全員（匿名ユーザーを含む）」がアクセスできる設定で
+ * デプロイします（appsscript.json の webapp.access）。Googleアカウントによる制限がかからないため、
+ * doGet のダッシュボードを含め、各機能は合言葉や署名だけで送信元を確認します（README.md を参照）。
+ * @param {Object} e リクエストのイベントオブジェクト
+ * @return {GoogleAppsScript.Content.TextOutput} JSONレスポンス
+ */
+function doPost(e) {
+  let body;
+  try {
+    body = JSON.parse(e && e.postData ? e.postData.contents : '');
+  } catch (err) {
+    return createJsonOutput({ status: 'error', message: 'リクエスト本文がJSONではありません。' });
+  }
+
+  if (body && Array.isArray(body.events)) {
+    return handleLineWebhook(e, body);
+  }
+  if (body && typeof body.action === 'string') {
+    return handleQuickLogRequest(e, body);
+  }
+
+  return createJsonOutput({ status: 'error', message: '対応していないリクエストです。' });
+}
+
+/**
+ * オブジェクトをJSONレスポンスに変換します。
+ * @param {Object} data レスポンスの内容
+ * @return {GoogleAppsScript.Content.TextOutput} JSONレスポンス
+ */
+function createJsonOutput(data) {
+  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview DBシートの読み書き（日付順の維持・期間の読み込み・年ごとのアーカイブ）
+ * DBシートはB列の開始時刻の順（日付順）に並べて保ちます。
+ * - 期間の読み込み（readDbRows）は、B列（開始時刻）だけを読んで該当する行の範囲を二分探索で求め、その範囲の行だけを読み込みます。
+ * - 行の追加（insertDbRows）は、末尾ではなく日付順の位置に挿入します（過去の日付の取り込み時）。
+ * - 終わった年の行は、メニューの「過去の年をアーカイブ」で年ごとのシート（DB_2025 など）に移します。
+ *   アーカイブ済みの年の期間も readDbRows で読み込めます。カレンダー同期もアーカイブ先のシートに反映します。
+ *
+ * 並べ替えでは、G列（操作用セル）の内容は動かしません（行の挿入・削除では、ほかの列と一緒に移動します）。
+ *
+ * スクリプトプロパティ:
+ * - DB_ARCHIVE_SPREADSHEET_ID: アーカイブ先のスプレッドシートのID（未設定の場合は同じスプレッドシートにシートを作成します）
+ */
+
+/** アーカイブの設定 */
+const DB_ARCHIVE_CONFIG = {
+    SHEET_PREFIX: 'DB_', // アーカイブのシート名（DB_2025 など）
+    OPERATION_COLUMN: 7 // 並べ替えで動かさない列（G列: 操作用セル）
+};
+
+/** 実行中に一度だけ開くためのキャッシュ（年をキーとしたアーカイブのシート。無い年はnull） */
+let dbArchiveSheetCache = {};
+
+/**
+ * 期間内の行を、DBシートとアーカイブから読み込みます。
+ * 日をまたぐ旧形式の行も含まれるよう、開始日の前日から読み込みます。
+ * @param {Date} start 開始日
+ * @param {Date} end 終了日（この日を含みます）
+ * @return {Array<Array>} 先頭にヘッダー行を持つ行の配列（filterEventsByRange にそのまま渡せます）
+ */
+function readDbRows(start, end) {
+    const dbSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!dbSheet) throw new Error(`'${CONFIG.SHEET_NAME}' シートが見つかりません。`);
+
+    const from = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+    const to = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    const rows = [dbSheet.getRange(1, 1, 1, Math.max(dbSheet.getLastColumn(), 1)).getValues()[0]];
+
+    for (let year = from.getFullYear(); year <= to.getFullYear(); year++) {
+        const archive = getDbArchiveSheet(year);
+        if (archive) rows.push(...findDbRowBlock(archive, from, to).values);
+    }
+    rows.push(...findDbRowBlock(dbSheet, from, to).values);
+    return rows;
+}
+
+/**
+ * B列（開始時刻）だけを読み込んで期間内の行の範囲を二分探索で求め、その範囲の行を読み込みます。
+ * 行が日付順に並んでいることを前提にします（並びが崩れた場合は、メニューの「DBシートを日付順に並べ替え」で直します）。
+ * 範囲に含まれる期間外の行（開始時刻の無い行など）は、呼び出し側で除きます。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet DBシート（またはアーカイブ）
+ * @param {Date} from 開始日
+ * @param {Date} to 終了日（この日を含みます）
+ * @return {Object} { firstRow, values }（firstRow は範囲の先頭の行番号。該当が無い場合 values は空の配列）
+ */
+function findDbRowBlock(sheet, from, to) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return { firstRow: 2, values: [] };
+
+    const dates = readDbRowDates_(sheet);
+    const first = searchDbRowDates_(dates, date => date >= from);
+    let end = searchDbRowDates_(dates, date => date > to);
+    // 開始時刻の無い行（F列の日付の位置に並んでいます）は後ろの行の日付で探すため、範囲の直後に続く分も含めます
+    while (end < dates.length && !dates[end]) end++;
+    if (first >= end) return { firstRow: 2, values: [] };
+
+    return {
+        firstRow: first + 2,
+        values: sheet.getRange(first + 2, 1, end - first, sheet.getLastColumn()).getValues()
+    };
+}
+
+/**
+ * 2行目以降の各行の日付（0時）を、B列の開始時刻だけを読み込んで求めます。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet DBシート（またはアーカイブ）
+ * @return {Array<Date|null>} 行ごとの日付（開始時刻が日時でない行はnull）
+ */
+function readDbRowDates_(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+
+    return sheet.getRange(2, DB_COL.START + 1, lastRow - 1, 1).getValues()
+        .map(row => getDbRowDate_(row[0], null));
+}
+
+/**
+ * 日付順に並んだ行の日付から、条件を満たす最初の行の位置を二分探索で求めます。
+ * 日付の無い行（null）は、その後ろで最も近い日付のある行と同じ日付として扱います。
+ * @param {Array<Date|null>} dates readDbRowDates_ の結果
+ * @param {function(Date): boolean} predicate 日付順で一度trueになると、以降もtrueになる条件
+ * @return {number} 最初の位置（満たす行が無い場合は dates.length）
+ */
+function searchDbRowDates_(dates, predicate) {
+    let low = 0;
+    let high = dates.length;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        let probe = mid;
+        while (probe < high && !dates[probe]) probe++;
+        if (probe === high || predicate(dates[probe])) {
+            high = mid;
+        } else {
+            low = probe + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * 行の開始時刻（B列）と日付（F列）から、行の日付（0時）を求めます。
+ * @param {*} startValue B列の値
+ * @param {*} dateValue F列の値
+ * @return {Date|null} 日付（どちらも読み取れない場合はnull）
+ */
+function getDbRowDate_(startValue, dateValue) {
+    const value = startValue instanceof Date ? startValue : (dateValue instanceof Date ? dateValue : null);
+    return value ? new Date(value.getFullYear(), value.getMonth(), value.getDate()) : null;
+}
+
+/**
+ * 行を日付順の位置に追加します。追加する行がすべて既存の行以降の日付であれば、末尾に追記します。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet DBシート（またはアーカイブ）
+ * @param {Array<Array>} records 追加する行（formatEventRecord の結果）
+ */
+function insertDbRows(sheet, records) {
+    if (records.length === 0) return;
+
+    const sorted = records.slice().sort((a, b) => a[DB_COL.START] - b[DB_COL.START]);
+    const firstDate = getDbRowDate_(sorted[0][DB_COL.START], null);
+    const dates = readDbRowDates_(sheet);
+
+    // 追加する最初の行より後の日付の行の直前に挿入します
+    const index = firstDate ? searchDbRowDates_(dates, date => date > firstDate) : dates.length;
+    if (index >= dates.length) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, sorted.length, sorted[0].length).setValues(sorted);
+        return;
+    }
+    sheet.insertRowsBefore(index + 2, sorted.length);
+    sheet.getRange(index + 2, 1, sorted.length, sorted[0].length).setValues(sorted);
+}
+
+/**
+ * 日付が属する年のアーカイブのシートを返します。アーカイブされていない年はnullです。
+ * @param {number} year 年
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} シート
+ */
+function getDbArchiveSheet(year) {
+    if (dbArchiveSheetCache[year] !== undefined) return dbArchiveSheetCache[year];
+    dbArchiveSheetCache[year] = getDbArchiveSpreadsheet_().getSheetByName(`${DB_ARCHIVE_CONFIG.SHEET_PREFIX}${year}`);
+    return dbArchiveSheetCache[year];
+}
+
+/**
+ * アーカイブ先のスプレッドシートを返します（DB_ARCHIVE_SPREADSHEET_ID が未設定の場合は同じスプレッドシート）。
+ * @return {GoogleAppsScript.Spreadsheet.Spreadsheet} スプレッドシート
+ */
+function getDbArchiveSpreadsheet_() {
+    const id = getSetting('DB_ARCHIVE_SPREADSHEET_ID');
+    return id ? SpreadsheetApp.openById(id) : SpreadsheetApp.getActiveSpreadsheet();
+}
+
+/**
+ * 【メニュー】DBシートを日付順に並べ替えます。
+ */
+function sortDbSheet() {
+    assertSpreadsheetUser_();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10 * 1000)) throw new Error('別の処理がDBシートを更新中です。しばらく待ってから再度お試しください。');
+
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+        if (!sheet) throw new Error(`'${CONFIG.SHEET_NAME}' シートが見つかりません。`);
+        const rows = readDbRowsForMove_(sheet);
+        writeDbRowsInPlace_(sheet, sortDbRowsByDate_(rows), 2);
+        SpreadsheetApp.getActiveSpreadsheet().toast(`${rows.length}行を日付順に並べ替えました。`, 'DBシート', 5);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * 【メニュー】終わった年（今年より前）の行を、年ごとのアーカイブのシートに移します。
+ * すべての年のアーカイブへの書き込みが終わってから、DBシートの行を削除します。
+ * 途中で止まってDBシートとアーカイブの両方に残った行は、もう一度実行したときにアーカイブに重複して追加しません。
+ * @return {Object} 年をキーとした移した行数
+ */
+function archiveClosedYears() {
+    assertSpreadsheetUser_();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10 * 1000)) throw new Error('別の処理がDBシートを更新中です。しばらく待ってから再度お試しください。');
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+        if (!sheet) throw new Error(`'${CONFIG.SHEET_NAME}' シートが見つかりません。`);
+
+        // 日付順に並べると、終わった年の行は先頭にまとまります
+        const currentYear = new Date().getFullYear();
+        const rows = sortDbRowsByDate_(readDbRowsForMove_(sheet));
+        const closedCount = rows.findIndex(row => !row.date || row.date.getFullYear() >= currentYear);
+        const moveCount = closedCount < 0 ? rows.length : closedCount;
+
+        const result = {};
+        const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        for (let i = 0; i < moveCount;) {
+            const year = rows[i].date.getFullYear();
+            let j = i;
+            while (j < moveCount && rows[j].date.getFullYear() === year) j++;
+            appendDbArchiveRows_(year, header, rows.slice(i, j));
+            result[year] = j - i;
+            i = j;
+        }
+
+        // アーカイブへの書き込みを確定させてから、残りの行を先頭から書き直し、移した分の行を末尾から削除します
+        // （先頭の行を削除すると、G列の操作用セルも一緒に移動してしまうため）
+        if (moveCount > 0) {
+            SpreadsheetApp.flush();
+            writeDbRowsInPlace_(sheet, rows.slice(moveCount), 2);
+            sheet.deleteRows(rows.length - moveCount + 2, moveCount);
+        }
+
+        const summary = Object.keys(result).map(year => `${year}年: ${result[year]}行`).join(' / ');
+        ss.toast(summary || 'アーカイブする行はありませんでした。', 'DBシートのアーカイブ', 5);
+        return result;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * アーカイブのシートに行を追加し、日付順に並べ直します。シートが無い場合はヘッダー付きで作成します。
+ * アーカイブに既にある行（イベントIDと開始時刻が同じ行。IDの無い行は内容が同じ行）は追加しません。
+ * @param {number} year 年
+ * @param {Array} header DBシートのヘッダー行
+ * @param {Array<Object>} rows 移す行（readDbRowsForMove_ の要素）
+ */
+function appendDbArchiveRows_(year, header, rows) {
+    const ss = getDbArchiveSpreadsheet_();
+    const name = `${DB_ARCHIVE_CONFIG.SHEET_PREFIX}${year}`;
+    let sheet = ss.getSheetByName(name);
+    if (!sheet) {
+        sheet = ss.insertSheet(name);
+        sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+    }
+    dbArchiveSheetCache[year] = sheet;
+
+    const existing = readDbRowsForMove_(sheet);
+    const keys = new Set(existing.map(getDbArchiveRowKey_));
+    const added = rows.filter(row => !keys.has(getDbArchiveRowKey_(row)));
+    if (added.length === 0) return;
+    // 既存の行の後ろの番号を振り、並びが同じ行は既存の行を先にします
+    const merged = existing.concat(added.map((row, i) => ({ cells: row.cells, date: row.date, index: existing.length + i })));
+    writeDbRowsInPlace_(sheet, sortDbRowsByDate_(merged), 2);
+}
+
+/**
+ * アーカイブの重複を判定するための行のキーを返します。
+ * @param {Object} row readDbRowsForMove_ の要素
+ * @return {string} キー
+ */
+function getDbArchiveRowKey_(row) {
+    const id = row.cells[DB_COL.EVENT_ID];
+    const start = row.cells[DB_COL.START];
+    return id ? `${id}|${start instanceof Date ? start.getTime() : start}` : JSON.stringify(row.cells);
+}
+
+/**
+ * 並べ替え・移動のために、2行目以降の行を数式を保ったまま読み込みます。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet DBシート（またはアーカイブ）
+ * @return {Array<Object>} { cells, date, index } の配列（cells は数式があれば数式、無ければ値）
+ */
+function readDbRowsForMove_(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+
+    const range = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+    return values.map((row, i) => ({
+        cells: row.map((value, j) => formulas[i][j] || value),
+        date: getDbRowDate_(row[DB_COL.START], row[DB_COL.DATE]),
+        index: i
+    }));
+}
+
+/**
+ * 行を日付順（同じ日の中は開始時刻順。日付の無い行は末尾）に並べます。元の並びが同じ順の行は、元の順を保ちます。
+ * @param {Array<Object>} rows readDbRowsForMove_ の結果
+ * @return {Array<Object>} 並べ替えた配列
+ */
+function sortDbRowsByDate_(rows) {
+    const time = row => {
+        const start = row.cells[DB_COL.START];
+        return start instanceof Date ? start.getTime() : (row.date ? row.date.getTime() : Infinity);
+    };
+    return rows.slice().sort((a, b) => time(a) - time(b) || a.index - b.index);
+}
+
+/**
+ * 行を指定した行番号から書き込みます。G列（操作用セル）は書き換えません。
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet DBシート（またはアーカイブ）
+ * @param {Array<Object>} rows 書き込む行（readDbRowsForMove_ の要素）
+ * @param {number} firstRow 書き込む先頭の行番号
+ */
+function writeDbRowsInPlace_(sheet, rows, firstRow) {
+    if (rows.length === 0) return;
+
+    const width = Math.max(...rows.map(row => row.cells.length));
+    const cells = rows.map(row => row.cells.concat(new Array(width - row.cells.length).fill('')));
+    const split = DB_ARCHIVE_CONFIG.OPERATION_COLUMN;
+    sheet.getRange(firstRow, 1, cells.length, Math.min(width, split - 1))
+        .setValues(cells.map(row => row.slice(0, split - 1)));
+    if (width > split) {
+        sheet.getRange(firstRow, split + 1, cells.length, width - split)
+            .setValues(cells.map(row => row.slice(split)));
+    }
+}
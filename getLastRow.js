@@ -1,4 +1,5 @@
 function getLastRow() {
+  assertSpreadsheetUser_();
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
   const lastRow = sheet.getRange(1, 1).getNextDataCell(SpreadsheetApp.Direction.DOWN).getRow();
   sheet.getRange(lastRow + 1, 1).activate();
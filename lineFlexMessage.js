@@ -0,0 +1,211 @@
+/**
+ * @fileoverview 日次レポートのLINE Flex Message
+ * カテゴリーが多いとテキストのメッセージは読みにくくなるため、
+ * バブル形式（カテゴリー別の棒グラフ・合計時間・目標の状況・AIリフレクション）でも送信できるようにします。
+ *
+ * スクリプトプロパティ LINE_MESSAGE_FORMAT に 'flex' を設定すると Flex Message で送信します（既定は 'text'）。
+ * Flex Message はメッセージ内で折りたたみができないため、AIリフレクションは冒頭の数行だけを表示し、
+ * 「全文を表示」ボタン（ポストバック）を押すとLINEボット（lineWebhook.js）が全文を返信します。
+ */
+
+/** 最後に送信したAIリフレクションを保存するスクリプトプロパティのキー */
+const LAST_DAILY_INSIGHT_KEY = 'LAST_DAILY_INSIGHT';
+
+/** Flex Message の altText の文字数上限 */
+const FLEX_ALT_TEXT_MAX_LENGTH = 1500;
+
+/**
+ * LINEの日次レポートの形式をスクリプトプロパティ LINE_MESSAGE_FORMAT から取得します。
+ * @return {string} 'text'（既定） または 'flex'
+ */
+function getLineMessageFormat() {
+    return getSetting('LINE_MESSAGE_FORMAT') === 'flex' ? 'flex' : 'text';
+}
+
+/**
+ * 日次レポートの Flex Message を組み立てます。
+ * @param {Object} report 日次レポートの内容
+ * @param {Date} report.date 対象日（昨日）
+ * @param {Array<Object>} report.analysis buildDailyAnalysis の結果
+ * @param {Array<string>} report.trendLines 長期の傾向から外れた項目（buildTrendFlagLines の結果）
+ * @param {Array<Object>} report.goals 目標の評価結果（daily と weekly）
+ * @param {Object} report.coverage 記録の網羅率（analyzeDayCoverage の結果）
+ * @param {Array<string>} report.coverageLines 未記録の時間帯と重複（buildCoverageNudgeLines の結果）
+ * @param {Object|null} report.adherence 予定と実績の比較（analyzeAdherence の結果。予定が無い場合はnull）
+ * @param {Array<string>} report.adherenceLines 予定と実績の比較の内訳（buildAdherenceLines の結果）
+ * @param {string} report.insight AIリフレクション
+ * @param {string} report.altText 通知やトーク一覧に表示するテキスト（テキスト形式のメッセージ）
+ * @return {Object} LINEのメッセージオブジェクト
+ */
+function buildDailyFlexMessage(report) {
+    const total = report.analysis.reduce((sum, item) => sum + item.hours, 0);
+    const maxHours = Math.max(...report.analysis.map(item => Math.max(item.hours, item.avg)), 0.1);
+
+    const body = [
+        {
+            type: 'text', size: 'xxs', color: '#888888',
+            contents: [
+                { type: 'span', text: '━ 昨日　', color: '#555555' },
+                { type: 'span', text: '━ 直近4週の1日平均', color: '#CCCCCC' }
+            ]
+        }
+    ];
+    report.analysis.forEach(item => body.push(buildFlexCategoryRow(item, maxHours)));
+
+    if (report.trendLines.length > 0) {
+        body.push({ type: 'separator', margin: 'lg' });
+        body.push({ type: 'text', text: 'いつもと違う点', weight: 'bold', size: 'sm', margin: 'lg' });
+        report.trendLines.forEach(line => body.push({ type: 'text', text: line, size: 'xs', color: '#555555', wrap: true }));
+    }
+
+    if (report.goals.length > 0) {
+        body.push({ type: 'separator', margin: 'lg' });
+        body.push({ type: 'text', text: '目標・残り予算', weight: 'bold', size: 'sm', margin: 'lg' });
+        report.goals.forEach(result => body.push(buildFlexGoalRow(result)));
+    }
+
+    body.push({ type: 'separator', margin: 'lg' });
+    body.push({
+        type: 'box',
+        layout: 'baseline',
+        margin: 'lg',
+        contents: [
+            { type: 'text', text: '記録の網羅率', weight: 'bold', size: 'sm' },
+            { type: 'text', text: `${report.coverage.coverageRatio}%`, size: 'sm', align: 'end', color: getCoverageColor(report.coverage.coverageRatio) }
+        ]
+    });
+    report.coverageLines.forEach(line => body.push({ type: 'text', text: line, size: 'xs', color: '#555555', wrap: true }));
+
+    if (report.adherence) {
+        body.push({ type: 'separator', margin: 'lg' });
+        body.push({
+            type: 'box',
+            layout: 'baseline',
+            margin: 'lg',
+            contents: [
+                { type: 'text', text: '予定と実績', weight: 'bold', size: 'sm' },
+                { type: 'text', text: `${report.adherence.score}%`, size: 'sm', align: 'end', color: getCoverageColor(report.adherence.score) }
+            ]
+        });
+        report.adherenceLines.forEach(line => body.push({ type: 'text', text: line, size: 'xs', color: '#555555', wrap: true }));
+    }
+
+    body.push({ type: 'separator', margin: 'lg' });
+    body.push({ type: 'text', text: 'AIリフレクション', weight: 'bold', size: 'sm', margin: 'lg' });
+    body.push({ type: 'text', text: report.insight, size: 'sm', color: '#555555', wrap: true, maxLines: 3 });
+
+    const altText = report.altText.length > FLEX_ALT_TEXT_MAX_LENGTH
+        ? report.altText.slice(0, FLEX_ALT_TEXT_MAX_LENGTH - 1) + '…'
+        : report.altText;
+
+    return {
+        type: 'flex',
+        altText: altText,
+        contents: {
+            type: 'bubble',
+            header: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    { type: 'text', text: '昨日の活動実績', size: 'sm', color: '#888888' },
+                    { type: 'text', text: Utilities.formatDate(report.date, CONFIG.TIME_ZONE, 'yyyy/MM/dd(E)'), weight: 'bold', size: 'lg' },
+                    {
+                        type: 'box',
+                        layout: 'baseline',
+                        margin: 'md',
+                        contents: [
+                            { type: 'text', text: '合計', size: 'sm', color: '#888888', flex: 0 },
+                            { type: 'text', text: `${total.toFixed(1)}h`, size: 'xxl', weight: 'bold', margin: 'md', flex: 0 }
+                        ]
+                    }
+                ]
+            },
+            body: { type: 'box', layout: 'vertical', spacing: 'md', contents: body },
+            footer: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [{
+                    type: 'button',
+                    style: 'link',
+                    height: 'sm',
+                    action: { type: 'postback', label: 'AIリフレクションを全文表示', data: 'action=dailyInsight', displayText: 'AIリフレクション' }
+                }]
+            }
+        }
+    };
+}
+
+/**
+ * カテゴリー1件分の行（名前・時間・平均比と、昨日／平均の棒）を組み立てます。
+ */
+function buildFlexCategoryRow(item, maxHours) {
+    const mark = item.diff > 0 ? '▲' : (item.diff < 0 ? '▼' : '');
+    return {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'xs',
+        contents: [
+            {
+                type: 'box',
+                layout: 'horizontal',
+                contents: [
+                    { type: 'text', text: getCategoryLabel(item.category), size: 'sm', flex: 4 },
+                    { type: 'text', text: `${item.hours.toFixed(1)}h`, size: 'sm', weight: 'bold', align: 'end', flex: 2 },
+                    { type: 'text', text: `${mark}${Math.abs(item.diff).toFixed(1)}h`, size: 'xs', color: '#888888', align: 'end', gravity: 'center', flex: 2 }
+                ]
+            },
+            buildFlexBar(item.hours / maxHours, getCategoryColor(item.category)),
+            buildFlexBar(item.avg / maxHours, '#CCCCCC')
+        ]
+    };
+}
+
+/**
+ * 割合に応じた長さの棒を組み立てます。
+ * @param {number} ratio 0～1 の割合
+ * @param {string} color 棒の色
+ */
+function buildFlexBar(ratio, color) {
+    const percent = Math.min(Math.round(ratio * 100), 100);
+    const bar = percent > 0
+        ? [{ type: 'box', layout: 'vertical', width: `${percent}%`, height: '6px', backgroundColor: color, cornerRadius: '3px', contents: [{ type: 'filler' }] }]
+        : [{ type: 'filler' }];
+    return { type: 'box', layout: 'vertical', height: '6px', backgroundColor: '#F1F3F4', cornerRadius: '3px', contents: bar };
+}
+
+/**
+ * 目標1件分の行（状況に応じた色付き）を組み立てます。
+ */
+function buildFlexGoalRow(result) {
+    const scope = result.period === 'daily' ? '昨日' : '今週';
+    return {
+        type: 'box',
+        layout: 'horizontal',
+        contents: [
+            { type: 'text', text: result.category, size: 'sm', flex: 3 },
+            { type: 'text', text: `${scope}${result.actual.toFixed(1)}h / ${formatGoalTarget(result)}`, size: 'xs', color: '#888888', gravity: 'center', flex: 5 },
+            { type: 'text', text: formatGoalStatus(result), size: 'xs', weight: 'bold', color: getGoalStatusColor(result), align: 'end', gravity: 'center', flex: 3 }
+        ]
+    };
+}
+
+/**
+ * 送信したAIリフレクションを保存します（全文表示のポストバックへの返信に使用）。
+ * @param {Date} date 対象日
+ * @param {string} insight AIリフレクション
+ */
+function saveLastDailyInsight(date, insight) {
+    PropertiesService.getScriptProperties().setProperty(LAST_DAILY_INSIGHT_KEY, JSON.stringify({ date: formatDate(date), insight: insight }));
+}
+
+/**
+ * 保存したAIリフレクションを返信用のテキストにします。
+ * @return {string} 返信テキスト
+ */
+function buildLastDailyInsightText() {
+    const saved = PropertiesService.getScriptProperties().getProperty(LAST_DAILY_INSIGHT_KEY);
+    if (!saved) return 'AIリフレクションはまだありません。';
+
+    const data = JSON.parse(saved);
+    return `【AIリフレクション】${data.date}\n${data.insight}`;
+}
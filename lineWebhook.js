@@ -0,0 +1,272 @@
+/**
+ * @fileoverview LINEボット（Webhook）
+ * LINE Messaging API の Webhook を doPost で受け取り、チャットのコマンドに応答します。
+ * - 「今日」「昨日」「今週」: カテゴリー別の集計を返信
+ * - 「【読書】45分」「【運動】1時間半 ジョギング」: 終了時刻を今として活動を記録
+ * - 「ヘルプ」: 使い方を返信
+ * - 日次レポート（Flex Message）の「AIリフレクションを全文表示」ボタン: 全文を返信
+ *
+ * 必要なスクリプトプロパティ（メニューの「設定」で編集できます）:
+ * - LINE_CHANNEL_TOKEN: チャネルアクセストークン（返信に使用。旧名の line_personal_channel_token も読み込みます）
+ * - LINE_ALLOWED_USER_IDS: 操作を許可するLINEユーザーID（カンマ区切り）
+ * - LINE_CHANNEL_SECRET: 署名（X-Line-Signature）の検証に使用
+ * - LINE_WEBHOOK_KEY: Webhook URL に ?key=... として付ける合言葉
+ *
+ * Apps Script のWebアプリは doPost にリクエストヘッダーを渡さないため、
+ * ヘッダーが取得できない場合は URL の key パラメーターで送信元を確認します。
+ * Webhook URL には「https://script.google.com/macros/s/.../exec?key=<LINE_WEBHOOK_KEY>」を登録してください。
+ */
+
+/**
+ * LINEのWebhookリクエストを処理します（doPost から呼び出されます）。
+ * @param {Object} e doPost のイベントオブジェクト
+ * @param {Object} body 解析済みのリクエスト本文
+ * @return {GoogleAppsScript.Content.TextOutput} レスポンス
+ */
+function handleLineWebhook(e, body) {
+    if (!isLineWebhookAuthorized(e)) {
+        console.warn('LINE Webhook: 署名または key の検証に失敗しました。');
+        return createJsonOutput({ status: 'unauthorized' });
+    }
+
+    body.events.forEach(event => {
+        const userId = event.source && event.source.userId;
+        let reply;
+        try {
+            if (event.type === 'message' && event.message.type === 'text') {
+                reply = handleLineCommand(userId, event.message.text.trim());
+            } else if (event.type === 'postback') {
+                reply = handleLinePostback(userId, event.postback.data);
+            }
+        } catch (err) {
+            console.error(`LINEコマンド処理エラー: ${err.message}`);
+            reply = `エラーが発生しました: ${err.message}`;
+        }
+        if (reply) replyLineMessage(event.replyToken, reply);
+    });
+
+    return createJsonOutput({ status: 'ok' });
+}
+
+/**
+ * Webhookの送信元を検証します。
+ * 署名ヘッダーが取得できる場合は HMAC-SHA256 で検証し、取得できない場合は URL の key を確認します。
+ * @param {Object} e doPost のイベントオブジェクト
+ * @return {boolean} 正当なリクエストであればtrue
+ */
+function isLineWebhookAuthorized(e) {
+    const secret = getSetting('LINE_CHANNEL_SECRET');
+    const headers = e.headers || {};
+    const signature = headers['x-line-signature'] || headers['X-Line-Signature'];
+
+    if (secret && signature) {
+        return verifyLineSignature(e.postData.contents, signature, secret);
+    }
+
+    const key = getSetting('LINE_WEBHOOK_KEY');
+    return !!key && !!e.parameter && timingSafeEqual(key, String(e.parameter.key || ''));
+}
+
+/**
+ * X-Line-Signature を検証します（リクエスト本文をチャネルシークレットで HMAC-SHA256 し、Base64 で比較）。
+ * @param {string} body リクエスト本文
+ * @param {string} signature X-Line-Signature ヘッダーの値
+ * @param {string} secret チャネルシークレット
+ * @return {boolean} 署名が一致すればtrue
+ */
+function verifyLineSignature(body, signature, secret) {
+    const expected = Utilities.base64Encode(Utilities.computeHmacSha256Signature(body, secret, Utilities.Charset.UTF_8));
+    return timingSafeEqual(expected, signature);
+}
+
+/**
+ * 2つの文字列が一致するかを、比較にかかる時間から一致した文字数を推測されないよう全文字を比較して判定します。
+ * 署名や合言葉（トークン）の確認に使用します。
+ * @param {string} expected 正しい値
+ * @param {string} actual 受け取った値
+ * @return {boolean} 一致すればtrue
+ */
+function timingSafeEqual(expected, actual) {
+    if (typeof actual !== 'string' || expected.length !== actual.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < expected.length; i++) {
+        diff |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * チャットのコマンドを解釈して、返信するテキストを返します。
+ * @param {string} userId 送信者のLINEユーザーID
+ * @param {string} text 受信したテキスト
+ * @return {string} 返信するテキスト
+ */
+function handleLineCommand(userId, text) {
+    if (!isLineUserAllowed(userId)) return buildLineUserDeniedText(userId);
+
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (text === '今日') {
+        return runWithDbLock(() => {
+            syncCalendarDay(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME), today);
+            return buildStatsSummaryText('今日', today, today);
+        });
+    }
+    if (text === '昨日') {
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        return buildStatsSummaryText('昨日', yesterday, yesterday);
+    }
+    if (text === '今週') {
+        const weekStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+        return runWithDbLock(() => {
+            syncCalendarDay(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME), today);
+            return buildStatsSummaryText('今週', weekStart, today);
+        });
+    }
+
+    const log = parseActivityLogCommand(text);
+    if (log) {
+        const start = new Date(now.getTime() - log.minutes * 60000);
+        return runWithDbLock(() => {
+            logActivity(log.category, start, now, log.memo);
+            const timeRange = `${Utilities.formatDate(start, CONFIG.TIME_ZONE, 'HH:mm')}～${Utilities.formatDate(now, CONFIG.TIME_ZONE, 'HH:mm')}`;
+            return `📝 記録しました\n【${log.category}】${log.memo ? ' ' + log.memo : ''}\n${timeRange}（${log.minutes}分）`;
+        });
+    }
+
+    return [
+        '使い方:',
+        '・「今日」「昨日」「今週」… カテゴリー別の実績',
+        '・「【読書】45分」… 今から45分前～今を記録',
+        '・「【運動】1時間半 ジョギング」… メモ付きで記録'
+    ].join('\n');
+}
+
+/**
+ * DBシートを書き換える処理を、スクリプトのロックを取ってから実行します。
+ * カレンダー同期・期間指定の取り込み・記録APIと同時に行を追加・削除し、行の位置がずれるのを防ぎます。
+ * @param {function(): string} action 処理（返信するテキストを返します）
+ * @return {string} 返信するテキスト（ロックを取れない場合は、時間をおいて再度送るよう伝えるテキスト）
+ */
+function runWithDbLock(action) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10 * 1000)) return '別の処理がDBシートを更新中です。しばらく待ってから再度お試しください。';
+
+    try {
+        return action();
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * ボタンなどから送られたポストバックを処理して、返信するテキストを返します。
+ * @param {string} userId 送信者のLINEユーザーID
+ * @param {string} data ポストバックのデータ（例: action=dailyInsight）
+ * @return {string|null} 返信するテキスト（対応しないデータの場合はnull）
+ */
+function handleLinePostback(userId, data) {
+    if (!isLineUserAllowed(userId)) return buildLineUserDeniedText(userId);
+
+    if (data === 'action=dailyInsight') return buildLastDailyInsightText();
+    return null;
+}
+
+/**
+ * ボットの操作を許可されたユーザーかどうかを判定します（スクリプトプロパティ LINE_ALLOWED_USER_IDS）。
+ * @param {string} userId LINEユーザーID
+ * @return {boolean} 許可されていればtrue
+ */
+function isLineUserAllowed(userId) {
+    const allowed = getSetting('LINE_ALLOWED_USER_IDS')
+        .split(',').map(id => id.trim()).filter(Boolean);
+    return allowed.includes(userId);
+}
+
+/**
+ * 許可されていないユーザーへの返信テキストを生成します。
+ */
+function buildLineUserDeniedText(userId) {
+    return `このボットを操作する権限がありません。\n利用する場合は、スクリプトプロパティ LINE_ALLOWED_USER_IDS に次のIDを追加してください。\n${userId}`;
+}
+
+/**
+ * 「【カテゴリー】時間 メモ」形式のテキストを解析します。
+ * 時間は「45分」「1時間」「1時間半」「1時間30分」「1.5h」「90m」などに対応します。
+ * @param {string} text 受信したテキスト
+ * @return {Object|null} { category, minutes, memo }（形式に合わなければnull）
+ */
+function parseActivityLogCommand(text) {
+    const match = text.match(/^【(.+?)】\s*(.*)$/);
+    if (!match) return null;
+
+    let rest = match[2];
+    let minutes = 0;
+    const durationPattern = /^(?:(\d+(?:\.\d+)?)\s*(?:時間|h|H)(半)?)?\s*(?:(\d+)\s*(?:分|m|min))?/;
+    const duration = rest.match(durationPattern);
+    if (duration && duration[0].trim()) {
+        minutes = (duration[1] ? Number(duration[1]) * 60 : 0) + (duration[2] ? 30 : 0) + (duration[3] ? Number(duration[3]) : 0);
+        rest = rest.slice(duration[0].length);
+    }
+    if (!(minutes > 0)) return null;
+
+    return { category: resolveCategory(match[1]), minutes: Math.round(minutes), memo: rest.trim() };
+}
+
+/**
+ * 期間内のカテゴリー別集計を返信用のテキストにします。
+ * @param {string} label 期間の名前（今日・昨日・今週）
+ * @param {Date} start 開始日
+ * @param {Date} end 終了日
+ * @return {string} 返信テキスト
+ */
+function buildStatsSummaryText(label, start, end) {
+    const stats = aggregateDailyEvents(filterEventsByRange(readDbRows(start, end), start, end));
+
+    const categories = Object.keys(stats)
+        .sort((a, b) => compareCategoryOrder(a, b, name => stats[name] && stats[name].hours));
+    if (categories.length === 0) return `${label}の記録はまだありません。`;
+
+    const rangeStr = start.getTime() === end.getTime()
+        ? Utilities.formatDate(start, CONFIG.TIME_ZONE, 'MM/dd(E)')
+        : `${Utilities.formatDate(start, CONFIG.TIME_ZONE, 'MM/dd')}～${Utilities.formatDate(end, CONFIG.TIME_ZONE, 'MM/dd')}`;
+    const total = categories.reduce((sum, cat) => sum + stats[cat].hours, 0);
+
+    let text = `【${label}の実績】${rangeStr}\n合計 ${total.toFixed(1)}h\n`;
+    categories.forEach(cat => {
+        text += `■${getCategoryLabel(cat)} ${stats[cat].hours.toFixed(1)}h\n`;
+    });
+    return text.trim();
+}
+
+/**
+ * LINEの応答メッセージ（reply API）を送信します。
+ * @param {string} replyToken Webhookで受け取った応答トークン
+ * @param {string|Object|Array<string|Object>} message 返信するテキスト、またはメッセージオブジェクト
+ */
+function replyLineMessage(replyToken, message) {
+    const url = 'https://api.line.me/v2/bot/message/reply';
+    const token = getSetting('LINE_CHANNEL_TOKEN');
+
+    if (!token) {
+        console.warn("LINEのチャネルアクセストークン（LINE_CHANNEL_TOKEN）が未設定です。");
+        return;
+    }
+
+    const payload = Object.assign({ replyToken: replyToken }, buildLinePayload(message));
+    const params = {
+        method: 'post',
+        contentType: 'application/json',
+        headers: { Authorization: 'Bearer ' + token },
+        payload: JSON.stringify(payload),
+        muteHttpExceptions: true
+    };
+
+    try {
+        fetchWithRetry('LINE返信', url, params);
+    } catch (e) {
+        console.error(`LINE通信例外: ${e.message}`);
+    }
+}
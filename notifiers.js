@@ -0,0 +1,211 @@
+/**
+ * @fileoverview 通知チャネル（LINE・Slack・Discord・メール）
+ * レポートの内容は共通の「通知」オブジェクトとして組み立て、チャネルごとの形式に変換して送信します。
+ * レポートの種類ごとに、どのチャネルへ送るかをスクリプトプロパティ NOTIFY_ROUTES で設定できます。
+ *
+ * 通知オブジェクト:
+ *   { title, text, html?, inlineImages?, attachments?, line? }
+ *   - text: 全チャネル共通の本文（プレーンテキスト）
+ *   - html: メール用のHTML本文（省略時は text のみのメール）
+ *   - line: LINE用のメッセージ（Flex Message など。省略時は text）
+ *
+ * スクリプトプロパティ:
+ * - NOTIFY_ROUTES: 例 {"daily": ["line", "slack"], "weekly": ["email", "discord"], "alert": ["email"]}
+ *   （未設定の種類は DEFAULT_NOTIFY_ROUTES に従います）
+ * - LINE_TO_USER_IDS: LINEの送信先ユーザーID（カンマ区切り）。1件は push、複数は multicast、未設定は broadcast
+ * - SLACK_WEBHOOK_URL / DISCORD_WEBHOOK_URL: Incoming Webhook のURL
+ * - NOTIFY_EMAIL: メールの送信先（未設定の場合はスクリプトの実行ユーザー）
+ */
+
+/** レポートの種類ごとの既定の送信先 */
+const DEFAULT_NOTIFY_ROUTES = {
+    daily: ['line'],
+    weekly: ['email'],
+    monthly: ['email'],
+    yearly: ['email'],
+    alert: ['email']
+};
+
+/** 通知チャネルの定義（send は送信に失敗した場合に例外を投げます） */
+const NOTIFIERS = {
+    line: { name: 'LINE', send: notification => sendLineMessage(notification.line || truncateText(notification.text, 5000)) },
+    slack: { name: 'Slack', send: notification => sendSlackNotification(notification) },
+    discord: { name: 'Discord', send: notification => sendDiscordNotification(notification) },
+    email: { name: 'メール', send: notification => sendEmailNotification(notification) }
+};
+
+/**
+ * レポートの種類の送信先チャネルを取得します。
+ * @param {string} reportType レポートの種類（daily / weekly / monthly / yearly / alert）
+ * @return {Array<string>} チャネル名の配列
+ */
+function getNotifyChannels(reportType) {
+    let routes = {};
+    const json = getSetting('NOTIFY_ROUTES');
+    if (json) {
+        try {
+            routes = JSON.parse(json);
+        } catch (e) {
+            console.warn(`NOTIFY_ROUTES の形式が不正なため既定の送信先を使用します: ${e.message}`);
+        }
+    }
+
+    const channels = routes[reportType] || DEFAULT_NOTIFY_ROUTES[reportType] || ['email'];
+    return (Array.isArray(channels) ? channels : [channels]).filter(channel => {
+        if (NOTIFIERS[channel]) return true;
+        console.warn(`不明な通知チャネルのためスキップします: ${channel}`);
+        return false;
+    });
+}
+
+/**
+ * 通知をレポートの種類の送信先すべてに送信します。
+ * 一部のチャネルで失敗しても残りのチャネルには送信し、すべて失敗した場合はメールで送信します。
+ * @param {string} reportType レポートの種類
+ * @param {Object} notification 通知オブジェクト
+ * @return {Array<Object>} チャネルごとの結果 { channel, ok, error }
+ */
+function notify(reportType, notification) {
+    const channels = getNotifyChannels(reportType);
+    const results = channels.map(channel => sendNotification(channel, notification));
+
+    if (results.length > 0 && results.every(result => !result.ok) && !channels.includes('email')) {
+        console.warn(`${reportType}: すべての通知チャネルで送信に失敗したため、メールで送信します。`);
+        results.push(sendNotification('email', notification));
+    }
+
+    const failed = results.filter(result => !result.ok);
+    if (failed.length === results.length) {
+        throw new Error(`通知の送信に失敗しました: ${failed.map(result => `${result.channel}(${result.error})`).join(', ')}`);
+    }
+    return results;
+}
+
+/**
+ * 1つのチャネルに通知を送信します。
+ * @param {string} channel チャネル名
+ * @param {Object} notification 通知オブジェクト
+ * @return {Object} { channel, ok, error }
+ */
+function sendNotification(channel, notification) {
+    try {
+        NOTIFIERS[channel].send(notification);
+        return { channel: channel, ok: true };
+    } catch (e) {
+        console.error(`${NOTIFIERS[channel].name}への通知に失敗しました: ${e.message}`);
+        return { channel: channel, ok: false, error: e.message };
+    }
+}
+
+/**
+ * 処理の失敗を alert の送信先に通知します。
+ * 通知自体の失敗でさらにエラーにならないよう、例外はログに記録するだけにします。
+ * @param {string} name 失敗した処理の名前（例: 週次レポート）
+ * @param {Error} error 発生したエラー
+ */
+function notifyFailure(name, error) {
+    try {
+        notify('alert', {
+            title: `⚠️ ${name}の実行に失敗しました`,
+            text: `${name}の実行中にエラーが発生しました。\n\n${error.message}\n\n${Utilities.formatDate(new Date(), CONFIG.TIME_ZONE, 'yyyy/MM/dd HH:mm')}`
+        });
+    } catch (e) {
+        console.error(`失敗通知の送信にも失敗しました: ${e.message}`);
+    }
+}
+
+/**
+ * Slack の Incoming Webhook に通知を送信します（見出し＋本文のブロック）。
+ */
+function sendSlackNotification(notification) {
+    const url = getSetting('SLACK_WEBHOOK_URL');
+    if (!url) throw new Error('SLACK_WEBHOOK_URL が未設定です。');
+
+    fetchWithRetry('Slack', url, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify(buildSlackPayload(notification)),
+        muteHttpExceptions: true
+    });
+}
+
+/**
+ * Slack に送信するペイロード（Block Kit）を組み立てます。
+ * セクションの文字数上限（3,000文字）に合わせて本文を分割します。
+ */
+function buildSlackPayload(notification) {
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: truncateText(notification.title, 150) } }];
+    splitText(notification.text, 3000).slice(0, 49).forEach(chunk => {
+        const escaped = chunk.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escaped } });
+    });
+    return { text: notification.title, blocks: blocks };
+}
+
+/**
+ * Discord の Webhook に通知を送信します（埋め込み形式）。
+ */
+function sendDiscordNotification(notification) {
+    const url = getSetting('DISCORD_WEBHOOK_URL');
+    if (!url) throw new Error('DISCORD_WEBHOOK_URL が未設定です。');
+
+    fetchWithRetry('Discord', url, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify(buildDiscordPayload(notification)),
+        muteHttpExceptions: true
+    });
+}
+
+/**
+ * Discord に送信するペイロードを組み立てます。
+ * 埋め込みの説明文の上限（4,096文字）に合わせて本文を切り詰めます。
+ */
+function buildDiscordPayload(notification) {
+    return {
+        embeds: [{
+            title: truncateText(notification.title, 256),
+            description: truncateText(notification.text, 4096),
+            color: 0x4285F4
+        }]
+    };
+}
+
+/**
+ * メールで通知を送信します。html が無い場合は text をそのまま本文にします。
+ */
+function sendEmailNotification(notification) {
+    const to = getSetting('NOTIFY_EMAIL') || Session.getActiveUser().getEmail();
+    if (!to) throw new Error('メールの送信先が取得できません（NOTIFY_EMAIL）。');
+
+    const options = {};
+    if (notification.html) options.htmlBody = notification.html;
+    if (notification.inlineImages) options.inlineImages = notification.inlineImages;
+    if (notification.attachments) options.attachments = notification.attachments;
+
+    GmailApp.sendEmail(to, notification.title, notification.text || '', options);
+}
+
+/**
+ * 文字数の上限を超える場合に末尾を切り詰めます。
+ */
+function truncateText(text, maxLength) {
+    const str = String(text || '');
+    return str.length > maxLength ? str.slice(0, maxLength - 1) + '…' : str;
+}
+
+/**
+ * 文字数の上限ごとに本文を分割します（できるだけ改行の位置で区切ります）。
+ */
+function splitText(text, maxLength) {
+    const chunks = [];
+    let rest = String(text || '');
+    while (rest.length > maxLength) {
+        const cut = rest.lastIndexOf('\n', maxLength);
+        const end = cut > 0 ? cut : maxLength;
+        chunks.push(rest.slice(0, end));
+        rest = rest.slice(end).replace(/^\n/, '');
+    }
+    if (rest) chunks.push(rest);
+    return chunks;
+}
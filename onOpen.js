@@ -2,7 +2,34 @@ function onOpen() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('🚀各種オプション')
     .addItem('前日スケジュール追加', 'addCalendarDayEvents')
-    .addItem('日付選択追加', 'addCalendarSelectDayEvents')
+    .addItem('期間指定で追加', 'showBackfillDialog')
     .addItem('最終行取得', 'getLastRow')
+    .addItem('カテゴリーマスタ作成', 'initCategorySheet')
+    .addItem('プロンプトテンプレート作成', 'initPromptSheet')
+    .addItem('集計シートの再構築', 'promptAndRebuildRollups')
+    .addSubMenu(ui.createMenu('DBシートの整理')
+      .addItem('日付順に並べ替え', 'sortDbSheet')
+      .addItem('過去の年をアーカイブ', 'archiveClosedYears'))
+    .addSubMenu(ui.createMenu('レポートのプレビュー')
+      .addItem('日次LINE', 'previewDailyLineNotify')
+      .addItem('週次レポート', 'previewWeeklyReport')
+      .addItem('月次レポート', 'previewMonthlyReport')
+      .addItem('年間レポート', 'previewYearlyReport'))
+    .addSeparator()
+    .addItem('トリガーの管理', 'showTriggerManager')
+    .addItem('設定', 'showSettingsSidebar')
     .addToUi();
-}
\ No newline at end of file
+}
+
+/**
+ * メニュー・ダイアログ・サイドバーから呼び出される関数の先頭で、スプレッドシートから実行されていることを確認します。
+ * Webアプリは匿名ユーザーもアクセスできる設定のため、Webアプリのページから google.script.run で
+ * 呼び出された場合（実行ユーザーがデプロイしたユーザーになり、アクセスしたユーザーと一致しない）は処理を中止します。
+ * @throws {Error} スプレッドシートから実行されていない場合
+ */
+function assertSpreadsheetUser_() {
+  const activeUser = Session.getActiveUser().getEmail();
+  if (!activeUser || activeUser !== Session.getEffectiveUser().getEmail()) {
+    throw new Error('この操作はスプレッドシートのメニューからのみ実行できます。');
+  }
+}
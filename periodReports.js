@@ -0,0 +1,129 @@
+/**
+ * @fileoverview 月次・年間ライフログ・レポート生成プログラム
+ * 週次レポートと同じ処理（runPeriodReport）で、1か月・1年間の活動を集計してメール送信します。
+ * - 月次: 前月比・前年同月比、月内の週ごとの推移、上位カテゴリー
+ * - 年間: 前年比、月ごとの推移、上位カテゴリー
+ */
+
+/**
+ * 【メイン関数】月次レポートを送信します。
+ * 毎月1日の朝に実行し、前月分を集計することを想定しています。
+ */
+function sendMonthlyReport() {
+    runPeriodReport(buildMonthlyPeriod(new Date()));
+}
+
+/**
+ * 【メイン関数】年間レポート（Year in Review）を送信します。
+ * 1月1日の朝に実行し、前年分を集計することを想定しています。
+ */
+function sendYearlyReport() {
+    runPeriodReport(buildYearlyPeriod(new Date()));
+}
+
+/**
+ * 月次トリガーから呼び出され、1月のときだけ年間レポートを送信します。
+ * （GASのトリガーには「毎年」の指定が無いため、毎月1日に起動して判定します）
+ */
+function sendYearlyReportIfJanuary() {
+    if (new Date().getMonth() !== 0) return;
+    sendYearlyReport();
+}
+
+/**
+ * 月次レポートの集計期間の定義を生成します。
+ * @param {Date} refDate 基準日時（通常は今日）
+ * @return {Object} runPeriodReport に渡す期間の定義
+ */
+function buildMonthlyPeriod(refDate) {
+    const thisMonth = getMonthlyDateRange(refDate, 0);
+    const lastMonth = getMonthlyDateRange(refDate, -1);
+    const lastYearMonth = getMonthlyDateRange(refDate, -12);
+
+    // 月内を日～土の週で区切ります（月初・月末の週は月の範囲に切り詰めます）
+    const buckets = buildDateBuckets(thisMonth.start, thisMonth.end, 'week');
+
+    return {
+        type: 'monthly',
+        name: '月次',
+        refDate: refDate,
+        title: `月次ライフログ・レポート（${Utilities.formatDate(thisMonth.start, CONFIG.TIME_ZONE, 'yyyy年M月')}）`,
+        current: thisMonth,
+        previous: lastMonth,
+        previousLabel: '前月比',
+        lastYear: lastYearMonth,
+        lastYearLabel: '前年同月比',
+        buckets: buckets,
+        bucketAxisTitle: '週',
+        chartTitle: '週別カテゴリー別 時間配分 (時間)'
+    };
+}
+
+/**
+ * 年間レポートの集計期間の定義を生成します。
+ * @param {Date} refDate 基準日時（通常は今日）
+ * @return {Object} runPeriodReport に渡す期間の定義
+ */
+function buildYearlyPeriod(refDate) {
+    const thisYear = getYearlyDateRange(refDate, 0);
+    const lastYear = getYearlyDateRange(refDate, -1);
+
+    const buckets = buildDateBuckets(thisYear.start, thisYear.end, 'month');
+
+    return {
+        type: 'yearly',
+        name: '年間',
+        refDate: refDate,
+        title: `${thisYear.start.getFullYear()}年 ライフログ Year in Review`,
+        current: thisYear,
+        previous: lastYear,
+        previousLabel: '前年比',
+        buckets: buckets,
+        bucketAxisTitle: '月',
+        chartTitle: '月別カテゴリー別 時間配分 (時間)'
+    };
+}
+
+/**
+ * 月単位の集計期間を計算します。
+ * 基準日の前日が属する月を対象とするため、1日に実行すると前月分になります。
+ * @param {Date} refDate 基準日時（通常は今日）
+ * @param {number} offsetMonths 月のオフセット (0:対象月, -1:前月, -12:前年同月)
+ */
+function getMonthlyDateRange(refDate, offsetMonths) {
+    const base = new Date(refDate.getFullYear(), refDate.getMonth(), refDate.getDate() - 1);
+    const start = new Date(base.getFullYear(), base.getMonth() + offsetMonths, 1, 0, 0, 0);
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999);
+    return { start, end };
+}
+
+/**
+ * 年単位の集計期間を計算します。
+ * 基準日の前日が属する年を対象とするため、1月1日に実行すると前年分になります。
+ * @param {Date} refDate 基準日時（通常は今日）
+ * @param {number} offsetYears 年のオフセット (0:対象年, -1:前年)
+ */
+function getYearlyDateRange(refDate, offsetYears) {
+    const base = new Date(refDate.getFullYear(), refDate.getMonth(), refDate.getDate() - 1);
+    const start = new Date(base.getFullYear() + offsetYears, 0, 1, 0, 0, 0);
+    const end = new Date(start.getFullYear(), 11, 31, 23, 59, 59, 999);
+    return { start, end };
+}
+
+/**
+ * 定期実行用トリガーの設定
+ * 毎月1日の設定の時刻（既定は午前9時）に月次レポートを実行するようにセットします。
+ * （メニューの「トリガーの管理」からも設定できます）
+ */
+function createMonthlyTrigger() {
+    installTriggerJob('monthly');
+}
+
+/**
+ * 定期実行用トリガーの設定
+ * 毎月1日の設定の時刻（既定は午前10時）に起動し、1月のときだけ年間レポートを送信するようにセットします。
+ * （メニューの「トリガーの管理」からも設定できます）
+ */
+function createYearlyTrigger() {
+    installTriggerJob('yearly');
+}
@@ -0,0 +1,324 @@
+/**
+ * @fileoverview 予定と実績の比較（計画の実行度）
+ * 予定を立てるカレンダー（設定の PLAN_CALENDAR_ID）のイベントと、DBシートに記録した実績を、カテゴリー・日ごとに比べます。
+ * - 予定どおり: 予定の時間帯のうち、同じカテゴリーの実績が重なっている時間
+ * - 未実行: 予定どおりの時間が ADHERENCE_CONFIG.MIN_MATCH_RATIO 未満の予定
+ * - 予定外: その日の予定の時間帯（最初の予定の開始～最後の予定の終了）にある実績のうち、
+ *   同じカテゴリーの予定と重なる時間が MIN_MATCH_RATIO 未満のもの（睡眠など予定を立てない時間帯は対象外です）
+ * - スコア: 予定どおりの時間 ÷（予定の時間 ＋ 予定外の時間）。予定を実行するほど高く、予定外の活動が多いほど低くなります
+ *
+ * 予定のカレンダーは同期するカレンダー（CALENDARS）とは別にしてください（同期すると予定が実績として記録されます）。
+ * 予定のイベントも【カテゴリー】形式のタイトルで分類し、カテゴリーの無い予定・終日の予定は比較に含めません。
+ * 週次メール・AIプロンプトには期間全体を、日次LINEには昨日の結果を表示します。
+ */
+
+/** 予定と実績の比較の設定 */
+const ADHERENCE_CONFIG = {
+    // 予定（実績）のうち、この割合以上が同じカテゴリーの実績（予定）と重なっていれば「予定どおり」とみなします
+    MIN_MATCH_RATIO: 0.25,
+    // 週次メール・AIプロンプトに表示する未実行の予定・予定外のカテゴリーの最大件数
+    MAX_LIST_ITEMS: 5,
+    // 日次LINEに表示する未実行の予定・予定外の活動の最大件数
+    MAX_DAILY_ITEMS: 3
+};
+
+/**
+ * 予定のカレンダーを読み込み、期間内の予定と実績を比較します。
+ * 予定のカレンダーが未設定の場合や読み込みに失敗した場合は、レポートを止めないように null を返します。
+ * @param {Array<Object>} actualEvents 期間内の実績（filterEventsByRange の結果）
+ * @param {Date} start 期間の開始日
+ * @param {Date} end 期間の終了日時
+ * @return {Object|null} analyzeAdherence の結果（期間内に予定が無い場合も null）
+ */
+function analyzePlanAdherence(actualEvents, start, end) {
+    const calendarId = getSetting('PLAN_CALENDAR_ID');
+    if (!calendarId) return null;
+
+    try {
+        const adherence = analyzeAdherence(getPlannedEvents(calendarId, start, end), actualEvents, start, end);
+        return adherence.plannedHours > 0 ? adherence : null;
+    } catch (e) {
+        console.warn(`予定と実績の比較に失敗しました: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * 予定のカレンダーから、期間内の予定を filterEventsByRange と同じ形式で取得します。
+ * 日をまたぐ予定は日ごとに分割します。終日の予定とカテゴリーの無い予定は除きます。
+ * @param {string} calendarId 予定のカレンダーID
+ * @param {Date} start 期間の開始日
+ * @param {Date} end 期間の終了日時
+ * @return {Array<Object>} 予定 { title, category, subcategory, tags, start, end, date }
+ */
+function getPlannedEvents(calendarId, start, end) {
+    const calendar = CalendarApp.getCalendarById(calendarId);
+    if (!calendar) throw new Error(`予定のカレンダーが見つかりません: ${calendarId}`);
+
+    const rangeEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    const planned = [];
+    calendar.getEvents(start, rangeEnd).forEach(event => {
+        if (event.isAllDayEvent()) return;
+        const title = event.getTitle();
+        const parsed = parseEventTitle(title);
+        if (!parsed.category) return;
+
+        splitEventByDay(event.getStartTime(), event.getEndTime())
+            .filter(segment => segment.start >= start && segment.start < rangeEnd && segment.end > segment.start)
+            .forEach(segment => planned.push({
+                title: title,
+                category: parsed.category,
+                subcategory: parsed.subcategory,
+                tags: parsed.tags,
+                start: segment.start,
+                end: segment.end,
+                date: new Date(segment.start.getFullYear(), segment.start.getMonth(), segment.start.getDate())
+            }));
+    });
+    return planned;
+}
+
+/**
+ * 予定と実績を、日ごと・カテゴリーごとに比較します。
+ * @param {Array<Object>} plannedEvents 期間内の予定（getPlannedEvents の結果）
+ * @param {Array<Object>} actualEvents 期間内の実績（filterEventsByRange の結果）
+ * @param {Date} start 期間の開始日
+ * @param {Date} end 期間の終了日時
+ * @return {Object} { days, categories, missed, unplanned, plannedHours, matchedHours, unplannedHours, score }
+ *   - days: [{ date, plannedHours, matchedHours, unplannedHours, score }]
+ *   - categories: [{ category, plannedHours, actualHours, matchedHours, ratio }]（ratio は予定の実行率 %。予定が無ければnull）
+ *   - missed: [{ title, category, start, end, hours, executedRatio }]（未実行の予定）
+ *   - unplanned: [{ title, category, start, end, hours }]（予定外の活動。時間は予定の時間帯に含まれる部分）
+ *   - score: スコア（%。予定が無ければnull）
+ */
+function analyzeAdherence(plannedEvents, actualEvents, start, end) {
+    const categoryTotals = {};
+    const totalsOf = category => categoryTotals[category] || (categoryTotals[category] = { plannedHours: 0, actualHours: 0, matchedHours: 0 });
+    const days = [];
+    const missed = [];
+    const unplanned = [];
+
+    const actualStats = aggregateStats(actualEvents);
+    Object.keys(actualStats).forEach(category => { totalsOf(category).actualHours = actualStats[category].hours; });
+
+    for (let day = new Date(start.getFullYear(), start.getMonth(), start.getDate()); day <= end; day = addDays(day, 1)) {
+        const plans = toCategorizedIntervals(plannedEvents.filter(ev => ev.date.getTime() === day.getTime()));
+        const actuals = toCategorizedIntervals(actualEvents.filter(ev => ev.date.getTime() === day.getTime()));
+        const result = { date: day, plannedHours: 0, matchedHours: 0, unplannedHours: 0, score: null };
+        days.push(result);
+        if (plans.length === 0) continue;
+
+        const planByCategory = mergeIntervalsByCategory(plans);
+        const actualByCategory = mergeIntervalsByCategory(actuals);
+        Object.keys(planByCategory).forEach(category => {
+            const plannedHours = sumIntervalHours(planByCategory[category]);
+            const matchedHours = sumOverlapHours(planByCategory[category], actualByCategory[category] || []);
+            totalsOf(category).plannedHours += plannedHours;
+            totalsOf(category).matchedHours += matchedHours;
+            result.plannedHours += plannedHours;
+            result.matchedHours += matchedHours;
+        });
+
+        // 未実行の予定
+        plans.forEach(plan => {
+            const hours = (plan.end - plan.start) / 3600000;
+            const executedRatio = sumOverlapHours([plan], actualByCategory[plan.category] || []) / hours;
+            if (executedRatio < ADHERENCE_CONFIG.MIN_MATCH_RATIO) {
+                missed.push({ title: plan.title, category: plan.category, start: plan.start, end: plan.end, hours: hours, executedRatio: executedRatio });
+            }
+        });
+
+        // 予定外の活動（その日の予定の時間帯に含まれる部分のみ）
+        const windowStart = new Date(Math.min(...plans.map(plan => plan.start.getTime())));
+        const windowEnd = new Date(Math.max(...plans.map(plan => plan.end.getTime())));
+        actuals.forEach(actual => {
+            const clipped = { start: actual.start < windowStart ? windowStart : actual.start, end: actual.end > windowEnd ? windowEnd : actual.end };
+            if (clipped.end <= clipped.start) return;
+            const hours = (clipped.end - clipped.start) / 3600000;
+            const plannedRatio = sumOverlapHours([clipped], planByCategory[actual.category] || []) / hours;
+            if (plannedRatio >= ADHERENCE_CONFIG.MIN_MATCH_RATIO) return;
+
+            unplanned.push({ title: actual.title, category: actual.category, start: clipped.start, end: clipped.end, hours: hours });
+            result.unplannedHours += hours;
+        });
+        result.score = calculateAdherenceScore(result.plannedHours, result.matchedHours, result.unplannedHours);
+    }
+
+    const sum = key => days.reduce((total, day) => total + day[key], 0);
+    const plannedHours = sum('plannedHours');
+    const matchedHours = sum('matchedHours');
+    const unplannedHours = sum('unplannedHours');
+    const categories = Object.keys(categoryTotals)
+        .filter(category => categoryTotals[category].plannedHours > 0 || unplanned.some(item => item.category === category))
+        .map(category => Object.assign({ category: category }, categoryTotals[category], {
+            ratio: categoryTotals[category].plannedHours > 0 ? Math.round(categoryTotals[category].matchedHours / categoryTotals[category].plannedHours * 100) : null
+        }))
+        .sort((a, b) => b.plannedHours - a.plannedHours || compareCategoryOrder(a.category, b.category));
+
+    return {
+        days: days,
+        categories: categories,
+        missed: missed.sort((a, b) => b.hours - a.hours || a.start - b.start),
+        unplanned: unplanned.sort((a, b) => b.hours - a.hours || a.start - b.start),
+        plannedHours: plannedHours,
+        matchedHours: matchedHours,
+        unplannedHours: unplannedHours,
+        score: calculateAdherenceScore(plannedHours, matchedHours, unplannedHours)
+    };
+}
+
+/**
+ * スコア（%）を計算します。予定が無い場合はnullです。
+ */
+function calculateAdherenceScore(plannedHours, matchedHours, unplannedHours) {
+    return plannedHours > 0 ? Math.round(matchedHours / (plannedHours + unplannedHours) * 100) : null;
+}
+
+/**
+ * 開始・終了時刻とカテゴリーのあるイベントを、比較用の時間帯 { title, category, start, end } に変換します。
+ */
+function toCategorizedIntervals(events) {
+    return events
+        .filter(ev => ev.start instanceof Date && ev.end instanceof Date && ev.end > ev.start)
+        .map(ev => ({ title: String(ev.title), category: getEventCategory(ev), start: ev.start, end: ev.end }))
+        .filter(interval => interval.category);
+}
+
+/**
+ * 時間帯をカテゴリーごとにまとめ、重なっている時間帯を結合します（二重に数えないため）。
+ * @return {Object} カテゴリーをキーとした、開始時刻順の時間帯 { start, end } の配列
+ */
+function mergeIntervalsByCategory(intervals) {
+    const byCategory = {};
+    intervals
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .forEach(interval => {
+            const merged = byCategory[interval.category] || (byCategory[interval.category] = []);
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                if (interval.end > last.end) last.end = interval.end;
+            } else {
+                merged.push({ start: interval.start, end: interval.end });
+            }
+        });
+    return byCategory;
+}
+
+function sumIntervalHours(intervals) {
+    return intervals.reduce((total, interval) => total + (interval.end - interval.start), 0) / 3600000;
+}
+
+/**
+ * 2つの時間帯の一覧が重なっている時間を返します（others は結合済みのもの）。
+ */
+function sumOverlapHours(intervals, others) {
+    let ms = 0;
+    intervals.forEach(interval => {
+        others.forEach(other => {
+            const overlap = Math.min(interval.end, other.end) - Math.max(interval.start, other.start);
+            if (overlap > 0) ms += overlap;
+        });
+    });
+    return ms / 3600000;
+}
+
+/**
+ * 日次LINE用に、昨日のスコアと未実行の予定・予定外の活動を列挙します。
+ * @param {Object} adherence analyzeAdherence の結果（1日分）
+ * @return {Array<string>} 表示する行
+ */
+function buildAdherenceLines(adherence) {
+    const time = date => Utilities.formatDate(date, CONFIG.TIME_ZONE, 'HH:mm');
+    const item = entry => `${getCategoryLabel(entry.category)} ${entry.hours.toFixed(1)}h (${time(entry.start)}–${time(entry.end)})`;
+    const lines = [`予定 ${adherence.plannedHours.toFixed(1)}h のうち ${adherence.matchedHours.toFixed(1)}h を実行 / 予定外 ${adherence.unplannedHours.toFixed(1)}h`];
+    adherence.missed.slice(0, ADHERENCE_CONFIG.MAX_DAILY_ITEMS).forEach(entry => lines.push(`⬜未実行 ${item(entry)}`));
+    adherence.unplanned.slice(0, ADHERENCE_CONFIG.MAX_DAILY_ITEMS).forEach(entry => lines.push(`➕予定外 ${item(entry)}`));
+    return lines;
+}
+
+/**
+ * 週次メール用に、スコア・カテゴリー別・日別の比較と、未実行の予定・予定外の活動のHTMLを組み立てます。
+ * @param {Object} adherence analyzeAdherence の結果
+ * @return {string} HTML
+ */
+function buildAdherenceHtml(adherence) {
+    const cell = value => `<td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${value}</td>`;
+    const header = labels => `<tr style="background-color: #eee; color: #444;">${labels.map(label => `<th style="border: 1px solid #ddd; padding: 8px;">${label}</th>`).join('')}</tr>`;
+    const percent = value => value === null ? '-' : `${value}%`;
+
+    const categoryRows = adherence.categories.map(item => `<tr>${[
+        getCategoryLabel(item.category), `${item.plannedHours.toFixed(1)}h`, `${item.actualHours.toFixed(1)}h`, `${item.matchedHours.toFixed(1)}h`, percent(item.ratio)
+    ].map(cell).join('')}</tr>`).join('');
+    const dayRows = adherence.days.map(day => `<tr>${[
+        Utilities.formatDate(day.date, CONFIG.TIME_ZONE, 'MM/dd(E)'), `${day.plannedHours.toFixed(1)}h`, `${day.matchedHours.toFixed(1)}h`, `${day.unplannedHours.toFixed(1)}h`, percent(day.score)
+    ].map(cell).join('')}</tr>`).join('');
+
+    const format = entry => `${Utilities.formatDate(entry.start, CONFIG.TIME_ZONE, 'MM/dd(E) HH:mm')}–${Utilities.formatDate(entry.end, CONFIG.TIME_ZONE, 'HH:mm')} ${entry.title}（${entry.hours.toFixed(1)}h）`;
+    const missedItems = adherence.missed.slice(0, ADHERENCE_CONFIG.MAX_LIST_ITEMS).map(entry => `<li style="margin: 4px 0;">${format(entry)}</li>`).join('');
+    const unplannedItems = summarizeUnplannedByCategory(adherence).slice(0, ADHERENCE_CONFIG.MAX_LIST_ITEMS)
+        .map(item => `<li style="margin: 4px 0;">${getCategoryLabel(item.category)} ${item.hours.toFixed(1)}h（${item.count}件）</li>`).join('');
+
+    return `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #673AB7; font-size: 1em;">● 予定と実績</h3>
+      <p style="margin: 10px 0;">
+        <span style="font-size: 1.6em; font-weight: bold; color: ${getCoverageColor(adherence.score)};">${adherence.score}%</span>
+        <span style="color: #666;">（予定 ${adherence.plannedHours.toFixed(1)}h のうち ${adherence.matchedHours.toFixed(1)}h を予定どおり実行。予定外 ${adherence.unplannedHours.toFixed(1)}h）</span>
+      </p>
+      <table style="border-collapse: collapse; width: 100%; margin: 15px 0; font-size: 0.95em;">
+        ${header(['カテゴリー', '予定', '実績', '予定どおり', '実行率'])}
+        ${categoryRows}
+      </table>
+      <table style="border-collapse: collapse; width: 100%; margin: 15px 0; font-size: 0.95em;">
+        ${header(['日付', '予定', '予定どおり', '予定外', 'スコア'])}
+        ${dayRows}
+      </table>
+      ${missedItems ? `<p style="margin: 10px 0 0 0; font-weight: bold;">未実行の予定</p><ul style="margin: 5px 0; padding-left: 20px;">${missedItems}</ul>` : ''}
+      ${unplannedItems ? `<p style="margin: 10px 0 0 0; font-weight: bold;">予定外の活動</p><ul style="margin: 5px 0; padding-left: 20px;">${unplannedItems}</ul>` : ''}
+      <div style="margin-bottom: 35px;"></div>`;
+}
+
+/**
+ * 予定外の活動をカテゴリーごとにまとめます（時間の多い順）。
+ * @return {Array<Object>} [{ category, hours, count }]
+ */
+function summarizeUnplannedByCategory(adherence) {
+    const byCategory = {};
+    adherence.unplanned.forEach(entry => {
+        const item = byCategory[entry.category] || (byCategory[entry.category] = { category: entry.category, hours: 0, count: 0 });
+        item.hours += entry.hours;
+        item.count++;
+    });
+    return Object.keys(byCategory).map(category => byCategory[category]).sort((a, b) => b.hours - a.hours);
+}
+
+/**
+ * 比較結果をAIへのデータ用に要約します（時間は小数第1位に丸めます）。
+ * @param {Object} adherence analyzeAdherence の結果
+ * @return {Object} { score, plannedHours, matchedHours, unplannedHours, categories, missed, unplanned }
+ */
+function summarizeAdherenceForPrompt(adherence) {
+    const round = hours => Number(hours.toFixed(1));
+    return {
+        score: adherence.score,
+        plannedHours: round(adherence.plannedHours),
+        matchedHours: round(adherence.matchedHours),
+        unplannedHours: round(adherence.unplannedHours),
+        categories: adherence.categories.map(item => ({
+            category: item.category,
+            planned: round(item.plannedHours),
+            actual: round(item.actualHours),
+            asPlanned: round(item.matchedHours),
+            ratio: item.ratio
+        })),
+        missed: adherence.missed.slice(0, ADHERENCE_CONFIG.MAX_LIST_ITEMS).map(entry => ({
+            category: entry.category,
+            title: entry.title,
+            date: Utilities.formatDate(entry.start, CONFIG.TIME_ZONE, 'MM/dd(E) HH:mm'),
+            hours: round(entry.hours)
+        })),
+        unplanned: summarizeUnplannedByCategory(adherence).slice(0, ADHERENCE_CONFIG.MAX_LIST_ITEMS).map(item => ({
+            category: item.category,
+            hours: round(item.hours)
+        }))
+    };
+}
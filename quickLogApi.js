@@ -0,0 +1,311 @@
+/**
+ * @fileoverview 記録API（ショートカット・外部ツールからの活動の記録）
+ * Webアプリの doPost で JSON を受け取り、タイマーの開始・停止や、終わった活動の記録を行います。
+ * 記録は logActivity（activityLog.js）でカレンダーのイベントとDBシートの行を同時に作成するため、
+ * 同期（addCalendarDayEvents）を待たずに集計へ反映され、後から同期しても重複しません。
+ *
+ * リクエスト（POST。Content-Type は application/json または text/plain）:
+ *   { "token": "...", "action": "start", "category": "読書", "memo": "技術書" }  タイマーを開始（動いているタイマーは停止して記録）
+ *   { "token": "...", "action": "stop", "memo": "..." }                          タイマーを停止して記録（memo で上書き可）
+ *   { "token": "...", "action": "cancel" }                                       タイマーを記録せずに破棄
+ *   { "token": "...", "action": "log", "category": "運動", "start": "07:00", "end": "07:45" }
+ *   { "token": "...", "action": "log", "category": "運動", "minutes": 45 }        終了を今（または end・start から計算）として記録
+ *   { "token": "...", "action": "today" }                                        今日の集計のみを返す
+ * 時刻は「HH:mm」（今日）、「yyyy-MM-dd HH:mm」、タイムゾーン付きの ISO 8601 のいずれかで指定します。
+ * token は URL の ?token=... でも指定できます。設定の QUICK_LOG_TOKEN が未設定の場合は、すべて拒否します。
+ *
+ * レスポンス:
+ *   { status: 'ok', action, logged, timer, today }
+ *   - logged: 記録した活動 { title, category, start, end, minutes }（記録していない場合はnull）
+ *   - timer: 動いているタイマー { category, memo, start, elapsedMinutes }（無い場合はnull）
+ *   - today: 今日の集計 { date, totalHours, categories: [{ category, hours }] }（タイマーの経過時間は含みません）
+ *   エラーの場合は { status: 'error', message }、トークンが違う場合は { status: 'unauthorized' } を返します。
+ */
+
+/** 記録APIの設定 */
+const QUICK_LOG_CONFIG = {
+    TIMER_PROPERTY_KEY: 'QUICK_LOG_TIMER', // 動いているタイマーを保存するスクリプトプロパティのキー
+    MIN_MINUTES: 1, // タイマーの停止時、これより短い場合は記録しません
+    MAX_HOURS: 24, // 一度に記録できる最大の時間（止め忘れたタイマーなどの誤記録を防止）
+    FUTURE_TOLERANCE_MINUTES: 5 // 終了時刻が今よりこれ以上先の場合はエラーにします
+};
+
+/**
+ * 記録APIのリクエストを処理します（doPost から呼び出されます）。
+ * @param {Object} e doPost のイベントオブジェクト
+ * @param {Object} body 解析済みのリクエスト本文
+ * @return {GoogleAppsScript.Content.TextOutput} JSONレスポンス
+ */
+function handleQuickLogRequest(e, body) {
+    if (!isQuickLogAuthorized(e, body)) {
+        console.warn('記録API: トークンの検証に失敗しました。');
+        return createJsonOutput({ status: 'unauthorized' });
+    }
+
+    // タイマーの状態とDBシートを同時に書き換えないよう、リクエストを1件ずつ処理します
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10 * 1000)) {
+        return createJsonOutput({ status: 'error', message: '別のリクエストを処理中です。しばらく待ってから再度お試しください。' });
+    }
+
+    try {
+        const now = new Date();
+        const logged = runQuickLogAction(body, now);
+        return createJsonOutput({
+            status: 'ok',
+            action: body.action,
+            logged: logged ? formatQuickLogEntry(logged) : null,
+            timer: formatQuickLogTimer(loadQuickLogTimer(), now),
+            today: buildQuickLogTodayTotals(now)
+        });
+    } catch (err) {
+        console.error(`記録APIエラー: ${err.message}`);
+        return createJsonOutput({ status: 'error', message: err.message });
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * リクエスト本文または URL の token を、設定の QUICK_LOG_TOKEN と照合します。
+ * @param {Object} e doPost のイベントオブジェクト
+ * @param {Object} body 解析済みのリクエスト本文
+ * @return {boolean} 正当なリクエストであればtrue
+ */
+function isQuickLogAuthorized(e, body) {
+    const expected = getSetting('QUICK_LOG_TOKEN');
+    const token = body.token || (e && e.parameter ? e.parameter.token : '');
+    return !!expected && timingSafeEqual(expected, String(token || ''));
+}
+
+/**
+ * action に応じてタイマーの開始・停止や記録を行います。
+ * @param {Object} body リクエスト本文
+ * @param {Date} now 現在時刻
+ * @return {Object|null} 記録した活動 { title, category, start, end }（記録していない場合はnull）
+ * @throws {Error} 不明な action や、値が不正な場合
+ */
+function runQuickLogAction(body, now) {
+    switch (body.action) {
+        case 'start': {
+            const category = normalizeQuickLogCategory(body.category);
+            const logged = stopQuickLogTimer(now, null);
+            saveQuickLogTimer({ category: category, memo: String(body.memo || '').trim(), start: now.getTime() });
+            return logged;
+        }
+        case 'stop':
+            if (!loadQuickLogTimer()) throw new Error('動いているタイマーがありません。');
+            return stopQuickLogTimer(now, body.memo);
+        case 'cancel':
+            if (!loadQuickLogTimer()) throw new Error('動いているタイマーがありません。');
+            saveQuickLogTimer(null);
+            return null;
+        case 'log': {
+            const range = resolveQuickLogRange(body, now);
+            return recordQuickLogActivity(normalizeQuickLogCategory(body.category), range.start, range.end, String(body.memo || '').trim());
+        }
+        case 'today':
+            return null;
+        default:
+            throw new Error(`不明な action です: ${body.action}（start / stop / cancel / log / today）`);
+    }
+}
+
+/**
+ * 動いているタイマーを停止し、開始から今までを記録します。
+ * 1分未満の場合は記録せずに破棄します。長すぎる場合や記録に失敗した場合はエラーにし、タイマーは残します（cancel か log で対処します）。
+ * @param {Date} now 現在時刻
+ * @param {string} [memo] 記録するメモ（省略時はタイマー開始時のメモ）
+ * @return {Object|null} 記録した活動（タイマーが無い・1分未満の場合はnull）
+ */
+function stopQuickLogTimer(now, memo) {
+    const timer = loadQuickLogTimer();
+    if (!timer) return null;
+
+    const start = new Date(timer.start);
+    const minutes = (now - start) / 60000;
+    if (minutes > QUICK_LOG_CONFIG.MAX_HOURS * 60) {
+        throw new Error(`タイマーが${QUICK_LOG_CONFIG.MAX_HOURS}時間以上動いています。cancel で破棄するか、log で時刻を指定して記録してください。`);
+    }
+
+    if (minutes < QUICK_LOG_CONFIG.MIN_MINUTES) {
+        saveQuickLogTimer(null);
+        return null;
+    }
+    // 記録に失敗した場合にタイマーが失われないよう、記録が終わってから削除します
+    const note = memo === undefined || memo === null ? timer.memo : String(memo).trim();
+    const logged = recordQuickLogActivity(timer.category, start, now, note);
+    saveQuickLogTimer(null);
+    return logged;
+}
+
+/**
+ * log の start / end / minutes から、記録する時間帯を求めます。
+ * start と end の両方が無い場合、終了は今とします。
+ * @param {Object} body リクエスト本文
+ * @param {Date} now 現在時刻
+ * @return {Object} { start, end }
+ * @throws {Error} 指定が足りない・不正な場合
+ */
+function resolveQuickLogRange(body, now) {
+    const hasMinutes = body.minutes !== undefined && body.minutes !== null && body.minutes !== '';
+    const minutes = Number(body.minutes);
+    if (hasMinutes && !(minutes > 0)) throw new Error('minutes は正の数で指定してください。');
+
+    let start = body.start ? parseQuickLogTime(body.start, now) : null;
+    let end = body.end ? parseQuickLogTime(body.end, now) : null;
+    if (!start && !end && !hasMinutes) throw new Error('start と end、または minutes を指定してください。');
+
+    if (hasMinutes && start && !end) end = new Date(start.getTime() + minutes * 60000);
+    if (!end) end = now;
+    if (!start) {
+        if (!hasMinutes) throw new Error('start または minutes を指定してください。');
+        start = new Date(end.getTime() - minutes * 60000);
+    }
+
+    if (!(end > start)) throw new Error('終了時刻は開始時刻より後にしてください。');
+    if (end - start > QUICK_LOG_CONFIG.MAX_HOURS * 3600000) throw new Error(`一度に記録できるのは${QUICK_LOG_CONFIG.MAX_HOURS}時間までです。`);
+    if (end - now > QUICK_LOG_CONFIG.FUTURE_TOLERANCE_MINUTES * 60000) throw new Error('終わっていない活動は記録できません（タイマーを使ってください）。');
+    return { start: start, end: end };
+}
+
+/**
+ * 時刻の文字列を Date に変換します。
+ * 「HH:mm」は今日の時刻、「yyyy-MM-dd HH:mm」はスクリプトのタイムゾーンの時刻、それ以外は ISO 8601 として解釈します。
+ * @param {string|number} value 時刻（数値の場合はエポックミリ秒）
+ * @param {Date} now 現在時刻（「HH:mm」の日付に使用）
+ * @return {Date} 日時
+ * @throws {Error} 解釈できない場合
+ */
+function parseQuickLogTime(value, now) {
+    if (typeof value === 'number') return new Date(value);
+
+    const text = String(value).trim();
+    const time = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (time) return new Date(now.getFullYear(), now.getMonth(), now.getDate(), Number(time[1]), Number(time[2]));
+
+    const local = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (local) {
+        return new Date(Number(local[1]), Number(local[2]) - 1, Number(local[3]), Number(local[4]), Number(local[5]), Number(local[6] || 0));
+    }
+
+    const date = new Date(text);
+    if (isNaN(date.getTime())) throw new Error(`時刻の形式が不正です: ${text}`);
+    return date;
+}
+
+/**
+ * カテゴリー名から【 】を取り除き、別名を正式なカテゴリー名に統合します。
+ * @param {string} value 入力されたカテゴリー名
+ * @return {string} カテゴリー名
+ * @throws {Error} カテゴリーが空の場合
+ */
+function normalizeQuickLogCategory(value) {
+    const category = String(value || '').replace(/[【】]/g, '').trim();
+    if (!category) throw new Error('category を指定してください。');
+    return resolveCategory(category);
+}
+
+/**
+ * 活動をカレンダーとDBシートに記録します。
+ * @param {string} category カテゴリー名
+ * @param {Date} start 開始日時
+ * @param {Date} end 終了日時
+ * @param {string} memo タイトルの【カテゴリー】に続けるメモ
+ * @return {Object} { title, category, start, end }
+ */
+function recordQuickLogActivity(category, start, end, memo) {
+    const event = logActivity(category, start, end, memo);
+    return { title: event.getTitle(), category: category, start: start, end: end };
+}
+
+/**
+ * 保存されているタイマーを読み込みます。
+ * @return {Object|null} { category, memo, start }（start はエポックミリ秒。タイマーが無い場合はnull）
+ */
+function loadQuickLogTimer() {
+    const json = PropertiesService.getScriptProperties().getProperty(QUICK_LOG_CONFIG.TIMER_PROPERTY_KEY);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * タイマーを保存します（null の場合は削除します）。
+ * @param {Object|null} timer { category, memo, start }
+ */
+function saveQuickLogTimer(timer) {
+    const props = PropertiesService.getScriptProperties();
+    if (timer) {
+        props.setProperty(QUICK_LOG_CONFIG.TIMER_PROPERTY_KEY, JSON.stringify(timer));
+    } else {
+        props.deleteProperty(QUICK_LOG_CONFIG.TIMER_PROPERTY_KEY);
+    }
+}
+
+/**
+ * 今日の記録をカレンダーと同期してから、カテゴリー別に集計します。
+ * @param {Date} now 現在時刻
+ * @return {Object} { date, totalHours, categories: [{ category, hours }] }
+ */
+function buildQuickLogTodayTotals(now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    syncCalendarDay(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME), today);
+
+    const stats = aggregateDailyEvents(filterEventsByRange(readDbRows(today, today), today, today));
+    const categories = Object.keys(stats)
+        .sort((a, b) => compareCategoryOrder(a, b, name => stats[name] && stats[name].hours))
+        .map(category => ({ category: category, hours: roundQuickLogHours(stats[category].hours) }));
+    return {
+        date: Utilities.formatDate(today, CONFIG.TIME_ZONE, 'yyyy-MM-dd'),
+        totalHours: roundQuickLogHours(Object.keys(stats).reduce((sum, category) => sum + stats[category].hours, 0)),
+        categories: categories
+    };
+}
+
+/**
+ * 時間をレスポンス用に小数第2位までに丸めます。
+ * @param {number} hours 時間
+ * @return {number} 丸めた時間
+ */
+function roundQuickLogHours(hours) {
+    return Number(hours.toFixed(2));
+}
+
+/**
+ * 日時をレスポンス用の ISO 8601 形式（タイムゾーン付き）の文字列にします。
+ * @param {Date} date 日時
+ * @return {string} 例: 2026-03-10T09:30:00+09:00
+ */
+function formatQuickLogTime(date) {
+    return Utilities.formatDate(date, CONFIG.TIME_ZONE, "yyyy-MM-dd'T'HH:mm:ssXXX");
+}
+
+/**
+ * 記録した活動をレスポンス用に整えます。
+ * @param {Object} entry recordQuickLogActivity の結果
+ * @return {Object} { title, category, start, end, minutes }
+ */
+function formatQuickLogEntry(entry) {
+    return {
+        title: entry.title,
+        category: entry.category,
+        start: formatQuickLogTime(entry.start),
+        end: formatQuickLogTime(entry.end),
+        minutes: Math.round((entry.end - entry.start) / 60000)
+    };
+}
+
+/**
+ * タイマーをレスポンス用に整えます。
+ * @param {Object|null} timer loadQuickLogTimer の結果
+ * @param {Date} now 現在時刻
+ * @return {Object|null} { category, memo, start, elapsedMinutes }（タイマーが無い場合はnull）
+ */
+function formatQuickLogTimer(timer, now) {
+    if (!timer) return null;
+    return {
+        category: timer.category,
+        memo: timer.memo,
+        start: formatQuickLogTime(new Date(timer.start)),
+        elapsedMinutes: Math.floor((now.getTime() - timer.start) / 60000)
+    };
+}
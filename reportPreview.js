@@ -0,0 +1,162 @@
+/**
+ * @fileoverview レポートのプレビュー（ドライラン）
+ * 日次LINE・週次・月次・年間の各レポートを、実際には送信せずに組み立てて確認します。
+ * メールHTML・LINEペイロード・AIプロンプトを「Preview」シートに記録し、ダイアログに表示します。
+ * 基準日を指定すると、その日に実行した場合のレポートを再現できます（例: 2026-09-07 → 前週分の週次レポート）。
+ * プレビューではAIは呼び出さず、送信されるはずのプロンプトのみを表示します。
+ */
+
+/** プレビュー時にAI寸評の代わりに差し込む文言 */
+const PREVIEW_AI_PLACEHOLDER = '（プレビューのためAI分析は実行していません。送信されるプロンプトはPreviewシートを確認してください）';
+
+/** プレビュー対象のレポートの定義 */
+const PREVIEW_REPORTS = {
+    daily: { name: '日次LINE' },
+    weekly: { name: '週次', buildPeriod: refDate => buildWeeklyPeriod(refDate) },
+    monthly: { name: '月次', buildPeriod: refDate => buildMonthlyPeriod(refDate) },
+    yearly: { name: '年間', buildPeriod: refDate => buildYearlyPeriod(refDate) }
+};
+
+/** 【メニュー】日次LINEのプレビュー */
+function previewDailyLineNotify() { assertSpreadsheetUser_(); promptAndPreviewReport_('daily'); }
+/** 【メニュー】週次レポートのプレビュー */
+function previewWeeklyReport() { assertSpreadsheetUser_(); promptAndPreviewReport_('weekly'); }
+/** 【メニュー】月次レポートのプレビュー */
+function previewMonthlyReport() { assertSpreadsheetUser_(); promptAndPreviewReport_('monthly'); }
+/** 【メニュー】年間レポートのプレビュー */
+function previewYearlyReport() { assertSpreadsheetUser_(); promptAndPreviewReport_('yearly'); }
+
+/**
+ * 基準日を入力してもらい、レポートのプレビューを表示します。
+ * @param {string} type レポートの種類（daily / weekly / monthly / yearly）
+ */
+function promptAndPreviewReport_(type) {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt(
+        `${PREVIEW_REPORTS[type].name}レポートのプレビュー`,
+        '基準日（この日に実行した場合のレポートを作成します）を yyyy-MM-dd 形式で入力してください。空欄の場合は今日です。',
+        ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    previewReport(type, response.getResponseText().trim());
+}
+
+/**
+ * レポートを送信せずに組み立て、Previewシートへの記録とダイアログ表示を行います。
+ * スクリプトエディタから previewReport('weekly', '2026-09-07') のように直接実行することもできます。
+ * @param {string} type レポートの種類（daily / weekly / monthly / yearly）
+ * @param {string} [refDateStr] 基準日（yyyy-MM-dd）。省略時は現在日時
+ * @return {Object|null} 組み立てたプレビューの内容
+ */
+function previewReport(type, refDateStr) {
+    assertSpreadsheetUser_();
+    const definition = PREVIEW_REPORTS[type];
+    if (!definition) throw new Error(`不明なレポートの種類です: ${type}`);
+
+    // 時刻は通常のトリガー実行に近い朝9時とします
+    const refDate = refDateStr ? parseDateInput(refDateStr) : new Date();
+    if (refDateStr) refDate.setHours(9);
+
+    let preview;
+    if (type === 'daily') {
+        const report = buildDailyReport(refDate, { dryRun: true });
+        preview = report && {
+            title: `${definition.name} (${formatDate(refDate)}実行分)`,
+            items: [
+                { kind: 'LINEペイロード', content: JSON.stringify(buildLinePayload(report.message), null, 2) },
+                { kind: 'AIプロンプト', content: report.prompt }
+            ]
+        };
+    } else {
+        const report = runPeriodReport(definition.buildPeriod(refDate), { dryRun: true });
+        preview = report && {
+            title: report.subject,
+            html: inlineChartImages_(report.htmlBody, { chartImg: report.chartBlob, heatmapImg: report.heatmapBlob }),
+            items: [
+                { kind: 'メールHTML', content: report.htmlBody },
+                { kind: 'テキスト版（Slack・Discord等）', content: report.text },
+                { kind: 'AIプロンプト', content: report.prompt }
+            ]
+        };
+    }
+
+    if (!preview) {
+        console.log(`${definition.name}: 対象期間のデータが無いためプレビューを作成できませんでした。`);
+        return null;
+    }
+
+    writePreviewToSheet_(definition.name, refDate, preview);
+    showPreviewDialog_(preview);
+    return preview;
+}
+
+/**
+ * メールHTML内の cid:chartImg などの画像の参照を、ダイアログで表示できるよう data URI に置き換えます。
+ * @param {string} htmlBody メールHTML
+ * @param {Object} images cid をキーとした画像のBlob（画像が無い場合はnull）
+ */
+function inlineChartImages_(htmlBody, images) {
+    return Object.keys(images).reduce((html, cid) => {
+        if (!images[cid]) return html;
+        const dataUri = `data:image/png;base64,${Utilities.base64Encode(images[cid].getBytes())}`;
+        return html.replace(new RegExp(`cid:${cid}`, 'g'), dataUri);
+    }, htmlBody);
+}
+
+/**
+ * Previewシートにプレビューの内容を追記します。
+ * セルの文字数上限（50,000文字）を超える部分は切り詰めます。
+ */
+function writePreviewToSheet_(reportName, refDate, preview) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.PREVIEW_SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(CONFIG.PREVIEW_SHEET_NAME);
+        sheet.getRange(1, 1, 1, 5).setValues([['作成日時', 'レポート', '基準日', '種類', '内容']]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+    }
+
+    const createdAt = new Date();
+    const rows = preview.items.map(item => [
+        createdAt,
+        `${reportName}: ${preview.title}`,
+        formatDate(refDate),
+        item.kind,
+        item.content.length > 50000 ? item.content.slice(0, 49990) + '…(省略)' : item.content
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * プレビューをモーダルダイアログで表示します。
+ * トリガーやエディタからの実行などUIが使えない場合は何もしません。
+ */
+function showPreviewDialog_(preview) {
+    let ui;
+    try {
+        ui = SpreadsheetApp.getUi();
+    } catch (e) {
+        return;
+    }
+
+    const escapeHtml = text => String(text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const sections = preview.items
+        .filter(item => !(preview.html && item.kind === 'メールHTML'))
+        .map(item => `
+      <h4 style="margin: 20px 0 6px 0;">${escapeHtml(item.kind)}</h4>
+      <pre style="background: #F1F3F4; padding: 12px; border-radius: 8px; white-space: pre-wrap; font-size: 12px;">${escapeHtml(item.content)}</pre>`)
+        .join('');
+
+    const html = HtmlService.createHtmlOutput(`
+    <div style="font-family: 'Helvetica Neue', Arial, sans-serif;">
+      ${preview.html ? `<div style="border: 1px dashed #ccc; padding: 10px;">${preview.html}</div>` : ''}
+      ${sections}
+    </div>`)
+        .setWidth(760)
+        .setHeight(640);
+
+    ui.showModalDialog(html, `プレビュー: ${preview.title}`);
+}
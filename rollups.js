@@ -0,0 +1,280 @@
+/**
+ * @fileoverview 集計シート（Daily・Weekly・Monthly）
+ * 日・週（日～土）・月ごとのカテゴリー別の集計を「Daily」「Weekly」「Monthly」シートに保存します。
+ * Looker Studio やピボットテーブルのデータソースとして使えるほか、レポートは前期間の値をDBシートの再集計ではなくここから読み込みます。
+ *
+ * シートの列構成（1行目はヘッダー。1行が 期間 × カテゴリー）:
+ *   A:開始日 | B:終了日 | C:カテゴリー | D:グループ | E:時間(h) | F:件数 | G:構成比(%) | H:目標 | I:目標の状況 | J:更新日時
+ * - カテゴリーは親カテゴリーです。目標があるカテゴリーは、記録が無くても0時間の行を書き込みます。
+ * - 目標の状況は、そのカテゴリーのすべての目標を達成していれば「達成」、それ以外は「未達」です（目標が無ければ空欄）。
+ *
+ * 書き込みは冪等です。同じ期間を書き込むと、その期間の行をすべて置き換えます。
+ * - 日次LINE・週次・月次レポートの送信時に、対象の期間（昨日・前週・前月）を書き込みます。
+ * - 「トリガーの管理」で集計シートの更新を有効にすると、毎日、直近に完了した日・週・月を作り直します（refreshRecentRollups）。
+ * - それより前のイベントを取り込み・修正した場合は、メニューの「集計シートの再構築」で期間を指定して作り直してください。
+ *   再構築の対象は、指定した期間と重なる完了済み（昨日までに終わった）の日・週・月です。
+ */
+
+/** 集計シートの列数 */
+const ROLLUP_COLUMN_COUNT = 10;
+
+/** 集計シートのヘッダー */
+const ROLLUP_HEADERS = ['開始日', '終了日', 'カテゴリー', 'グループ', '時間(h)', '件数', '構成比(%)', '目標', '目標の状況', '更新日時'];
+
+/** 実行中に一度だけシートを読み込むためのキャッシュ（種類ごと） */
+let rollupStatsCache = {};
+
+/**
+ * 【メニュー】期間を入力してもらい、集計シートを再構築します。
+ */
+function promptAndRebuildRollups() {
+    assertSpreadsheetUser_();
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt(
+        '集計シートの再構築',
+        '再構築する期間を「yyyy-MM-dd yyyy-MM-dd」（開始日と終了日）の形式で入力してください。',
+        ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const dates = response.getResponseText().trim().split(/\s+|～|~/).filter(Boolean);
+    if (dates.length !== 2) throw new Error('開始日と終了日を入力してください。');
+
+    const result = rebuildRollups(dates[0], dates[1]);
+    ui.alert(`集計シートを再構築しました。\n日: ${result.daily}件 / 週: ${result.weekly}件 / 月: ${result.monthly}件`);
+}
+
+/**
+ * 指定した期間と重なる日・週・月の集計を、DBシートから作り直して集計シートに書き込みます。
+ * 昨日より後に終わる（まだ完了していない）週・月は対象外です。
+ * スクリプトエディタから rebuildRollups('2026-01-01', '2026-03-31') のように直接実行することもできます。
+ * @param {string} startDateStr 開始日（yyyy-MM-dd）
+ * @param {string} endDateStr 終了日（yyyy-MM-dd）
+ * @return {Object} 種類ごとの再構築した期間の数 { daily, weekly, monthly }
+ */
+function rebuildRollups(startDateStr, endDateStr) {
+    const start = parseDateInput(startDateStr);
+    const end = parseDateInput(endDateStr);
+    if (start > end) throw new Error('開始日は終了日以前の日付を指定してください。');
+    return rebuildRollupsBetween(start, end);
+}
+
+/**
+ * 【トリガー】直近に完了した日・週・月の集計を作り直します（カレンダー同期で変わったイベントを反映するため）。
+ * 昨日の13日前（直近に終わった週の日曜日以前）を含む月の1日から、昨日までを対象にします。
+ * @return {Object} 種類ごとの再構築した期間の数 { daily, weekly, monthly }
+ */
+function refreshRecentRollups() {
+    const now = new Date();
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    const from = addDays(yesterday, -13);
+    return rebuildRollupsBetween(new Date(from.getFullYear(), from.getMonth(), 1), yesterday);
+}
+
+/**
+ * rebuildRollups の本体です。
+ * @param {Date} start 開始日
+ * @param {Date} end 終了日
+ * @return {Object} 種類ごとの再構築した期間の数 { daily, weekly, monthly }
+ */
+function rebuildRollupsBetween(start, end) {
+    const now = new Date();
+    const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    const result = {};
+    Object.keys(CONFIG.ROLLUP_SHEET_NAMES).forEach(type => {
+        const ranges = listRollupRanges(type, start, end).filter(range => range.end <= addDays(lastDay, 1));
+        if (ranges.length === 0) {
+            result[type] = 0;
+            return;
+        }
+
+        // 対象の期間全体を一度だけ読み込み、期間ごとに振り分けます
+        const first = ranges[0].start;
+        const last = ranges[ranges.length - 1].end;
+        const events = filterEventsByRange(readDbRows(first, last), first, last);
+        writeRollups(type, ranges.map(range => ({
+            range: range,
+            stats: aggregateStats(events.filter(ev => ev.date >= range.start && ev.date <= range.end))
+        })));
+        result[type] = ranges.length;
+    });
+    return result;
+}
+
+/**
+ * 指定した期間と重なる日・週（日～土）・月の範囲を列挙します。
+ * @param {string} type 集計の種類（daily / weekly / monthly）
+ * @param {Date} start 開始日
+ * @param {Date} end 終了日
+ * @return {Array<Object>} { start, end } の配列（end は最終日の23:59:59.999）
+ */
+function listRollupRanges(type, start, end) {
+    let cursor;
+    let next;
+    if (type === 'daily') {
+        cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        next = date => addDays(date, 1);
+    } else if (type === 'weekly') {
+        cursor = addDays(start, -start.getDay());
+        next = date => addDays(date, 7);
+    } else {
+        cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+        next = date => new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    }
+
+    const ranges = [];
+    for (; cursor <= end; cursor = next(cursor)) {
+        ranges.push({ start: cursor, end: new Date(next(cursor).getTime() - 1) });
+    }
+    return ranges;
+}
+
+/**
+ * レポートの対象期間の集計を集計シートに書き込みます。
+ * 書き込みに失敗してもレポートの送信は止めません。
+ * @param {string} type 集計の種類（daily / weekly / monthly。それ以外は何もしません）
+ * @param {Object} range 期間 { start, end }
+ * @param {Object} stats 期間のカテゴリー別集計（aggregateStats の結果）
+ */
+function saveRollup(type, range, stats) {
+    if (!CONFIG.ROLLUP_SHEET_NAMES[type]) return;
+    try {
+        writeRollups(type, [{ range: range, stats: stats }]);
+    } catch (e) {
+        console.warn(`${CONFIG.ROLLUP_SHEET_NAMES[type]}シートへの書き込みに失敗しました: ${e.message}`);
+    }
+}
+
+/**
+ * 期間ごとの集計を集計シートに書き込みます。同じ開始日の既存の行はすべて置き換えます。
+ * @param {string} type 集計の種類（daily / weekly / monthly）
+ * @param {Array<Object>} entries [{ range: { start, end }, stats }]
+ */
+function writeRollups(type, entries) {
+    const sheet = getRollupSheet(type);
+    const values = sheet.getDataRange().getValues();
+    const keys = new Set(entries.map(entry => entry.range.start.getTime()));
+    const updatedAt = new Date();
+
+    const kept = values.slice(1).filter(row => !(row[0] instanceof Date && keys.has(row[0].getTime())));
+    const added = [];
+    entries.forEach(entry => added.push(...buildRollupRows(type, entry.range, entry.stats, updatedAt)));
+    // 期間ごとに、カテゴリーマスタの表示順、表示順が同じものは時間が長い順に並べます
+    const rows = kept.concat(added);
+    const hours = new Map(rows.map(row => [`${Number(row[0])}\t${row[2]}`, row[4]]));
+    rows.sort((a, b) => a[0] - b[0] || compareCategoryOrder(a[2], b[2], name => hours.get(`${Number(a[0])}\t${name}`)));
+
+    if (values.length > 1) sheet.getRange(2, 1, values.length - 1, ROLLUP_COLUMN_COUNT).clearContent();
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, ROLLUP_COLUMN_COUNT).setValues(rows);
+    delete rollupStatsCache[type];
+}
+
+/**
+ * 1期間分の集計を、集計シートの行（カテゴリーごと）に変換します。
+ * 記録が1件も無い期間は行を作りません。
+ * @param {string} type 集計の種類（daily / weekly / monthly）
+ * @param {Object} range 期間 { start, end }
+ * @param {Object} stats 期間のカテゴリー別集計
+ * @param {Date} updatedAt 更新日時
+ * @return {Array<Array>} 行の配列
+ */
+function buildRollupRows(type, range, stats, updatedAt) {
+    const categories = Object.keys(stats);
+    if (categories.length === 0) return [];
+
+    // 日の集計は daily の目標のみ、週・月は日数に換算したすべての目標で評価します
+    const days = Math.round((range.end - range.start) / 86400000);
+    const goalResults = evaluateGoals(stats, days, type === 'daily' ? 'daily' : undefined);
+    goalResults.forEach(result => {
+        if (!categories.includes(result.category)) categories.push(result.category);
+    });
+
+    const totalHours = Object.keys(stats).reduce((sum, cat) => sum + stats[cat].hours, 0);
+    const endDate = new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate());
+    return categories.map(category => {
+        const hours = stats[category] ? stats[category].hours : 0;
+        const goals = goalResults.filter(result => result.category === category);
+        return [
+            range.start,
+            endDate,
+            category,
+            getCategoryGroup(category),
+            Number(hours.toFixed(2)),
+            stats[category] ? stats[category].count : 0,
+            totalHours > 0 ? Number((hours / totalHours * 100).toFixed(1)) : 0,
+            goals.map(formatGoalTarget).join(' / '),
+            goals.length === 0 ? '' : (goals.every(result => result.met) ? '達成' : '未達'),
+            updatedAt
+        ];
+    });
+}
+
+/**
+ * 集計シートから、開始日ごとのカテゴリー別集計を読み込みます。
+ * @param {string} type 集計の種類（daily / weekly / monthly）
+ * @return {Object} 開始日の時刻（getTime）をキーとした、aggregateStats と同じ形式の集計
+ */
+function loadRollupStats(type) {
+    if (rollupStatsCache[type]) return rollupStatsCache[type];
+
+    const stats = {};
+    const sheetName = CONFIG.ROLLUP_SHEET_NAMES[type];
+    const sheet = sheetName ? SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName) : null;
+    if (sheet) {
+        sheet.getDataRange().getValues().slice(1).forEach(row => {
+            if (!(row[0] instanceof Date) || !row[2]) return;
+            const key = row[0].getTime();
+            const hours = Number(row[4]) || 0;
+            const count = Number(row[5]) || 0;
+            if (!stats[key]) stats[key] = {};
+            // 目標のために書き込んだ0時間の行は、集計には含めません
+            if (hours > 0 || count > 0) stats[key][String(row[2])] = { count: count, hours: hours };
+        });
+    }
+
+    rollupStatsCache[type] = stats;
+    return stats;
+}
+
+/**
+ * 期間のカテゴリー別集計を返します。集計シートにある期間はそこから読み込み、無い期間はDBシートから集計します。
+ * DBシートからの抽出は、集計シートに無い期間がある場合に一度だけ行います。
+ * @param {string} type 集計の種類（daily / weekly / monthly。それ以外は常にDBシートから集計します）
+ * @param {Array<Array>} allRows DBシートの行データ（readDbRows の結果。期間を含むもの）
+ * @param {Array<Object>} ranges 期間 { start, end } の配列（start はそれぞれの日・週・月の初日）
+ * @return {Array<Object>} 期間ごとの集計（aggregateStats と同じ形式）
+ */
+function getPeriodStatsList(type, allRows, ranges) {
+    const stored = CONFIG.ROLLUP_SHEET_NAMES[type] ? loadRollupStats(type) : {};
+    let events = null;
+    return ranges.map(range => {
+        const stats = stored[range.start.getTime()];
+        if (stats) return stats;
+
+        if (!events) {
+            const start = new Date(Math.min(...ranges.map(r => r.start.getTime())));
+            const end = new Date(Math.max(...ranges.map(r => r.end.getTime())));
+            events = filterEventsByRange(allRows, start, end);
+        }
+        return aggregateStats(events.filter(ev => ev.date >= range.start && ev.date <= range.end));
+    });
+}
+
+/**
+ * 集計シートを取得します。無い場合はヘッダー付きで作成します。
+ * @param {string} type 集計の種類（daily / weekly / monthly）
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} シート
+ */
+function getRollupSheet(type) {
+    const sheetName = CONFIG.ROLLUP_SHEET_NAMES[type];
+    if (!sheetName) throw new Error(`不明な集計の種類です: ${type}`);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+        sheet = ss.insertSheet(sheetName);
+        sheet.getRange(1, 1, 1, ROLLUP_COLUMN_COUNT).setValues([ROLLUP_HEADERS]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+    }
+    return sheet;
+}
@@ -0,0 +1,396 @@
+/**
+ * @fileoverview 設定（スクリプトプロパティ）と設定サイドバー
+ * DBシート名・タイムゾーン・グラフ・AI・カレンダー・LINEなどのトークン・レポートの実行時刻は、
+ * すべてスクリプトプロパティに保存し、メニューの「設定」から開くサイドバーで編集します。
+ * 項目は SETTING_DEFINITIONS に定義し、未設定の項目は既定値（defaultValue）を使います。
+ * CONFIG（weeklyReport.js）の一部の値も、ここの設定から読み込みます。
+ *
+ * 保存時の検証:
+ * - 形式（数値の範囲・比率・色・JSON・メールアドレス・URL など）を確認します。
+ * - 変更された LINE のトークンは LINE のAPIで、カレンダーIDは CalendarApp で、実際に使えることを確認します。
+ * - ひとつでもエラーがあれば、どの項目も保存しません。
+ *
+ * 旧名のプロパティ（line_personal_channel_token・GEMINI_API_KEY・CALENDAR_ID / CALENDAR_ID2）は読み込み時に引き継ぎ、
+ * サイドバーで新しい名前の項目を保存したときに削除します。
+ */
+
+/** 設定サイドバーの区分 */
+const SETTING_SECTIONS = [
+    { id: 'basic', title: '基本' },
+    { id: 'ai', title: 'AI' },
+    { id: 'calendar', title: 'カレンダー' },
+    { id: 'line', title: 'LINE' },
+    { id: 'notify', title: '通知' },
+    { id: 'schedule', title: '定期実行の時刻' },
+    { id: 'other', title: 'その他' }
+];
+
+/** 曜日の選択肢（ScriptApp.WeekDay の名前） */
+const SETTING_WEEKDAYS = [
+    { value: 'SUNDAY', label: '日曜日' },
+    { value: 'MONDAY', label: '月曜日' },
+    { value: 'TUESDAY', label: '火曜日' },
+    { value: 'WEDNESDAY', label: '水曜日' },
+    { value: 'THURSDAY', label: '木曜日' },
+    { value: 'FRIDAY', label: '金曜日' },
+    { value: 'SATURDAY', label: '土曜日' }
+];
+
+/**
+ * 設定項目の定義を返します。
+ * type: text / secret（値を表示しない）/ select / integer / number / ratio / colors / calendars / calendar / json / email / url / boolean
+ * @return {Array<Object>} { key, section, label, type, defaultValue, help, options, min, max, legacyKeys, test }
+ */
+function getSettingDefinitions_() {
+    return [
+        { key: 'SHEET_NAME', section: 'basic', label: 'DBシート名', type: 'text', defaultValue: 'DB', test: 'sheet' },
+        { key: 'TIME_ZONE', section: 'basic', label: 'タイムゾーン', type: 'text', defaultValue: 'JST', help: '日付の表示に使います（例: JST, Asia/Tokyo）', test: 'timeZone' },
+        { key: 'IO_GOAL_RATIO', section: 'basic', label: 'インプット:アウトプットの目標比', type: 'ratio', defaultValue: '3:7' },
+        { key: 'CHART_WIDTH', section: 'basic', label: 'グラフの幅(px)', type: 'integer', defaultValue: 600, min: 200, max: 2000 },
+        { key: 'CHART_HEIGHT', section: 'basic', label: 'グラフの高さ(px)', type: 'integer', defaultValue: 400, min: 150, max: 1500 },
+        {
+            key: 'CHART_COLORS', section: 'basic', label: 'グラフの色', type: 'colors', help: '#RRGGBB をカンマ区切りで指定します（カテゴリーマスタで色を指定していないカテゴリーに使います）',
+            defaultValue: ['#4285F4', '#34A853', '#FBBC05', '#EA4335', '#673AB7', '#00ACC1', '#FF6D00', '#4E342E']
+        },
+
+        { key: 'AI_PROVIDER', section: 'ai', label: 'AIの接続先', type: 'select', defaultValue: 'gemini', options: [{ value: 'gemini', label: 'Gemini' }, { value: 'openai', label: 'OpenAI互換API' }] },
+        { key: 'AI_MODEL', section: 'ai', label: 'モデル', type: 'text', defaultValue: '', help: `空欄の場合は ${CONFIG.GEMINI_MODEL}（OpenAI互換APIは gpt-4o-mini）` },
+        { key: 'AI_API_KEY', section: 'ai', label: 'APIキー', type: 'secret', defaultValue: '', legacyKeys: ['GEMINI_API_KEY'] },
+        { key: 'AI_BASE_URL', section: 'ai', label: 'OpenAI互換APIのURL', type: 'url', defaultValue: '', help: '空欄の場合は https://api.openai.com/v1' },
+
+        { key: 'CALENDARS', section: 'calendar', label: '同期するカレンダー', type: 'calendars', defaultValue: [], legacyKeys: ['CALENDAR_ID', 'CALENDAR_ID2'], test: 'calendar' },
+        { key: 'ALL_DAY_EVENT_POLICY', section: 'calendar', label: '終日イベント', type: 'select', defaultValue: 'skip', options: [{ value: 'skip', label: '取り込まない' }, { value: 'tag', label: '取り込んで集計から除外する' }] },
+        { key: 'PLAN_CALENDAR_ID', section: 'calendar', label: '予定のカレンダー', type: 'calendar', defaultValue: '', help: '設定すると、週次メールと日次LINEに予定と実績の比較を表示します（同期するカレンダーとは別のカレンダーにしてください）', test: 'calendar' },
+        { key: 'LOG_CALENDAR_ID', section: 'calendar', label: '活動を記録するカレンダー', type: 'calendar', defaultValue: '', help: '空欄の場合は同期するカレンダーの先頭', test: 'calendar' },
+
+        { key: 'LINE_CHANNEL_TOKEN', section: 'line', label: 'チャネルアクセストークン', type: 'secret', defaultValue: '', legacyKeys: ['line_personal_channel_token'], test: 'line' },
+        { key: 'LINE_CHANNEL_SECRET', section: 'line', label: 'チャネルシークレット', type: 'secret', defaultValue: '' },
+        { key: 'LINE_TO_USER_IDS', section: 'line', label: '送信先ユーザーID', type: 'text', defaultValue: '', help: 'カンマ区切り。空欄の場合は友だち全員に送信します' },
+        { key: 'LINE_MESSAGE_FORMAT', section: 'line', label: '日次レポートの形式', type: 'select', defaultValue: 'text', options: [{ value: 'text', label: 'テキスト' }, { value: 'flex', label: 'Flex Message' }] },
+        { key: 'LINE_ALLOWED_USER_IDS', section: 'line', label: 'ボットの操作を許可するユーザーID', type: 'text', defaultValue: '', help: 'カンマ区切り' },
+        { key: 'LINE_WEBHOOK_KEY', section: 'line', label: 'Webhook URL の合言葉', type: 'secret', defaultValue: '' },
+
+        { key: 'NOTIFY_ROUTES', section: 'notify', label: 'レポートの送信先', type: 'json', defaultValue: '', help: '例: {"daily": ["line", "slack"], "weekly": ["email"]}' },
+        { key: 'NOTIFY_EMAIL', section: 'notify', label: '送信先メールアドレス', type: 'email', defaultValue: '', help: '空欄の場合はスクリプトの実行ユーザー' },
+        { key: 'SLACK_WEBHOOK_URL', section: 'notify', label: 'Slack の Webhook URL', type: 'secret', defaultValue: '', format: 'url' },
+        { key: 'DISCORD_WEBHOOK_URL', section: 'notify', label: 'Discord の Webhook URL', type: 'secret', defaultValue: '', format: 'url' },
+        { key: 'DELIVERY_ALERT_THRESHOLD', section: 'notify', label: '送信失敗のアラートを送る連続失敗回数', type: 'integer', defaultValue: 3, min: 1, max: 100 },
+        { key: 'DELIVERY_AUTO_RESEND', section: 'notify', label: '送信できなかったレポートを自動で再送する', type: 'boolean', defaultValue: false },
+
+        { key: 'CALENDAR_SYNC_HOUR', section: 'schedule', label: 'カレンダー同期（毎日・時）', type: 'integer', defaultValue: 3, min: 0, max: 23, help: '前日のイベントをDBシートに取り込みます。日次LINEより前の時刻にしてください' },
+        { key: 'ROLLUP_REFRESH_HOUR', section: 'schedule', label: '集計シートの更新（毎日・時）', type: 'integer', defaultValue: 4, min: 0, max: 23 },
+        { key: 'DAILY_REPORT_HOUR', section: 'schedule', label: '日次LINE（毎日・時）', type: 'integer', defaultValue: 5, min: 0, max: 23 },
+        { key: 'WEEKLY_REPORT_WEEKDAY', section: 'schedule', label: '週次レポート（曜日）', type: 'select', defaultValue: 'SUNDAY', options: SETTING_WEEKDAYS, help: '直近に終わった日～土の週を集計します' },
+        { key: 'WEEKLY_REPORT_HOUR', section: 'schedule', label: '週次レポート（時）', type: 'integer', defaultValue: 9, min: 0, max: 23 },
+        { key: 'MONTHLY_REPORT_HOUR', section: 'schedule', label: '月次レポート（毎月1日・時）', type: 'integer', defaultValue: 9, min: 0, max: 23 },
+        { key: 'YEARLY_REPORT_HOUR', section: 'schedule', label: '年間レポート（1月1日・時）', type: 'integer', defaultValue: 10, min: 0, max: 23 },
+
+        { key: 'QUICK_LOG_TOKEN', section: 'other', label: '記録APIのトークン', type: 'secret', defaultValue: '', help: 'Webアプリの記録API（quickLogApi.js）のリクエストに token として指定します。未設定の場合、APIは使えません' },
+        { key: 'DASHBOARD_KEY', section: 'other', label: 'ダッシュボードの合言葉', type: 'secret', defaultValue: '' },
+        { key: 'ANOMALY_THRESHOLD_SIGMA', section: 'other', label: '「いつもと違う」とする標準偏差の倍数', type: 'number', defaultValue: 2, min: 0.5, max: 10 },
+        { key: 'DB_ARCHIVE_SPREADSHEET_ID', section: 'other', label: 'アーカイブ先のスプレッドシートID', type: 'text', defaultValue: '', help: '空欄の場合は同じスプレッドシート', test: 'spreadsheet' }
+    ];
+}
+
+/** 実行中に一度だけプロパティを読み込むためのキャッシュ（CONFIG の値は集計中に何度も読まれるため、変換後の値も保持します） */
+let settingPropertiesCache = null;
+let settingValuesCache = {};
+
+/**
+ * 設定の値を返します。未設定の場合は旧名のプロパティ、それも無ければ既定値を返します。
+ * @param {string} key 設定のキー
+ * @return {*} 値（integer / number は数値、boolean は真偽値、colors は配列、calendars はオブジェクトの配列）
+ */
+function getSetting(key) {
+    if (key in settingValuesCache) return settingValuesCache[key];
+
+    const definition = findSettingDefinition_(key);
+    if (!settingPropertiesCache) settingPropertiesCache = PropertiesService.getScriptProperties().getProperties();
+
+    const raw = [key].concat(definition.type === 'calendars' ? [] : (definition.legacyKeys || []))
+        .map(name => settingPropertiesCache[name])
+        .find(value => value !== undefined && value !== null && value !== '');
+    let value = definition.defaultValue;
+    if (raw !== undefined) {
+        try {
+            value = parseSettingValue_(definition, raw);
+        } catch (e) {
+            console.warn(`設定 ${key} の値が不正なため既定値を使います: ${e.message}`);
+        }
+    }
+    settingValuesCache[key] = value;
+    return value;
+}
+
+/**
+ * 設定の定義を返します。
+ * @param {string} key 設定のキー
+ * @return {Object} 定義
+ * @throws {Error} 定義されていないキーの場合
+ */
+function findSettingDefinition_(key) {
+    const definition = getSettingDefinitions_().find(item => item.key === key);
+    if (!definition) throw new Error(`不明な設定です: ${key}`);
+    return definition;
+}
+
+/**
+ * プロパティに保存された文字列を、設定の種類に応じた値に変換します。
+ * @param {Object} definition 設定の定義
+ * @param {string} raw プロパティの値
+ * @return {*} 値
+ */
+function parseSettingValue_(definition, raw) {
+    switch (definition.type) {
+        case 'integer':
+        case 'number':
+            return Number(raw);
+        case 'boolean':
+            return String(raw) === 'true';
+        case 'colors':
+            return String(raw).split(',').map(color => color.trim()).filter(Boolean);
+        case 'calendars':
+            return JSON.parse(raw);
+        default:
+            return String(raw);
+    }
+}
+
+/**
+ * 【メニュー】設定サイドバーを表示します。
+ */
+function showSettingsSidebar() {
+    assertSpreadsheetUser_();
+    const html = HtmlService.createHtmlOutputFromFile('settingsSidebar').setTitle('設定');
+    SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * サイドバーに表示する設定の一覧を返します。サイドバーから呼び出されます。
+ * トークンなどの secret の値は返さず、設定済みかどうかと末尾の4文字だけを返します。
+ * @return {Object} { sections, fields: [{ key, section, label, type, help, options, placeholder, value, isSet, masked }] }
+ */
+function getSettingsForSidebar() {
+    assertSpreadsheetUser_();
+    const props = PropertiesService.getScriptProperties().getProperties();
+    const fields = getSettingDefinitions_().map(definition => {
+        const stored = [definition.key].concat(definition.legacyKeys || []).map(name => props[name]).find(Boolean) || '';
+        const field = {
+            key: definition.key,
+            section: definition.section,
+            label: definition.label,
+            type: definition.type,
+            help: definition.help || '',
+            options: definition.options || null,
+            placeholder: formatSettingValue_(definition, definition.defaultValue),
+            test: definition.test || ''
+        };
+
+        if (definition.type === 'secret') {
+            field.value = '';
+            field.isSet = !!stored;
+            field.masked = stored ? `••••${String(stored).slice(-4)}` : '';
+        } else if (definition.type === 'calendars') {
+            // 旧形式（CALENDAR_ID / CALENDAR_ID2）の設定も一覧にして表示します
+            field.value = getSourceCalendars(true);
+        } else {
+            field.value = props[definition.key] !== undefined ? props[definition.key] : '';
+        }
+        return field;
+    });
+    return { sections: SETTING_SECTIONS, fields: fields };
+}
+
+/**
+ * 既定値をサイドバーの入力欄の表示用の文字列にします。
+ */
+function formatSettingValue_(definition, value) {
+    if (Array.isArray(value)) return definition.type === 'colors' ? value.join(', ') : '';
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * サイドバーで入力された設定を検証し、すべて正しければ保存します。サイドバーから呼び出されます。
+ * secret は空欄なら変更せず、{ clear: true } の場合は削除します。その他の項目は空欄なら削除して既定値に戻します。
+ * @param {Object} values 設定のキーをキーとした入力値（secret は { value, clear }、calendars は配列）
+ * @return {Object} { ok, errors, saved }（errors は設定のキーをキーとしたエラーメッセージ）
+ */
+function saveSettings(values) {
+    assertSpreadsheetUser_();
+    const props = PropertiesService.getScriptProperties();
+    const current = props.getProperties();
+    const errors = {};
+    const updates = {};
+    const deletes = [];
+    const cleared = [];
+    const isStored = definition => [definition.key].concat(definition.legacyKeys || []).some(name => current[name] !== undefined);
+
+    getSettingDefinitions_().forEach(definition => {
+        const key = definition.key;
+        if (!(key in values)) return;
+
+        let value = values[key];
+        if (definition.type === 'secret') {
+            if (value && value.clear) {
+                if (isStored(definition)) {
+                    deletes.push(key, ...(definition.legacyKeys || []));
+                    cleared.push(key);
+                }
+                return;
+            }
+            value = value && value.value ? String(value.value).trim() : '';
+            if (!value) return;
+        } else if (definition.type === 'calendars') {
+            value = (value || []).filter(calendar => calendar && String(calendar.id || '').trim());
+            value = value.length > 0 ? JSON.stringify(value.map(normalizeCalendarSetting_)) : '';
+        } else {
+            value = String(value === undefined || value === null ? '' : value).trim();
+        }
+
+        if (value === '') {
+            // 空欄は既定値に戻します（旧名のプロパティも削除します）
+            if (isStored(definition)) {
+                deletes.push(key, ...(definition.legacyKeys || []));
+                cleared.push(key);
+            }
+            return;
+        }
+        if (value === current[key]) return;
+        if (definition.type === 'calendars' && current[key] && value === JSON.stringify(getSourceCalendars(true).map(normalizeCalendarSetting_))) return;
+
+        const error = validateSetting_(definition, value);
+        if (error) {
+            errors[key] = error;
+            return;
+        }
+        updates[key] = value;
+        deletes.push(...(definition.legacyKeys || []));
+    });
+
+    if (Object.keys(errors).length > 0) return { ok: false, errors: errors, saved: 0 };
+
+    if (Object.keys(updates).length > 0) props.setProperties(updates);
+    deletes.filter(key => current[key] !== undefined && !(key in updates)).forEach(key => props.deleteProperty(key));
+    settingPropertiesCache = null;
+    settingValuesCache = {};
+
+    const changed = Object.keys(updates).concat(cleared);
+    refreshJobTriggers(changed);
+    return { ok: true, errors: {}, saved: changed.length };
+}
+
+/**
+ * カレンダーの設定を保存する形式に整えます。
+ */
+function normalizeCalendarSetting_(calendar) {
+    const normalized = { id: String(calendar.id).trim() };
+    if (calendar.label) normalized.label = String(calendar.label).trim();
+    if (calendar.defaultCategory) normalized.defaultCategory = String(calendar.defaultCategory).trim();
+    if (calendar.enabled === false) normalized.enabled = false;
+    return normalized;
+}
+
+/**
+ * 設定の値を検証します。LINEのトークンやカレンダーIDは、実際に使えるかどうかも確認します。
+ * @param {Object} definition 設定の定義
+ * @param {string} value 保存する文字列
+ * @return {string} エラーメッセージ（問題が無ければ空文字）
+ */
+function validateSetting_(definition, value) {
+    const format = definition.format || definition.type;
+    switch (format) {
+        case 'integer':
+        case 'number': {
+            const number = Number(value);
+            if (isNaN(number) || (format === 'integer' && !Number.isInteger(number))) return `${format === 'integer' ? '整数' : '数値'}で入力してください。`;
+            if (number < definition.min || number > definition.max) return `${definition.min}～${definition.max}の範囲で入力してください。`;
+            break;
+        }
+        case 'ratio':
+            if (!/^\d+:\d+$/.test(value)) return '「3:7」の形式で入力してください。';
+            break;
+        case 'colors':
+            if (!value.split(',').every(color => /^#[0-9A-Fa-f]{6}$/.test(color.trim()))) return '#RRGGBB 形式の色をカンマ区切りで入力してください。';
+            break;
+        case 'select':
+            if (!definition.options.some(option => option.value === value)) return '選択肢から選んでください。';
+            break;
+        case 'boolean':
+            if (value !== 'true' && value !== 'false') return 'true または false を指定してください。';
+            break;
+        case 'json':
+            try {
+                JSON.parse(value);
+            } catch (e) {
+                return `JSONの形式が不正です: ${e.message}`;
+            }
+            break;
+        case 'email':
+            if (!value.split(',').every(address => /^[^\s@]+@[^\s@]+$/.test(address.trim()))) return 'メールアドレスの形式が不正です。';
+            break;
+        case 'url':
+            if (!/^https?:\/\/\S+$/.test(value)) return 'http:// または https:// で始まるURLを入力してください。';
+            break;
+    }
+    return definition.test ? testSettingValue_(definition.test, value) : '';
+}
+
+/**
+ * 設定の値が実際に使えるかを確認します。
+ * @param {string} test 確認の種類（sheet / timeZone / calendar / line / spreadsheet）
+ * @param {string} value 値
+ * @return {string} エラーメッセージ（問題が無ければ空文字）
+ */
+function testSettingValue_(test, value) {
+    try {
+        switch (test) {
+            case 'sheet':
+                return SpreadsheetApp.getActiveSpreadsheet().getSheetByName(value) ? '' : `シート「${value}」が見つかりません。`;
+            case 'timeZone':
+                // 略称（JST など）、GMT+9 などの時差、Asia/Tokyo などの地域名を受け付けます
+                return /^([A-Z]{2,5}|GMT[+-]\d{1,2}(:\d{2})?|[A-Za-z]+(\/[A-Za-z0-9_+\-]+)+)$/.test(value)
+                    ? '' : `タイムゾーン「${value}」の形式を認識できません。`;
+            case 'calendar': {
+                const ids = value.startsWith('[') ? JSON.parse(value).map(calendar => calendar.id) : [value];
+                const missing = ids.filter(id => !CalendarApp.getCalendarById(id));
+                return missing.length > 0 ? `カレンダーが見つかりません（アクセス権を確認してください）: ${missing.join(', ')}` : '';
+            }
+            case 'line': {
+                const response = UrlFetchApp.fetch('https://api.line.me/v2/bot/info', {
+                    headers: { Authorization: 'Bearer ' + value },
+                    muteHttpExceptions: true
+                });
+                return response.getResponseCode() === 200 ? '' : `LINEのトークンを確認できませんでした（HTTP ${response.getResponseCode()}）。`;
+            }
+            case 'spreadsheet':
+                SpreadsheetApp.openById(value);
+                return '';
+        }
+    } catch (e) {
+        return `確認できませんでした: ${e.message}`;
+    }
+    return '';
+}
+
+/**
+ * 入力中の値を保存せずに確認します（サイドバーの「テスト」ボタン）。secret が空欄の場合は保存済みの値を確認します。
+ * @param {string} key 設定のキー
+ * @param {*} value 入力値（calendars は配列）
+ * @return {Object} { ok, message }
+ */
+function testSetting(key, value) {
+    assertSpreadsheetUser_();
+    const definition = findSettingDefinition_(key);
+    if (!definition.test) return { ok: true, message: 'この項目には確認の方法がありません。' };
+
+    let target = value;
+    if (definition.type === 'calendars') {
+        target = JSON.stringify((value || []).filter(calendar => calendar && calendar.id).map(normalizeCalendarSetting_));
+    } else if (definition.type === 'secret' && !value) {
+        target = getSetting(key);
+    }
+    if (!target || target === '[]') return { ok: false, message: '値が入力されていません。' };
+
+    const error = testSettingValue_(definition.test, String(target).trim());
+    return error ? { ok: false, message: error } : { ok: true, message: 'OK' };
+}
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview 時間帯の分析（曜日×時間帯のヒートマップと「典型的な1日」）
+ * 各イベントの開始・終了時刻から、カテゴリーごとに「曜日 × 時刻（0～23時）」の時間を集計し、
+ * いつ何をしているかを週次レポートのヒートマップ画像とAIへのデータに使用します。
+ *
+ * 「典型的な1日」は次の指標の平均です（前週からのずれも算出します）。
+ * - 起床: メインの睡眠（sleep グループで3時間以上の連続した記録）の終了時刻
+ * - 最初の集中作業: その日最初の、output / work グループで60分以上続いた記録の開始時刻
+ * - 就寝: メインの睡眠の開始時刻
+ * 睡眠のカテゴリーは、Categoriesシートのグループを sleep にしてください（未登録の場合は名前に「睡眠」を含むもの）。
+ */
+
+/** 時間帯の分析の設定 */
+const TIME_PROFILE_CONFIG = {
+    SLEEP_GROUP: 'sleep',
+    DEEP_WORK_GROUPS: ['output', 'work'],
+    DEEP_WORK_MIN_MINUTES: 60,
+    MAIN_SLEEP_MIN_HOURS: 3,
+    // ヒートマップに表示する最小の時間（この時間未満のマスは空白にします）
+    HEATMAP_MIN_HOURS: 0.25,
+    // AIに渡す、カテゴリーごとの多い時間帯の数
+    PEAK_SLOTS: 3
+};
+
+/** 曜日の表示名（Date#getDay の順） */
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 期間内の時間帯の分析結果をまとめて算出します。
+ * @param {Array<Object>} thisEvents 今期間のイベント（filterEventsByRange の結果）
+ * @param {Array<Object>} lastEvents 前期間のイベント
+ * @param {Object} current 今期間 { start, end }
+ * @param {Object} previous 前期間 { start, end }
+ * @return {Object} { heatmap, typicalDay: { current, previous, shiftMinutes } }
+ */
+function buildTimeProfile(thisEvents, lastEvents, current, previous) {
+    const thisDay = buildTypicalDay(thisEvents, current);
+    const lastDay = buildTypicalDay(lastEvents, previous);
+
+    const shiftMinutes = {};
+    Object.keys(thisDay).forEach(key => {
+        shiftMinutes[key] = thisDay[key] !== null && lastDay[key] !== null ? thisDay[key] - lastDay[key] : null;
+    });
+
+    return {
+        heatmap: buildTimeHeatmap(thisEvents),
+        typicalDay: { current: thisDay, previous: lastDay, shiftMinutes: shiftMinutes }
+    };
+}
+
+/**
+ * カテゴリーごとに「曜日 × 時刻」の時間（h）を集計します。
+ * 時刻をまたぐイベントは、それぞれの時刻に含まれる分だけを加算します。
+ * @param {Array<Object>} events 期間内のイベント
+ * @return {Object} カテゴリー名をキーとした 7×24 の配列（[曜日][時刻]）
+ */
+function buildTimeHeatmap(events) {
+    const heatmap = {};
+    events.forEach(ev => {
+        const category = getEventCategory(ev);
+        if (!category || !(ev.start instanceof Date) || !(ev.end instanceof Date)) return;
+
+        if (!heatmap[category]) {
+            heatmap[category] = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+        }
+        let cursor = ev.start;
+        while (cursor < ev.end) {
+            const nextHour = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate(), cursor.getHours() + 1);
+            const slotEnd = ev.end < nextHour ? ev.end : nextHour;
+            heatmap[category][cursor.getDay()][cursor.getHours()] += (slotEnd - cursor) / 3600000;
+            cursor = slotEnd;
+        }
+    });
+    return heatmap;
+}
+
+/**
+ * 「典型的な1日」の指標（その日の0時からの分）の平均を算出します。
+ * 就寝は日付をまたぐことが多いため、正午より前の時刻は前日の24時以降として扱います。
+ * @param {Array<Object>} events 期間内のイベント
+ * @param {Object} range 期間 { start, end }（期間の境目で切れた睡眠を除外するために使用）
+ * @return {Object} { wakeUp, firstDeepWork, bedtime }（記録が無い指標はnull）
+ */
+function buildTypicalDay(events, range) {
+    const minutesOfDay = date => date.getHours() * 60 + date.getMinutes();
+    const average = values => values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+
+    // 日ごとに分割された睡眠の記録を、連続したひとまとまりに戻します
+    const sleepBlocks = [];
+    events
+        .filter(ev => ev.start instanceof Date && getCategoryGroup(getEventCategory(ev) || '') === TIME_PROFILE_CONFIG.SLEEP_GROUP)
+        .sort((a, b) => a.start - b.start)
+        .forEach(ev => {
+            const last = sleepBlocks[sleepBlocks.length - 1];
+            if (last && ev.start - last.end <= 60000) {
+                if (ev.end > last.end) last.end = ev.end;
+            } else {
+                sleepBlocks.push({ start: ev.start, end: ev.end });
+            }
+        });
+
+    const mainSleeps = sleepBlocks.filter(block => (block.end - block.start) / 3600000 >= TIME_PROFILE_CONFIG.MAIN_SLEEP_MIN_HOURS);
+    const wakeUps = mainSleeps.filter(block => block.end < range.end).map(block => minutesOfDay(block.end));
+    const bedtimes = mainSleeps.filter(block => block.start > range.start).map(block => {
+        const minutes = minutesOfDay(block.start);
+        return minutes < 12 * 60 ? minutes + 24 * 60 : minutes;
+    });
+
+    // 日ごとに、最初の集中作業の開始時刻を求めます
+    const firstDeepWork = {};
+    events.forEach(ev => {
+        if (!(ev.start instanceof Date)) return;
+        if (!TIME_PROFILE_CONFIG.DEEP_WORK_GROUPS.includes(getCategoryGroup(getEventCategory(ev) || ''))) return;
+        if ((ev.end - ev.start) / 60000 < TIME_PROFILE_CONFIG.DEEP_WORK_MIN_MINUTES) return;
+
+        const dayKey = ev.date.getTime();
+        if (firstDeepWork[dayKey] === undefined || ev.start < firstDeepWork[dayKey]) firstDeepWork[dayKey] = ev.start;
+    });
+
+    return {
+        wakeUp: average(wakeUps),
+        firstDeepWork: average(Object.keys(firstDeepWork).map(key => minutesOfDay(firstDeepWork[key]))),
+        bedtime: average(bedtimes)
+    };
+}
+
+/**
+ * 0時からの分を「HH:mm」形式にします（24時以降は翌日の時刻として表示します）。
+ * @param {number|null} minutes 0時からの分
+ * @return {string} 時刻（nullの場合は「-」）
+ */
+function formatMinutesOfDay(minutes) {
+    if (minutes === null) return '-';
+    const normalized = minutes % (24 * 60);
+    return `${('0' + Math.floor(normalized / 60)).slice(-2)}:${('0' + normalized % 60).slice(-2)}`;
+}
+
+/**
+ * 前期間からのずれ（分）を「+15分」のような表記にします。
+ */
+function formatShiftMinutes(minutes) {
+    if (minutes === null) return '';
+    if (minutes === 0) return '±0分';
+    return `${minutes > 0 ? '+' : ''}${minutes}分`;
+}
+
+/**
+ * 時間帯の分析結果をAIへのデータ用に要約します。
+ * ヒートマップはそのままでは大きいため、カテゴリーごとに多い曜日と時間帯だけを渡します。
+ * @param {Object} timeProfile buildTimeProfile の結果
+ * @return {Object} { typicalDay, previousTypicalDay, shiftMinutes, peaks }
+ */
+function summarizeTimeProfileForPrompt(timeProfile) {
+    const { heatmap, typicalDay } = timeProfile;
+    const toTimes = day => ({
+        wakeUp: formatMinutesOfDay(day.wakeUp),
+        firstDeepWork: formatMinutesOfDay(day.firstDeepWork),
+        bedtime: formatMinutesOfDay(day.bedtime)
+    });
+
+    const peaks = sortCategories(Object.keys(heatmap)).map(category => {
+        const grid = heatmap[category];
+        const byWeekday = grid.map(hours => hours.reduce((sum, h) => sum + h, 0));
+        const byHour = grid[0].map((_, hour) => grid.reduce((sum, hours) => sum + hours[hour], 0));
+        const peakHours = byHour
+            .map((hours, hour) => ({ hour, hours }))
+            .filter(slot => slot.hours > 0)
+            .sort((a, b) => b.hours - a.hours)
+            .slice(0, TIME_PROFILE_CONFIG.PEAK_SLOTS)
+            .map(slot => `${slot.hour}時台(${slot.hours.toFixed(1)}h)`);
+        const peakWeekday = byWeekday.indexOf(Math.max(...byWeekday));
+        return { category, peakWeekday: WEEKDAY_LABELS[peakWeekday], peakHours };
+    });
+
+    return {
+        typicalDay: toTimes(typicalDay.current),
+        previousTypicalDay: toTimes(typicalDay.previous),
+        shiftMinutes: typicalDay.shiftMinutes,
+        peaks: peaks
+    };
+}
+
+/**
+ * 曜日×時間帯のヒートマップ画像を生成します。
+ * Charts サービスにはヒートマップが無いため、散布図の四角いマーカーでマス目を表現し、
+ * 各マスはその時間帯に最も長く記録されたカテゴリーの色で塗ります。
+ * @param {Object} heatmap buildTimeHeatmap の結果
+ * @param {string} title グラフのタイトル
+ * @return {Blob|null} グラフ画像のBlobデータ（記録が無い場合はnull）
+ */
+function createHeatmapImage(heatmap, title) {
+    const categories = sortCategories(Object.keys(heatmap));
+    const cells = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+        for (let hour = 0; hour < 24; hour++) {
+            let topCategory = null;
+            let topHours = 0;
+            categories.forEach(category => {
+                const hours = heatmap[category][weekday][hour];
+                if (hours > topHours) {
+                    topCategory = category;
+                    topHours = hours;
+                }
+            });
+            if (topCategory && topHours >= TIME_PROFILE_CONFIG.HEATMAP_MIN_HOURS) {
+                cells.push({ weekday, hour, category: topCategory });
+            }
+        }
+    }
+
+    const usedCategories = categories.filter(category => cells.some(cell => cell.category === category));
+    if (usedCategories.length === 0) return null;
+
+    // 1列目が横軸（時刻）、2列目以降がカテゴリーごとの縦軸（曜日）です
+    const dataTable = Charts.newDataTable().addColumn(Charts.ColumnType.NUMBER, '時刻');
+    usedCategories.forEach(category => dataTable.addColumn(Charts.ColumnType.NUMBER, category));
+    cells.forEach(cell => {
+        const row = [cell.hour + 0.5];
+        usedCategories.forEach(category => row.push(category === cell.category ? cell.weekday : null));
+        dataTable.addRow(row);
+    });
+
+    const chart = Charts.newScatterChart()
+        .setDataTable(dataTable.build())
+        .setTitle(title)
+        .setDimensions(CONFIG.CHART_WIDTH, CONFIG.CHART_HEIGHT)
+        .setLegendPosition(Charts.Position.RIGHT)
+        .setColors(usedCategories.map(getCategoryColor))
+        .setPointStyle(Charts.PointStyle.LARGE)
+        .setOption('pointShape', 'square')
+        .setOption('pointSize', 14)
+        .setOption('hAxis', { title: '時刻', minValue: 0, maxValue: 24, ticks: [0, 3, 6, 9, 12, 15, 18, 21, 24] })
+        .setOption('vAxis', {
+            title: '曜日',
+            direction: -1,
+            minValue: -0.5,
+            maxValue: 6.5,
+            ticks: WEEKDAY_LABELS.map((label, i) => ({ v: i, f: label }))
+        })
+        .build();
+
+    return chart.getAs('image/png').setName('heatmap_chart.png');
+}
+
+/**
+ * メール用に、ヒートマップ画像と「典型的な1日」の表を組み立てます。
+ * @param {Object} timeProfile buildTimeProfile の結果
+ * @param {boolean} hasHeatmap ヒートマップ画像（cid:heatmapImg）があるか
+ * @return {string} HTML
+ */
+function buildTimeProfileHtml(timeProfile, hasHeatmap) {
+    const { current, previous, shiftMinutes } = timeProfile.typicalDay;
+    const rows = [['起床', 'wakeUp'], ['最初の集中作業', 'firstDeepWork'], ['就寝', 'bedtime']].map(([label, key]) => `
+        <tr>
+          <td style="border: 1px solid #ddd; padding: 8px; font-weight: bold; background-color: #fafafa;">${label}</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${formatMinutesOfDay(current[key])}</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center; color: #888;">${formatMinutesOfDay(previous[key])}</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${formatShiftMinutes(shiftMinutes[key]) || '-'}</td>
+        </tr>`).join('');
+
+    const heatmapHtml = hasHeatmap
+        ? `<div style="margin: 15px 0; text-align: center;">
+         <img src="cid:heatmapImg" style="width: 100%; max-width: ${CONFIG.CHART_WIDTH}px; border-radius: 12px; border: 1px solid #eee; box-shadow: 0 4px 8px rgba(0,0,0,0.05);" />
+       </div>`
+        : "";
+
+    return `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #673AB7; font-size: 1em;">● 時間帯の傾向</h3>
+      ${heatmapHtml}
+      <table style="border-collapse: collapse; width: 100%; margin: 15px 0 35px 0; font-size: 0.95em;">
+        <tr style="background-color: #eee; color: #444;">
+          <th style="border: 1px solid #ddd; padding: 8px;">典型的な1日</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">今週</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">前週</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">ずれ</th>
+        </tr>
+        ${rows}
+      </table>`;
+}
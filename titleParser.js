@@ -0,0 +1,129 @@
+/**
+ * @fileoverview イベントタイトルの解析（階層カテゴリー・タグ・所要時間の上書き）
+ * タイトルの書式:
+ *   【親カテゴリー/子カテゴリー】 #タグ1 #タグ2 内容 =1.5h
+ * - 【 】内を「/」（全角「／」も可）で区切ると、先頭が親カテゴリー、以降が子カテゴリーになります。
+ *   例: 【仕事/会議】 → 親「仕事」、子カテゴリー「仕事/会議」
+ * - 「#」（全角「＃」も可）で始まる語はタグとして扱います。複数指定できます。
+ * - 「=1.5h」「=90m」「=1h30m」は所要時間の上書きです。予定の枠より実際の作業時間が短い場合などに使います。
+ *
+ * レポートは既定で親カテゴリーに集計し、子カテゴリー・タグ単位の内訳はダッシュボードやメールの内訳で確認できます。
+ * カレンダー同期では解析結果をDBシートの E列（親カテゴリー）・L列（子カテゴリー）・M列（タグ）・N列（上書きした所要時間）に書き込みます。
+ */
+
+/** カテゴリーの階層の区切り文字 */
+const CATEGORY_PATH_SEPARATOR = '/';
+
+/** 集計の単位（レポート・ダッシュボードのドリルダウン） */
+const CATEGORY_LEVELS = {
+    category: '親カテゴリー',
+    subcategory: '子カテゴリー',
+    tag: 'タグ'
+};
+
+/**
+ * イベントのタイトルを解析します。
+ * @param {string} title イベントのタイトル
+ * @return {Object} { category, subcategory, tags, durationHours, name }
+ *   - category: 親カテゴリー（【 】が無ければnull）
+ *   - subcategory: 子カテゴリーまで含めたパス（例: 仕事/会議。子が無ければ親と同じ）
+ *   - tags: タグの配列（# は含みません）
+ *   - durationHours: 上書きした所要時間（時間。指定が無ければnull）
+ *   - name: カテゴリー・タグ・所要時間を除いた内容
+ */
+function parseEventTitle(title) {
+    let rest = String(title || '');
+
+    const path = splitCategoryPath(extractCategory(rest) || '');
+    rest = rest.replace(/【.*?】/, ' ');
+
+    const tags = [];
+    rest = rest.replace(/(^|\s)[#＃]([^\s#＃]+)/g, (match, space, tag) => {
+        if (!tags.includes(tag)) tags.push(tag);
+        return space;
+    });
+
+    let durationHours = null;
+    rest = rest.replace(/(^|\s)[=＝](?:(\d+(?:\.\d+)?)h)?(?:(\d+)m(?:in)?)?(?=\s|$)/i, (match, space, hours, minutes) => {
+        if (hours === undefined && minutes === undefined) return match;
+        durationHours = Number(hours || 0) + Number(minutes || 0) / 60;
+        return space;
+    });
+
+    return {
+        category: path.length > 0 ? path[0] : null,
+        subcategory: path.length > 0 ? path.join(CATEGORY_PATH_SEPARATOR) : null,
+        tags: tags,
+        durationHours: durationHours,
+        name: rest.replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * 「親/子」形式のカテゴリー名を階層ごとに分割します。
+ * @param {string} name カテゴリー名
+ * @return {Array<string>} 親から順の配列（空の階層は除きます）
+ */
+function splitCategoryPath(name) {
+    return String(name || '').split(/[/／]/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * イベントの子カテゴリーまで含めたパスを返します（親カテゴリーは別名を統合した正式名にします）。
+ * @param {Object} ev filterEventsByRangeで抽出したイベント
+ * @return {string|null} 例: 仕事/会議（子カテゴリーが無い場合は親カテゴリー名）
+ */
+function getEventSubcategory(ev) {
+    const path = splitCategoryPath(ev.subcategory || ev.category || extractCategory(ev.title));
+    if (path.length === 0) return null;
+    path[0] = resolveCategory(path[0]);
+    return path.join(CATEGORY_PATH_SEPARATOR);
+}
+
+/**
+ * 集計の単位に応じて、イベントを集計するキーを返します。
+ * タグの単位では、複数のタグを持つイベントはそれぞれのタグに計上します（合計は実際の時間より多くなります）。
+ * @param {Object} ev filterEventsByRangeで抽出したイベント
+ * @param {string} [level] 集計の単位（category / subcategory / tag。省略時は category）
+ * @return {Array<string>} 集計のキー（カテゴリーが無いイベントは空の配列）
+ */
+function getEventGroupingKeys(ev, level) {
+    const category = getEventCategory(ev);
+    if (!category) return [];
+    if (level === 'subcategory') return [getEventSubcategory(ev)];
+    if (level === 'tag') return ev.tags && ev.tags.length > 0 ? ev.tags.map(tag => `#${tag}`) : ['(タグなし)'];
+    return [category];
+}
+
+/**
+ * 期間内のイベントを親カテゴリーごとに、子カテゴリー・タグ別の時間に分解します（メールの内訳用）。
+ * 子カテゴリーもタグも無い親カテゴリーは含めません。
+ * @param {Array<Object>} events 期間内のイベント
+ * @return {Array<Object>} [{ category, hours, children: [{ name, hours }], tags: [{ name, hours }] }]（表示順）
+ */
+function buildCategoryDrillDown(events) {
+    const byCategory = {};
+    events.forEach(ev => {
+        const category = getEventCategory(ev);
+        if (!category) return;
+
+        const hours = getEventHours(ev);
+        if (!byCategory[category]) byCategory[category] = { category: category, hours: 0, children: {}, tags: {} };
+        const entry = byCategory[category];
+        entry.hours += hours;
+
+        const subcategory = getEventSubcategory(ev);
+        if (subcategory !== category) entry.children[subcategory] = (entry.children[subcategory] || 0) + hours;
+        (ev.tags || []).forEach(tag => entry.tags[`#${tag}`] = (entry.tags[`#${tag}`] || 0) + hours);
+    });
+
+    const toList = map => Object.keys(map).map(name => ({ name: name, hours: map[name] })).sort((a, b) => b.hours - a.hours);
+    return sortCategories(Object.keys(byCategory))
+        .map(category => ({
+            category: category,
+            hours: byCategory[category].hours,
+            children: toList(byCategory[category].children),
+            tags: toList(byCategory[category].tags)
+        }))
+        .filter(entry => entry.children.length > 0 || entry.tags.length > 0);
+}
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview トリガーの管理
+ * カレンダー同期・集計シートの更新・日次LINE・週次・月次・年間レポートの定期実行を、メニューの「トリガーの管理」から管理します。
+ * - 実行時刻（時・週次は曜日）は設定（settings.js の「定期実行の時刻」）に保存し、変更するとトリガーを作り直します。
+ * - 停止するとトリガーを削除し、停止中であることを記録します（設定で時刻を変えても作り直しません）。再開すると設定の時刻で作成します。
+ * - 「今すぐ実行」で、それぞれの処理を1回だけ実行できます。
+ *
+ * トリガーは runCalendarSyncJob などの専用の関数を呼び出し、実行の開始・終了・エラーを記録してから本来の処理を実行します。
+ * 以前の createDailyLineTrigger などで作った、処理を直接呼び出すトリガー（dailyLineNotify など）も同じ処理のトリガーとして一覧に表示し、
+ * 時刻の変更・再開の際に専用の関数を呼び出すトリガーに置き換えます（置き換えるまで前回の実行結果は記録されません）。
+ * ScriptApp.getProjectTriggers は、このスクリプトで自分が作成したトリガーのみを返します。
+ */
+
+/** スクリプトプロパティのキー */
+const TRIGGER_JOB_CONFIG = {
+    PAUSED_KEY: 'PAUSED_TRIGGER_JOBS', // 停止中の処理のID（JSON配列）
+    RUN_KEY_PREFIX: 'TRIGGER_JOB_RUN_' // 処理ごとの前回の実行結果（JSON）
+};
+
+/**
+ * 定期実行する処理の一覧を返します。
+ * schedule: daily（毎日）/ weekly（毎週 weekdayKey の曜日）/ monthly（毎月1日）/ yearly（毎月1日に起動し、1月のみ実行）
+ * run は { manual } を受け取ります。レポートを「今すぐ実行」した場合は resendReport で送信し、
+ * 失敗しても失敗通知・再送の予定追加は行わず、エラーを実行結果として返すだけにします。
+ * @return {Array<Object>} { id, label, handler, legacyHandlers, schedule, hourKey, weekdayKey, run, scheduledRun }
+ */
+function getTriggerJobs_() {
+    return [
+        { id: 'sync', label: 'カレンダー同期（前日分）', handler: 'runCalendarSyncJob', legacyHandlers: ['addCalendarDayEvents'], schedule: 'daily', hourKey: 'CALENDAR_SYNC_HOUR', run: addCalendarDayEvents },
+        { id: 'rollups', label: '集計シートの更新', handler: 'runRollupRefreshJob', legacyHandlers: [], schedule: 'daily', hourKey: 'ROLLUP_REFRESH_HOUR', run: refreshRecentRollups },
+        { id: 'daily', label: '日次LINE', handler: 'runDailyLineJob', legacyHandlers: ['dailyLineNotify'], schedule: 'daily', hourKey: 'DAILY_REPORT_HOUR', run: options => (options.manual ? resendReport('daily', new Date()) : dailyLineNotify()) },
+        { id: 'weekly', label: '週次レポート', handler: 'runWeeklyReportJob', legacyHandlers: ['sendWeeklyReport'], schedule: 'weekly', hourKey: 'WEEKLY_REPORT_HOUR', weekdayKey: 'WEEKLY_REPORT_WEEKDAY', run: options => (options.manual ? resendReport('weekly', new Date()) : sendWeeklyReport()) },
+        { id: 'monthly', label: '月次レポート', handler: 'runMonthlyReportJob', legacyHandlers: ['sendMonthlyReport'], schedule: 'monthly', hourKey: 'MONTHLY_REPORT_HOUR', run: options => (options.manual ? resendReport('monthly', new Date()) : sendMonthlyReport()) },
+        { id: 'yearly', label: '年間レポート', handler: 'runYearlyReportJob', legacyHandlers: ['sendYearlyReportIfJanuary'], schedule: 'yearly', hourKey: 'YEARLY_REPORT_HOUR', run: options => (options.manual ? resendReport('yearly', new Date()) : sendYearlyReport()), scheduledRun: sendYearlyReportIfJanuary }
+    ];
+}
+
+// --- トリガーから呼び出す関数 ---
+
+/** 【トリガー】カレンダー同期（前日分） */
+function runCalendarSyncJob() {
+    runTriggerJob_('sync', false);
+}
+
+/** 【トリガー】集計シートの更新 */
+function runRollupRefreshJob() {
+    runTriggerJob_('rollups', false);
+}
+
+/** 【トリガー】日次LINE */
+function runDailyLineJob() {
+    runTriggerJob_('daily', false);
+}
+
+/** 【トリガー】週次レポート */
+function runWeeklyReportJob() {
+    runTriggerJob_('weekly', false);
+}
+
+/** 【トリガー】月次レポート */
+function runMonthlyReportJob() {
+    runTriggerJob_('monthly', false);
+}
+
+/** 【トリガー】年間レポート（毎月1日に起動し、1月のみ送信） */
+function runYearlyReportJob() {
+    runTriggerJob_('yearly', false);
+}
+
+/**
+ * 処理を実行し、開始・終了・エラーを記録します。
+ * トリガーからの実行でエラーになった場合は、Apps Script のエラー通知が届くように例外を投げ直します。
+ * @param {string} jobId 処理のID
+ * @param {boolean} manual 「今すぐ実行」からの実行の場合はtrue（年間レポートは1月以外でも送信し、レポートの失敗通知・自動再送は行いません）
+ * @return {Object} 実行結果 { status: 'success' | 'error', startedAt, finishedAt, manual, message }
+ */
+function runTriggerJob_(jobId, manual) {
+    const job = findTriggerJob_(jobId);
+    const record = { status: 'running', startedAt: Date.now(), manual: manual };
+    saveTriggerJobRun_(jobId, record);
+
+    let error = null;
+    try {
+        (manual ? job.run : (job.scheduledRun || job.run))({ manual: manual });
+        record.status = 'success';
+    } catch (e) {
+        error = e;
+        record.status = 'error';
+        record.message = e.message;
+        console.error(`${job.label}の実行に失敗しました: ${e.message}`);
+    }
+    record.finishedAt = Date.now();
+    saveTriggerJobRun_(jobId, record);
+
+    if (error && !manual) throw error;
+    return record;
+}
+
+/**
+ * 処理の定義を返します。
+ * @param {string} jobId 処理のID
+ * @return {Object} 定義
+ * @throws {Error} 不明なIDの場合
+ */
+function findTriggerJob_(jobId) {
+    const job = getTriggerJobs_().find(item => item.id === jobId);
+    if (!job) throw new Error(`不明な処理です: ${jobId}`);
+    return job;
+}
+
+/**
+ * 前回の実行結果を保存します（処理ごとに別のプロパティに保存し、同時に実行されても上書きし合わないようにします）。
+ */
+function saveTriggerJobRun_(jobId, record) {
+    PropertiesService.getScriptProperties().setProperty(TRIGGER_JOB_CONFIG.RUN_KEY_PREFIX + jobId, JSON.stringify(record));
+}
+
+/**
+ * 前回の実行結果を返します。
+ * @return {Object|null} saveTriggerJobRun_ で保存した内容（実行されていない場合はnull）
+ */
+function loadTriggerJobRun_(jobId) {
+    const json = PropertiesService.getScriptProperties().getProperty(TRIGGER_JOB_CONFIG.RUN_KEY_PREFIX + jobId);
+    return json ? JSON.parse(json) : null;
+}
+
+// --- トリガーの作成・停止 ---
+
+/**
+ * 処理のトリガーを設定の時刻で作り直します（旧形式のトリガーも削除します）。停止中の場合は再開します。
+ * @param {string} jobId 処理のID
+ * @return {string} スケジュールの説明（例: 「毎週日曜日 9時台」）
+ */
+function installTriggerJob(jobId) {
+    const job = findTriggerJob_(jobId);
+    deleteTriggerJobTriggers_(job);
+
+    const hour = getSetting(job.hourKey);
+    const builder = ScriptApp.newTrigger(job.handler).timeBased();
+    if (job.schedule === 'weekly') {
+        builder.onWeekDay(ScriptApp.WeekDay[getSetting(job.weekdayKey)]);
+    } else if (job.schedule === 'monthly' || job.schedule === 'yearly') {
+        builder.onMonthDay(1);
+    } else {
+        builder.everyDays(1);
+    }
+    builder.atHour(hour).create();
+    setTriggerJobPaused_(jobId, false);
+
+    const description = describeTriggerJobSchedule_(job);
+    console.log(`${job.label}のトリガーを設定しました（${description}）。`);
+    return description;
+}
+
+/**
+ * 処理のトリガーを削除し、停止中として記録します。
+ * @param {string} jobId 処理のID
+ */
+function pauseTriggerJob_(jobId) {
+    const job = findTriggerJob_(jobId);
+    deleteTriggerJobTriggers_(job);
+    setTriggerJobPaused_(jobId, true);
+    console.log(`${job.label}のトリガーを停止しました。`);
+}
+
+/**
+ * 処理のトリガー（旧形式を含む）を削除します。
+ */
+function deleteTriggerJobTriggers_(job) {
+    ScriptApp.getProjectTriggers()
+        .filter(trigger => isTriggerOfJob_(trigger, job))
+        .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * トリガーがその処理のものかを判定します。
+ */
+function isTriggerOfJob_(trigger, job) {
+    return [job.handler].concat(job.legacyHandlers).includes(trigger.getHandlerFunction());
+}
+
+/**
+ * 停止中の処理のID一覧を返します。
+ * @return {Array<string>} 処理のID
+ */
+function getPausedTriggerJobs_() {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(TRIGGER_JOB_CONFIG.PAUSED_KEY) || '[]');
+}
+
+function setTriggerJobPaused_(jobId, paused) {
+    const ids = getPausedTriggerJobs_().filter(id => id !== jobId);
+    if (paused) ids.push(jobId);
+    PropertiesService.getScriptProperties().setProperty(TRIGGER_JOB_CONFIG.PAUSED_KEY, JSON.stringify(ids));
+}
+
+/**
+ * 実行時刻の設定が変わった処理のうち、トリガーがあるものを新しい時刻で作り直します（saveSettings から呼び出されます）。
+ * トリガーが無い処理（未設定・停止中）は作成しません。
+ * @param {Array<string>} changedKeys 変更された設定のキー
+ */
+function refreshJobTriggers(changedKeys) {
+    const triggers = ScriptApp.getProjectTriggers();
+    getTriggerJobs_()
+        .filter(job => [job.hourKey, job.weekdayKey].some(key => key && changedKeys.includes(key)))
+        .filter(job => triggers.some(trigger => isTriggerOfJob_(trigger, job)))
+        .forEach(job => installTriggerJob(job.id));
+}
+
+/**
+ * スケジュールを文章にします。GASの時刻指定のトリガーは、指定した時刻から1時間以内のいずれかの時刻に実行されます。
+ * @return {string} 例: 「毎日 5時台」「毎週日曜日 9時台」
+ */
+function describeTriggerJobSchedule_(job) {
+    const hour = `${getSetting(job.hourKey)}時台`;
+    switch (job.schedule) {
+        case 'weekly':
+            return `毎週${SETTING_WEEKDAYS.find(item => item.value === getSetting(job.weekdayKey)).label} ${hour}`;
+        case 'monthly':
+            return `毎月1日 ${hour}`;
+        case 'yearly':
+            return `毎年1月1日 ${hour}`;
+        default:
+            return `毎日 ${hour}`;
+    }
+}
+
+// --- ダイアログ ---
+
+/**
+ * 【メニュー】トリガーの管理ダイアログを表示します。
+ */
+function showTriggerManager() {
+    assertSpreadsheetUser_();
+    const html = HtmlService.createHtmlOutputFromFile('triggerManager')
+        .setWidth(760)
+        .setHeight(560);
+    SpreadsheetApp.getUi().showModalDialog(html, 'トリガーの管理');
+}
+
+/**
+ * 処理ごとのトリガーの状態と前回の実行結果を返します。ダイアログから呼び出されます。
+ * @return {Object} { jobs, others, weekdays }
+ *   jobs: [{ id, label, schedule, hour, weekday, description, state: 'active' | 'paused' | 'none', legacy, lastRun }]
+ *   others: 処理の一覧に無いトリガー [{ handler, eventType }]
+ */
+function getTriggerManagerStatus() {
+    assertSpreadsheetUser_();
+    const triggers = ScriptApp.getProjectTriggers();
+    const paused = getPausedTriggerJobs_();
+    const jobs = getTriggerJobs_();
+
+    const jobStatuses = jobs.map(job => {
+        const installed = triggers.filter(trigger => isTriggerOfJob_(trigger, job));
+        const lastRun = loadTriggerJobRun_(job.id);
+        return {
+            id: job.id,
+            label: job.label,
+            schedule: job.schedule,
+            hour: getSetting(job.hourKey),
+            weekday: job.weekdayKey ? getSetting(job.weekdayKey) : '',
+            description: describeTriggerJobSchedule_(job),
+            state: installed.length > 0 ? 'active' : (paused.includes(job.id) ? 'paused' : 'none'),
+            legacy: installed.some(trigger => trigger.getHandlerFunction() !== job.handler),
+            lastRun: lastRun ? formatTriggerJobRun_(lastRun) : null
+        };
+    });
+
+    const others = triggers
+        .filter(trigger => !jobs.some(job => isTriggerOfJob_(trigger, job)))
+        .map(trigger => ({ handler: trigger.getHandlerFunction(), eventType: String(trigger.getEventType()) }));
+
+    return { jobs: jobStatuses, others: others, weekdays: SETTING_WEEKDAYS };
+}
+
+/**
+ * 実行結果をダイアログの表示用に整えます。
+ */
+function formatTriggerJobRun_(record) {
+    const format = time => time ? Utilities.formatDate(new Date(time), CONFIG.TIME_ZONE, 'yyyy/MM/dd HH:mm') : '';
+    const labels = { running: '実行中', success: '成功', error: 'エラー' };
+    const seconds = record.finishedAt ? Math.round((record.finishedAt - record.startedAt) / 1000) : null;
+    return {
+        status: record.status,
+        statusLabel: labels[record.status] || record.status,
+        startedAt: format(record.startedAt),
+        duration: seconds === null ? '' : `${seconds}秒`,
+        manual: !!record.manual,
+        message: record.message || ''
+    };
+}
+
+/**
+ * 処理の実行時刻を変更して、トリガーを作り直します。ダイアログから呼び出されます。
+ * 停止中の処理は時刻の保存のみ行い、停止したままにします。
+ * @param {string} jobId 処理のID
+ * @param {Object} schedule { hour, weekday }（weekday は週次のみ）
+ * @return {Object} getTriggerManagerStatus の結果
+ * @throws {Error} 時刻が不正な場合
+ */
+function updateTriggerJobSchedule(jobId, schedule) {
+    assertSpreadsheetUser_();
+    const job = findTriggerJob_(jobId);
+    const values = {};
+    values[job.hourKey] = String(schedule.hour);
+    if (job.weekdayKey) values[job.weekdayKey] = String(schedule.weekday);
+
+    // saveSettings は、トリガーがある処理の時刻が変わった場合にトリガーを作り直します
+    const result = saveSettings(values);
+    if (!result.ok) throw new Error(Object.keys(result.errors).map(key => result.errors[key]).join('\n'));
+
+    if (!getPausedTriggerJobs_().includes(jobId) && !ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === job.handler)) {
+        installTriggerJob(jobId);
+    }
+    return getTriggerManagerStatus();
+}
+
+/**
+ * 処理のトリガーを停止します。ダイアログから呼び出されます。
+ * @return {Object} getTriggerManagerStatus の結果
+ */
+function pauseTriggerJobFromDialog(jobId) {
+    assertSpreadsheetUser_();
+    pauseTriggerJob_(jobId);
+    return getTriggerManagerStatus();
+}
+
+/**
+ * 処理のトリガーを設定の時刻で作成（再開）します。ダイアログから呼び出されます。
+ * @return {Object} getTriggerManagerStatus の結果
+ */
+function resumeTriggerJobFromDialog(jobId) {
+    assertSpreadsheetUser_();
+    installTriggerJob(jobId);
+    return getTriggerManagerStatus();
+}
+
+/**
+ * 処理を今すぐ1回実行します。ダイアログから呼び出されます。
+ * エラーになった場合も例外は投げず、実行結果として返します。
+ * @return {Object} { run: 実行結果, status: getTriggerManagerStatus の結果 }
+ */
+function runTriggerJobNow(jobId) {
+    assertSpreadsheetUser_();
+    const record = runTriggerJob_(jobId, true);
+    return { run: formatTriggerJobRun_(record), status: getTriggerManagerStatus() };
+}
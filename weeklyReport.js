@@ -2,80 +2,197 @@
  * @fileoverview 週次ライフログ・レポート生成プログラム
  * Googleカレンダーからエクスポートされたスプレッドシートのデータ（DBシート）を元に、
  * 1週間の活動をカテゴリー別に集計し、グラフ化、AIによる分析を行ってメール送信します。
+ * 集計からメール送信までの処理（runPeriodReport）は月次・年間レポート（periodReports.js）と共通です。
  * 
  * 主な機能:
- * 1. 【カテゴリー】形式のタイトルから活動を自動分類
+ * 1. 【カテゴリー】形式のタイトルから活動を自動分類（Categoriesシートで別名の統合・グループ・色を設定）
+ *    【親/子】の階層、#タグ、=1.5h による所要時間の上書きにも対応（titleParser.js）
  * 2. カテゴリー別の累積時間・構成比・前週比の算出
  * 3. インプット・アウトプット比率の計算
  * 4. Google Chartsを用いた日次積み上げ棒グラフの生成
- * 5. Gemini API (AI) による高度な活動分析とアドバイス
+ * 5. AI（Gemini または OpenAI互換API。aiClient.js）による高度な活動分析とアドバイス
+ * 6. Goalsシートに定義したカテゴリー別目標の達成状況・連続達成週数の表示
+ * 7. 曜日×時間帯のヒートマップと「典型的な1日」（起床・最初の集中作業・就寝）の前週比（週次のみ。timeProfile.js）
+ * 8. 起きている時間のうち記録できている割合（網羅率）と未記録・重複の時間（週次のみ。coverage.js）
+ * 9. 直近4週間・12週間の基準値から外れたカテゴリーと、新しく現れた・記録が途絶えたカテゴリーの検出（週次のみ。baselines.js）
+ * 10. 期間ごとの集計を Weekly・Monthly シートに保存し、前期間の値はそこから読み込み（rollups.js）
+ * 11. 予定のカレンダーとの比較（予定どおりに実行できた時間・未実行の予定・予定外の活動とスコア。週次のみ。planAdherence.js）
  */
 
 // --- 設定定数 ---
+// DBシート名・タイムゾーン・グラフの設定は、メニューの「設定」から変更できます（settings.js。既定値も settings.js にあります）
 const CONFIG = {
-    SHEET_NAME: 'DB',
-    TIME_ZONE: 'JST',
+    get SHEET_NAME() { return getSetting('SHEET_NAME'); },
+    CATEGORY_SHEET_NAME: 'Categories', // カテゴリーマスタのシート名
+    GOAL_SHEET_NAME: 'Goals', // カテゴリー別目標のシート名
+    PREVIEW_SHEET_NAME: 'Preview', // レポートのプレビューを記録するシート名
+    DELIVERY_LOG_SHEET_NAME: 'DeliveryLog', // 外部APIへの送信結果を記録するシート名
+    PROMPT_SHEET_NAME: 'Prompts', // AIへのプロンプトテンプレートのシート名
+    INSIGHT_SHEET_NAME: 'Insights', // AIの寸評と行動提案を記録するシート名
+    ROLLUP_SHEET_NAMES: { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }, // 期間ごとの集計を保存するシート名（rollups.js）
+    get TIME_ZONE() { return getSetting('TIME_ZONE'); },
     DATE_FORMAT: 'yyyy/MM/dd',
-    CHART_WIDTH: 600,
-    CHART_HEIGHT: 400,
-    IO_GOAL_RATIO: '3:7', // 目指すべきインプット:アウトプット比
-    CHART_COLORS: ["#4285F4", "#34A853", "#FBBC05", "#EA4335", "#673AB7", "#00ACC1", "#FF6D00", "#4E342E"],
-    GEMINI_MODEL: 'gemini-2.5-flash', // 使用するAIモデル
-    MAX_ANALYSIS_CHARS: 450 // AI分析の最大文字数目安
+    get CHART_WIDTH() { return getSetting('CHART_WIDTH'); },
+    get CHART_HEIGHT() { return getSetting('CHART_HEIGHT'); },
+    get IO_GOAL_RATIO() { return getSetting('IO_GOAL_RATIO'); }, // 目指すべきインプット:アウトプット比
+    get CHART_COLORS() { return getSetting('CHART_COLORS'); },
+    GEMINI_MODEL: 'gemini-2.5-flash', // 使用するAIモデル（設定の AI_MODEL で上書きできます）
+    MAX_ANALYSIS_CHARS: 450 // AI分析の最大文字数（超えた分は切り詰めます。Promptsシートで上書きできます）
 };
 
 /**
  * 【メイン関数】週次レポートの生成・送信プロセスを実行します。
- * トリガーによって毎週日曜日の朝などに実行されることを想定しています。
+ * トリガーによって毎週日曜日の朝など（曜日・時刻は設定で変更できます）に実行されることを想定しています。
  */
 function sendWeeklyReport() {
-    try {
-        const now = new Date();
+    runPeriodReport(buildWeeklyPeriod(new Date()));
+}
+
+/**
+ * 週次レポートの集計期間の定義を生成します。
+ * @param {Date} refDate 基準日時（通常は今日）
+ * @return {Object} runPeriodReport に渡す期間の定義
+ */
+function buildWeeklyPeriod(refDate) {
+    // offset 0: 直近に終わった週(日～土), offset -1: その前週
+    const thisWeek = getWeeklyDateRange(refDate, 0);
+    const lastWeek = getWeeklyDateRange(refDate, -1);
 
-        // 1. 集計期間の計算 (offset 0: 今週(直近の日～土), offset -1: 前週)
-        const thisWeek = getWeeklyDateRange(now, 0);
-        const lastWeek = getWeeklyDateRange(now, -1);
+    const buckets = buildDateBuckets(thisWeek.start, thisWeek.end, 'day');
 
-        // 2. スプレッドシートデータの取得
-        const ss = SpreadsheetApp.getActiveSpreadsheet();
-        const dbSheet = ss.getSheetByName(CONFIG.SHEET_NAME);
-        if (!dbSheet) throw new Error(`'${CONFIG.SHEET_NAME}' シートが見つかりません。`);
+    return {
+        type: 'weekly',
+        name: '週次',
+        refDate: refDate,
+        title: '週次ライフログ・レポート',
+        current: thisWeek,
+        previous: lastWeek,
+        previousLabel: '前週比',
+        buckets: buckets,
+        bucketAxisTitle: '日付',
+        chartTitle: '日次カテゴリー別 時間配分 (時間)'
+    };
+}
 
-        // 効率化のため、全データをメモリ上に一度だけ読み込みます
-        const allRows = dbSheet.getDataRange().getValues();
+/**
+ * 期間レポート（週次・月次・年間）の共通処理です。
+ * 抽出 → 集計 → 比較 → グラフ → AI分析 → 通知（既定はHTMLメール） の順に実行します。
+ * @param {Object} period 期間の定義（buildWeeklyPeriod / buildMonthlyPeriod / buildYearlyPeriod の結果）
+ *   - current / previous: 集計期間と比較期間 {start, end}
+ *   - lastYear: 前年同期間 {start, end}（月次のみ）
+ *   - buckets: グラフ・内訳の区切り [{label, start, end}]
+ * @param {Object} [options] { dryRun: true } の場合は送信もAI呼び出しも行わず、
+ *   件名・メールHTML・テキスト版・AIプロンプトを返します（reportPreview.js から使用）。
+ *   { resend: true } は自動再送からの実行で、失敗しても失敗通知・再送の予定追加を行いません
+ * @return {Object|undefined} dryRun の場合は { subject, htmlBody, text, chartBlob, heatmapBlob, prompt }
+ */
+function runPeriodReport(period, options) {
+    const dryRun = !!(options && options.dryRun);
+    const resend = !!(options && options.resend);
+    try {
+        // 1. スプレッドシートデータの取得
+        // 効率化のため、比較に使う期間（前期間・前年同期間、週次は連続達成と長期の傾向の週）から今期間までの行を一度だけ読み込みます
+        const allRows = readDbRows(getReportReadStart(period), period.current.end);
         if (allRows.length <= 1) {
-            console.warn("DBシートにヘッダー以外のデータが存在しません。");
+            console.warn("DBシートに対象期間のデータが存在しません。");
             return;
         }
 
-        // 3. メモリ上でのイベント抽出（フィルタリング）
-        const thisEvents = filterEventsByRange(allRows, thisWeek.start, thisWeek.end);
-        const lastEvents = filterEventsByRange(allRows, lastWeek.start, lastWeek.end);
+        // 2. メモリ上でのイベント抽出（フィルタリング）
+        const thisEvents = filterEventsByRange(allRows, period.current.start, period.current.end);
+        // 前週のイベントは時間帯の分析（週次のみ）にだけ使います
+        const lastEvents = period.type === 'weekly' ? filterEventsByRange(allRows, period.previous.start, period.previous.end) : null;
 
-        // 4. カテゴリー別の統計集計
+        // 3. カテゴリー別の統計集計（前期間・前年同期間は集計シートにあればそこから読み込みます）
         const thisStats = aggregateStats(thisEvents);
-        const lastStats = aggregateStats(lastEvents);
+        const lastStats = getPeriodStatsList(period.type, allRows, [period.previous])[0];
+        const lastYearStats = period.lastYear ? getPeriodStatsList(period.type, allRows, [period.lastYear])[0] : null;
 
-        // 5. 分析用指標の算出 (構成比、前週比、インアウト比)
-        const comparison = buildComparison(thisStats, lastStats);
+        // 4. 分析用指標の算出 (構成比、前期間比、前年同期比、インアウト比)
+        const comparison = buildComparison(thisStats, lastStats, lastYearStats);
         const ioMetrics = calculateIOMetrics(thisStats);
 
-        // 6. ビジュアル（グラフ）の生成 (DataTable方式: 一時シート不要で安定)
-        const chartBlob = createChartImage(thisEvents, thisWeek.start);
+        // 5. 目標の達成状況（連続達成週数は週次のみ）
+        const days = Math.round((period.current.end - period.current.start) / 86400000);
+        const goalResults = evaluateGoals(thisStats, days);
+        const goalStreaks = period.type === 'weekly' ? calculateGoalStreaks(allRows, period.current.start) : null;
+
+        // 6. 期間内の内訳（月次は週ごと、年間は月ごと）と上位カテゴリー
+        const breakdown = period.type === 'weekly' ? null : buildPeriodBreakdown(thisEvents, period.buckets);
+        // 親カテゴリーごとの子カテゴリー・タグ別の内訳
+        const drillDown = buildCategoryDrillDown(thisEvents);
+        const topCategories = period.type === 'weekly' ? null : comparison
+            .filter(item => item.currentHours > 0)
+            .sort((a, b) => b.currentHours - a.currentHours)
+            .slice(0, 5);
+
+        // 7. ビジュアル（グラフ）の生成 (DataTable方式: 一時シート不要で安定)
+        const chartBlob = createChartImage(thisEvents, period.buckets, period.chartTitle, period.bucketAxisTitle);
+
+        // 週次のみ、曜日×時間帯のヒートマップと「典型的な1日」を算出します
+        const timeProfile = period.type === 'weekly'
+            ? buildTimeProfile(thisEvents, lastEvents, period.current, period.previous)
+            : null;
+        const heatmapBlob = timeProfile ? createHeatmapImage(timeProfile.heatmap, '曜日×時間帯のカテゴリー分布') : null;
+        const coverage = period.type === 'weekly' ? analyzeCoverage(thisEvents, period.current.start, period.current.end) : null;
+        // 週次のみ、直前の4週間・12週間と比べて「いつもと違う」カテゴリーを検出します
+        const trend = period.type === 'weekly' ? analyzeWeeklyTrend(allRows, period.current.start, thisStats) : null;
+        const trendLines = trend ? buildTrendFlagLines(trend) : [];
+        // 週次のみ、予定のカレンダーと比べて予定どおりに過ごせたかを調べます（未設定の場合はnull）
+        const adherence = period.type === 'weekly' ? analyzePlanAdherence(thisEvents, period.current.start, period.current.end) : null;
+
+        // 8. AIによる分析レポートの取得（プレビュー時はプロンプトの組み立てのみ）
+        // 前回のアドバイスとその実行状況（Insightsシート）もプロンプトに含めます
+        const coaching = buildCoachingContext(period.type, period.current.start, thisStats, days);
+        const prompt = buildAnalysisPrompt(comparison, ioMetrics, summarizeGoalsForPrompt(goalResults, goalStreaks), period, { breakdown, topCategories, timeProfile, trend, adherence }, coaching.prompt);
+        const aiFallback = "AI分析レポートの生成中に不具合が発生しました。集計数値のみご確認ください。";
+        const aiInsight = dryRun ? PREVIEW_AI_PLACEHOLDER : generateInsight('period_analysis', prompt, aiFallback);
+        if (!dryRun && isAiConfigured() && aiInsight !== aiFallback) {
+            recordInsight(period.type, period.current, aiInsight, thisStats, days, coaching);
+        }
+
+        // 9. レポート本文（メールHTMLとテキスト版）の構築と送信
+        const dateRangeStr = `${formatDate(period.current.start)} ～ ${formatDate(period.current.end)}`;
+        const subject = `[${period.name}レポート] カレンダー実績集計 (${dateRangeStr})`;
+
+        const report = {
+            title: period.title,
+            dateRange: dateRangeStr,
+            previousLabel: period.previousLabel,
+            lastYearLabel: period.lastYearLabel,
+            comparison, ioMetrics, goalResults, goalStreaks, breakdown, topCategories, chartBlob,
+            timeProfile, heatmapBlob, coverage, drillDown, trendLines, adherence,
+            aiText: aiInsight
+        };
+        const htmlBody = buildHtmlEmail(report);
+        const text = buildPeriodReportText(report);
+        if (dryRun) {
+            return { subject, htmlBody, text, chartBlob, heatmapBlob, prompt };
+        }
 
-        // 7. AIによる分析レポートの取得
-        const aiInsight = getGeminiAnalysis(comparison, ioMetrics);
+        saveRollup(period.type, period.current, thisStats);
 
-        // 8. メールの構築と送信
-        const dateRangeStr = `${formatDate(thisWeek.start)} ～ ${formatDate(thisWeek.end)}`;
-        const subject = `[週次レポート] カレンダー実績集計 (${dateRangeStr})`;
+        const images = {};
+        if (chartBlob) images.chartImg = chartBlob;
+        if (heatmapBlob) images.heatmapImg = heatmapBlob;
 
-        sendHtmlEmail(subject, comparison, ioMetrics, aiInsight, chartBlob, dateRangeStr);
+        // 送信先は NOTIFY_ROUTES で変更できます（既定はメール）
+        notify(period.type, {
+            title: subject,
+            text: text,
+            html: htmlBody,
+            inlineImages: images,
+            attachments: Object.keys(images).map(key => images[key])
+        });
 
-        console.log(`週次レポート送信成功: ${dateRangeStr}`);
+        console.log(`${period.name}レポート送信成功: ${dateRangeStr}`);
 
     } catch (e) {
-        console.error(`週次レポート生成中にエラーが発生しました: ${e.message}`);
+        console.error(`${period.name}レポート生成中にエラーが発生しました: ${e.message}`);
+        if (!dryRun && !resend) {
+            notifyFailure(`${period.name}レポート`, e);
+            scheduleReportResend(period.type, period.refDate);
+        }
         // 致命的なエラーはスタックトレースと共に再スローし、GASの実行ログに残します
         throw e;
     }
@@ -83,6 +200,9 @@ function sendWeeklyReport() {
 
 /**
  * 渡されたシートデータから期間内のイベントのみを抽出します。
+ * 日をまたぐ行（旧形式のデータなど）は日ごとに分割し、期間内の日に属する部分のみを返します。
+ * 終日イベントは時間の集計を歪めるため対象外とします。
+ * 複数のカレンダーから同じイベントが取り込まれている場合は、1件として扱います。
  * @param {Array<Array>} allRows スプレッドシートの全行データ
  * @param {Date} start 始業日時
  * @param {Date} end 終業日時
@@ -90,18 +210,55 @@ function sendWeeklyReport() {
  */
 function filterEventsByRange(allRows, start, end) {
     const events = [];
+    const seenEvents = new Set();
     // インデックス1から（ヘッダーを飛ばして）ループ
     for (let i = 1; i < allRows.length; i++) {
         const row = allRows[i];
         if (row.length < 6) continue; // 不完全な行はスキップ
+        if (isAllDayRow(row)) continue;
 
         // スプレッドシートの列定義に合わせてインデックスを指定
-        // A列(0):タイトル, D列(3):所要時間(シリアル値), F列(5):日付
-        const eventDate = new Date(row[5]);
+        // A列(0):タイトル, B列(1):開始時刻, C列(2):終了時刻, D列(3):所要時間(シリアル値), E列(4):カテゴリー, F列(5):日付
+        const title = String(row[DB_COL.TITLE]);
+        const category = String(row[DB_COL.CATEGORY] || '');
+        const startTime = row[DB_COL.START];
+        const endTime = row[DB_COL.END];
+
+        // L～N列（子カテゴリー・タグ・上書きした所要時間）が無い旧形式の行は、タイトルを解析して補います
+        const parsed = parseEventTitle(title);
+        const subcategory = String(row[DB_COL.SUBCATEGORY] || '') || parsed.subcategory || '';
+        const tags = row[DB_COL.TAGS] ? String(row[DB_COL.TAGS]).split(',').filter(Boolean) : parsed.tags;
+        const overrideValue = row[DB_COL.DURATION_OVERRIDE];
+        const overrideHours = typeof overrideValue === 'number' ? overrideValue : parsed.durationHours;
+
+        if (startTime instanceof Date && endTime instanceof Date && endTime >= startTime) {
+            // 重複判定はタイトルと開始時刻で行います（ID未記録の旧形式の行とも突き合わせるため）
+            const eventKey = createEventKey(title, startTime);
+            if (seenEvents.has(eventKey)) continue;
+            seenEvents.add(eventKey);
+
+            // 所要時間の上書きは、日ごとに分割した長さの割合で配分します
+            const rowMs = endTime - startTime;
+            splitEventByDay(startTime, endTime).forEach(segment => {
+                const eventDate = new Date(segment.start.getFullYear(), segment.start.getMonth(), segment.start.getDate());
+                if (eventDate >= start && eventDate <= end) {
+                    const ev = { title, category, subcategory, tags, start: segment.start, end: segment.end, date: eventDate };
+                    if (overrideHours !== null) ev.hoursOverride = rowMs > 0 ? overrideHours * (segment.end - segment.start) / rowMs : overrideHours;
+                    events.push(ev);
+                }
+            });
+            continue;
+        }
+
+        // 開始・終了時刻が読み取れない行は、F列の日付とD列の所要時間で判定します
+        const eventDate = new Date(row[DB_COL.DATE]);
         if (!isNaN(eventDate.getTime()) && eventDate >= start && eventDate <= end) {
             events.push({
-                title: String(row[0]),
-                durationSerial: row[3],
+                title: title,
+                category: category,
+                subcategory: subcategory,
+                tags: tags,
+                durationSerial: row[DB_COL.DURATION],
                 date: eventDate
             });
         }
@@ -109,39 +266,71 @@ function filterEventsByRange(allRows, start, end) {
     return events;
 }
 
+/**
+ * 行が終日イベントかどうかを判定します。
+ * J列のフラグで判定し、フラグ導入前の行（J列が空欄）は「0時開始で24時間の倍数の長さ」を終日とみなします。
+ * @param {Array} row DBシートの1行
+ * @return {boolean} 終日イベントであればtrue
+ */
+function isAllDayRow(row) {
+    if (typeof row[DB_COL.ALL_DAY] === 'boolean') return row[DB_COL.ALL_DAY];
+
+    const startTime = row[DB_COL.START];
+    const endTime = row[DB_COL.END];
+    if (!(startTime instanceof Date) || !(endTime instanceof Date)) return false;
+
+    const length = endTime.getTime() - startTime.getTime();
+    return startTime.getHours() === 0 && startTime.getMinutes() === 0 &&
+        length > 0 && length % 86400000 === 0;
+}
+
+/**
+ * イベントの所要時間を時間単位で返します。
+ * タイトルで所要時間を上書きしている場合はその値を、開始・終了時刻があればその差から計算し、
+ * 無い場合はD列の値（シリアル値または時刻形式）から換算します。
+ * 時刻形式の値は1899/12/30からの経過時間として扱うため、24時間以上でも0に戻りません。
+ * @param {Object} ev filterEventsByRangeで抽出したイベント
+ * @return {number} 所要時間（時間）
+ */
+function getEventHours(ev) {
+    if (typeof ev.hoursOverride === 'number') return ev.hoursOverride;
+    if (ev.start instanceof Date && ev.end instanceof Date) {
+        return (ev.end.getTime() - ev.start.getTime()) / 3600000;
+    }
+    if (ev.durationSerial instanceof Date) {
+        // 時刻形式(例 1:30:00) の場合
+        return (ev.durationSerial.getTime() - new Date(1899, 11, 30).getTime()) / 3600000;
+    }
+    if (typeof ev.durationSerial === 'number') {
+        // 数値形式(例 0.0416... = 1時間) の場合
+        return ev.durationSerial * 24;
+    }
+    return 0;
+}
+
 /**
  * イベントのリストをカテゴリー【 】ごとに集計し、時間と回数を算出します。
  * @param {Array<Object>} events 対象イベントのリスト
- * @return {Object} カテゴリー名をキーとした統計オブジェクト
+ * @param {string} [level] 集計の単位（category / subcategory / tag。省略時は親カテゴリー）
+ * @return {Object} カテゴリー名（またはタグ）をキーとした統計オブジェクト
  */
-function aggregateStats(events) {
+function aggregateStats(events, level) {
     const summary = {};
     events.forEach(ev => {
-        // タイトルから【 】で囲まれた文字列をカテゴリーとして抽出
-        const match = ev.title.match(/【(.*?)】/);
-        if (match) {
-            const category = match[1];
-            if (!summary[category]) summary[category] = { count: 0, hours: 0 };
-
-            // 所要時間の変換 (Google Sheetsのシリアル値またはDateオブジェクトを時間に変換)
-            let hours = 0;
-            if (ev.durationSerial instanceof Date) {
-                // 時刻形式(例 1:30:00) の場合
-                hours = ev.durationSerial.getHours() + (ev.durationSerial.getMinutes() / 60);
-            } else if (typeof ev.durationSerial === 'number') {
-                // 数値形式(例 0.0416... = 1時間) の場合
-                hours = ev.durationSerial * 24;
-            }
+        // タイトルの【 】（または既定カテゴリー）をカテゴリーとして使用
+        getEventGroupingKeys(ev, level).forEach(key => {
+            if (!summary[key]) summary[key] = { count: 0, hours: 0 };
 
-            summary[category].count++;
-            summary[category].hours += hours;
-        }
+            summary[key].count++;
+            summary[key].hours += getEventHours(ev);
+        });
     });
     return summary;
 }
 
 /**
  * 「インプット」と「アウトプット」に関連する時間の比率を計算します。
+ * 振り分けはカテゴリーマスタのグループ（input / output）に従います。
  * @param {Object} stats 集計済み統計データ
  * @return {Object} インアウト比率と各種時間のオブジェクト
  */
@@ -150,10 +339,10 @@ function calculateIOMetrics(stats) {
     let outputHours = 0;
 
     Object.keys(stats).forEach(cat => {
-        // 特定のキーワードを含むカテゴリーを振り分け
-        if (cat.includes("インプット")) {
+        const group = getCategoryGroup(cat);
+        if (group === 'input') {
             inputHours += stats[cat].hours;
-        } else if (cat.includes("アウトプット") || cat === "中小") {
+        } else if (group === 'output') {
             outputHours += stats[cat].hours;
         }
     });
@@ -168,117 +357,194 @@ function calculateIOMetrics(stats) {
 }
 
 /**
- * 日ごとのカテゴリー別時間を集計し、積み上げ棒グラフの画像を生成します。
- * DataTableを使用することで、一時シートを作成せずにメモリ上で完結させます。
- * @param {Array<Object>} events 1週間のイベント
- * @param {Date} weekStart 週の開始日（日曜日）
- * @return {Blob} グラフ画像のBlobデータ
+ * 期間を日・週・月の区切りに分割します（グラフの横軸や期間内の内訳に使用）。
+ * 週は日～土で区切り、期間の最初と最後の週・月は期間の範囲に切り詰めます。
+ * @param {Date} start 期間の開始日
+ * @param {Date} end 期間の終了日時
+ * @param {string} granularity 区切りの単位（day / week / month）
+ * @return {Array<Object>} 区切りの定義 [{label, start, end}]
  */
-function createChartImage(events, weekStart) {
-    const dailyAllocation = {}; // { MM/dd: { category: hours } }
-    const uniqueCategories = new Set();
+function buildDateBuckets(start, end, granularity) {
+    const buckets = [];
+    // 月の区切りは、期間が年をまたぐ場合のみ年を含めて表示します
+    const sameYear = start.getFullYear() === end.getFullYear();
+    let cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    while (cursor <= end) {
+        let bucketEnd;
+        let label;
+        if (granularity === 'month') {
+            bucketEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0, 23, 59, 59, 999);
+            label = sameYear ? `${cursor.getMonth() + 1}月` : Utilities.formatDate(cursor, CONFIG.TIME_ZONE, 'yyyy/MM');
+        } else if (granularity === 'week') {
+            bucketEnd = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + (6 - cursor.getDay()), 23, 59, 59, 999);
+        } else {
+            bucketEnd = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate(), 23, 59, 59, 999);
+            label = Utilities.formatDate(cursor, CONFIG.TIME_ZONE, 'MM/dd');
+        }
+        if (bucketEnd > end) bucketEnd = end;
+        if (granularity === 'week') {
+            label = `${Utilities.formatDate(cursor, CONFIG.TIME_ZONE, 'MM/dd')}～${Utilities.formatDate(bucketEnd, CONFIG.TIME_ZONE, 'MM/dd')}`;
+        }
+
+        buckets.push({ label: label, start: cursor, end: bucketEnd });
+        cursor = new Date(bucketEnd.getFullYear(), bucketEnd.getMonth(), bucketEnd.getDate() + 1);
+    }
+    return buckets;
+}
+
+/**
+ * 区切り（日・週・月）ごとにイベントのカテゴリー別時間を集計します。
+ * @param {Array<Object>} events 期間内のイベント
+ * @param {Array<Object>} buckets 区切りの定義 [{label, start, end}]
+ * @param {string} [level] 集計の単位（category / subcategory / tag。省略時は親カテゴリー）
+ * @return {Array<Object>} 区切りごとの { label, stats }
+ */
+function allocateEventsToBuckets(events, buckets, level) {
+    const allocation = buckets.map(bucket => ({ label: bucket.label, stats: {} }));
 
-    // 日次・カテゴリー別のマトリックスを作成
     events.forEach(ev => {
-        const match = ev.title.match(/【(.*?)】/);
-        if (!match) return;
+        const keys = getEventGroupingKeys(ev, level);
+        if (keys.length === 0) return;
 
-        const cat = match[1];
-        const dateLabel = Utilities.formatDate(ev.date, CONFIG.TIME_ZONE, 'MM/dd');
-        uniqueCategories.add(cat);
+        const index = buckets.findIndex(bucket => ev.date >= bucket.start && ev.date <= bucket.end);
+        if (index < 0) return;
 
-        let h = (ev.durationSerial instanceof Date)
-            ? (ev.durationSerial.getHours() + ev.durationSerial.getMinutes() / 60)
-            : (typeof ev.durationSerial === 'number' ? ev.durationSerial * 24 : 0);
+        const stats = allocation[index].stats;
+        keys.forEach(key => {
+            if (!stats[key]) stats[key] = { count: 0, hours: 0 };
+            stats[key].count++;
+            stats[key].hours += getEventHours(ev);
+        });
+    });
+    return allocation;
+}
 
-        if (!dailyAllocation[dateLabel]) dailyAllocation[dateLabel] = {};
-        dailyAllocation[dateLabel][cat] = (dailyAllocation[dateLabel][cat] || 0) + h;
+/**
+ * 期間内の区切りごとの内訳（合計時間と最も多いカテゴリー）を算出します。
+ * @param {Array<Object>} events 期間内のイベント
+ * @param {Array<Object>} buckets 区切りの定義 [{label, start, end}]
+ * @return {Array<Object>} { label, totalHours, topCategory, topHours } の配列
+ */
+function buildPeriodBreakdown(events, buckets) {
+    return allocateEventsToBuckets(events, buckets).map(({ label, stats }) => {
+        let totalHours = 0;
+        let topCategory = '';
+        let topHours = 0;
+        Object.keys(stats).forEach(cat => {
+            totalHours += stats[cat].hours;
+            if (stats[cat].hours > topHours) {
+                topCategory = cat;
+                topHours = stats[cat].hours;
+            }
+        });
+        return { label, totalHours, topCategory, topHours };
     });
+}
 
-    const sortedCats = Array.from(uniqueCategories).sort();
+/**
+ * 区切りごとのカテゴリー別時間を集計し、積み上げ棒グラフの画像を生成します。
+ * DataTableを使用することで、一時シートを作成せずにメモリ上で完結させます。
+ * @param {Array<Object>} events 期間内のイベント
+ * @param {Array<Object>} buckets 横軸の区切り [{label, start, end}]（週次は7日分）
+ * @param {string} title グラフのタイトル
+ * @param {string} axisTitle 横軸のタイトル
+ * @return {Blob} グラフ画像のBlobデータ
+ */
+function createChartImage(events, buckets, title, axisTitle) {
+    const allocation = allocateEventsToBuckets(events, buckets);
+    const uniqueCategories = new Set();
+    allocation.forEach(({ stats }) => Object.keys(stats).forEach(cat => uniqueCategories.add(cat)));
+
+    const sortedCats = sortCategories(Array.from(uniqueCategories));
     if (sortedCats.length === 0) return null;
 
     // 1. Google Chartsのデータテーブルを定義
-    const dataTable = Charts.newDataTable().addColumn(Charts.ColumnType.STRING, "日付");
+    const dataTable = Charts.newDataTable().addColumn(Charts.ColumnType.STRING, axisTitle);
     sortedCats.forEach(c => dataTable.addColumn(Charts.ColumnType.NUMBER, c));
 
-    // 2. 7日間分（日〜土）の行データを追加
-    for (let i = 0; i < 7; i++) {
-        const cursor = new Date(weekStart.getTime());
-        cursor.setDate(cursor.getDate() + i);
-        const label = Utilities.formatDate(cursor, CONFIG.TIME_ZONE, 'MM/dd');
-
+    // 2. 区切りごとの行データを追加
+    allocation.forEach(({ label, stats }) => {
         const row = [label];
         sortedCats.forEach(c => {
-            row.push(dailyAllocation[label] ? (dailyAllocation[label][c] || 0) : 0);
+            row.push(stats[c] ? stats[c].hours : 0);
         });
         dataTable.addRow(row);
-    }
+    });
 
     // 3. グラフの構築
     const chart = Charts.newColumnChart()
         .setDataTable(dataTable.build())
         .setStacked()
-        .setTitle('日次カテゴリー別 時間配分 (時間)')
-        .setXAxisTitle('日付')
+        .setTitle(title)
+        .setXAxisTitle(axisTitle)
         .setYAxisTitle('時間(h)')
         .setDimensions(CONFIG.CHART_WIDTH, CONFIG.CHART_HEIGHT)
         .setLegendPosition(Charts.Position.RIGHT)
-        .setColors(CONFIG.CHART_COLORS)
+        .setColors(sortedCats.map(getCategoryColor))
         .build();
 
     return chart.getAs('image/png').setName('activity_chart.png');
 }
 
 /**
- * 集計データを元に、Gemini APIを使用して分析レポートを生成します。
+ * レポートで読み込むDBシートの行の開始日を求めます。
+ * @param {Object} period 期間の定義（runPeriodReport の引数）
+ * @return {Date} 開始日
+ */
+function getReportReadStart(period) {
+    const starts = [period.current.start, period.previous.start];
+    if (period.lastYear) starts.push(period.lastYear.start);
+    if (period.type === 'weekly') {
+        starts.push(addDays(period.current.start, -7 * Math.max(GOAL_STREAK_MAX_WEEKS, BASELINE_CONFIG.LONG_WEEKS)));
+    }
+    return new Date(Math.min(...starts.map(date => date.getTime())));
+}
+
+/**
+ * 集計データを元に、AIへの分析依頼のプロンプトを組み立てます（Promptsシートの period_analysis）。
  * @param {Array<Object>} comparison 各カテゴリーの比較データ
  * @param {Object} ioMetrics インプット・アウトプット比率
- * @return {string} AIによる日本語寸評
+ * @param {Array<Object>} goals 目標の達成状況（summarizeGoalsForPrompt の結果）
+ * @param {Object} period 期間の定義（runPeriodReport の引数）
+ * @param {Object} extras 期間の種類ごとの追加データ
+ *   （月次・年間は期間内の内訳と上位カテゴリー、週次は時間帯の分析 timeProfile と長期の傾向 trend、予定と実績の比較 adherence）
+ * @param {Object} [coaching] 前回のアドバイスとその実行状況（buildCoachingContext の prompt）
+ * @return {string} プロンプト
  */
-function getGeminiAnalysis(comparison, ioMetrics) {
-    const apiKey = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
-    if (!apiKey) return "※AI寸評は、スクリプトプロパティに「GEMINI_API_KEY」が設定されていないためスキップされました。";
-
-    const apiUrl = `https://generativelanguage.googleapis.com/v1/models/${CONFIG.GEMINI_MODEL}:generateContent?key=${apiKey}`;
-
-    // AIへの指示（プロンプト）の構築
-    const prompt = `あなたはライフログ分析のプロフェッショナルAIです。
-以下の集計データ（活動構成比、インプット/アウトプット比率、前週比較）を読み解き、ユーザーの生活リズムと質の変化について【350文字～450文字程度】で日本語のアドバイスを記述してください。
-
-着眼点：
-- カテゴリー別の「時間(h)」の変化（何が増え、何が減り、それが生活にどう影響しているか）。
-- プロフェッショナルな視点でのワークライフバランスや自己研鑽の評価。
-- インプット(${ioMetrics.inputRatio}%) 対 アウトプット(${ioMetrics.outputRatio}%)の比率（理想の黄金比は3:7とされています）から見た示唆。
-- 温かみがあり、かつ気づきを与えるトーンで記述してください。
-
-データ: ${JSON.stringify({ comparison, ioMetrics })}`;
-
-    const payload = { contents: [{ parts: [{ text: prompt }] }] };
-    const params = {
-        method: 'post',
-        contentType: 'application/json',
-        payload: JSON.stringify(payload),
-        muteHttpExceptions: true
-    };
-
-    try {
-        const response = UrlFetchApp.fetch(apiUrl, params);
-        const json = JSON.parse(response.getContentText());
-
-        if (json.candidates && json.candidates[0].content.parts[0].text) {
-            return json.candidates[0].content.parts[0].text.trim();
-        }
-    } catch (err) {
-        console.error(`Gemini API呼び出しエラー: ${err.message}`);
-    }
-    return "AI分析レポートの生成中に不具合が発生しました。集計数値のみご確認ください。";
+function buildAnalysisPrompt(comparison, ioMetrics, goals, period, extras, coaching) {
+    const hasBreakdown = !!(extras && extras.breakdown);
+    const hasTimeProfile = !!(extras && extras.timeProfile);
+    const trend = extras && extras.trend ? summarizeTrendForPrompt(extras.trend) : null;
+    const data = { comparison, ioMetrics, goals };
+    if (hasBreakdown) Object.assign(data, { breakdown: extras.breakdown, topCategories: extras.topCategories });
+    if (hasTimeProfile) data.timeProfile = summarizeTimeProfileForPrompt(extras.timeProfile);
+    if (trend) data.trend = trend;
+    if (extras && extras.adherence) data.adherence = summarizeAdherenceForPrompt(extras.adherence);
+
+    return renderPromptTemplate('period_analysis', {
+        periodName: period.name,
+        comparisonLabels: `${period.previousLabel}${period.lastYearLabel ? `・${period.lastYearLabel}` : ''}`,
+        diffNote: `diffHoursは${period.previousLabel}${period.lastYearLabel ? `、lastYearDiffHoursは${period.lastYearLabel}` : ''}の差分です。`,
+        hasBreakdown: hasBreakdown,
+        hasTimeProfile: hasTimeProfile,
+        hasTrend: !!trend,
+        hasAdherence: !!data.adherence,
+        inputRatio: ioMetrics.inputRatio,
+        outputRatio: ioMetrics.outputRatio,
+        ioGoalRatio: CONFIG.IO_GOAL_RATIO,
+        data: data,
+        coaching: coaching
+    });
 }
 
 /**
- * 今週と前週のデータを比較し、構成比と増減を計算した配列を生成します。
+ * 今期間と前期間（と前年同期間）のデータを比較し、構成比と増減を計算した配列を生成します。
+ * @param {Object} thisStats 今期間の集計
+ * @param {Object} lastStats 前期間の集計
+ * @param {Object} [lastYearStats] 前年同期間の集計（月次レポートのみ）
  */
-function buildComparison(thisStats, lastStats) {
+function buildComparison(thisStats, lastStats, lastYearStats) {
     const allCategories = new Set([...Object.keys(thisStats), ...Object.keys(lastStats)]);
 
     // 今週の総記録時間を算出 (構成比の計算用)
@@ -294,42 +560,92 @@ function buildComparison(thisStats, lastStats) {
         const ratio = totalHours > 0 ? (t.hours / totalHours * 100).toFixed(1) : 0;
         const diff = t.hours - l.hours;
 
-        result.push({
+        const item = {
             category: cat,
             currentCount: t.count,
             currentHours: t.hours,
             ratio: ratio,
             diffHours: diff
-        });
+        };
+        if (lastYearStats) {
+            item.lastYearDiffHours = t.hours - (lastYearStats[cat] ? lastYearStats[cat].hours : 0);
+        }
+        result.push(item);
     });
 
-    // 時間が長い順にソートします
-    return result.sort((a, b) => b.currentHours - a.currentHours);
+    // カテゴリーマスタの表示順、表示順が同じものは時間が長い順にソートします
+    const hours = new Map(result.map(item => [item.category, item.currentHours]));
+    return result.sort((a, b) => compareCategoryOrder(a.category, b.category, name => hours.get(name)));
 }
 
 /**
- * リッチなHTMLメールを構築して送信します。
+ * レポートの内容からHTMLメールの本文を組み立てます。
+ * グラフ画像は cid:chartImg、ヒートマップ画像は cid:heatmapImg として参照します。
+ * @param {Object} report runPeriodReport で組み立てたレポートの内容
+ * @return {string} HTML本文
  */
-function sendHtmlEmail(subject, comparison, ioMetrics, aiText, chartBlob, dateRange) {
-    const me = Session.getActiveUser().getEmail();
+function buildHtmlEmail(report) {
+    const { comparison, ioMetrics, aiText, chartBlob, dateRange } = report;
+
+    // 増減のセル（前期間比・前年同期比で共通）
+    const diffCell = hours => {
+        const diffColor = hours > 0 ? "#4285F4" : (hours < 0 ? "#EA4335" : "#333");
+        return `
+        <td style="border: 1px solid #ddd; padding: 12px; text-align: center; color: ${diffColor}; font-weight: bold;">
+          ${hours > 0 ? '+' : ''}${hours.toFixed(1)}h
+        </td>`;
+    };
 
     // 1. 各カテゴリーの統計表（行）を作成
     let tableRows = "";
     comparison.forEach(item => {
-        const diff = item.diffHours.toFixed(1);
-        const diffColor = item.diffHours > 0 ? "#4285F4" : (item.diffHours < 0 ? "#EA4335" : "#333");
-
         tableRows += `
       <tr>
-        <td style="border: 1px solid #ddd; padding: 12px; font-weight: bold; background-color: #fafafa;">【${item.category}】</td>
+        <td style="border: 1px solid #ddd; padding: 12px; font-weight: bold; background-color: #fafafa;">
+          <span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; background-color: ${getCategoryColor(item.category)};"></span>
+          【${getCategoryLabel(item.category)}】
+        </td>
         <td style="border: 1px solid #ddd; padding: 12px; text-align: center;">${item.currentCount}回</td>
         <td style="border: 1px solid #ddd; padding: 12px; text-align: center; font-weight: 500;">${item.currentHours.toFixed(1)}h (${item.ratio}%)</td>
-        <td style="border: 1px solid #ddd; padding: 12px; text-align: center; color: ${diffColor}; font-weight: bold;">
-          ${item.diffHours > 0 ? '+' : ''}${diff}h
-        </td>
+        ${diffCell(item.diffHours)}${report.lastYearLabel ? diffCell(item.lastYearDiffHours) : ''}
       </tr>`;
     });
 
+    // 上位カテゴリーと期間内の内訳（月次・年間のみ）
+    const topHtml = report.topCategories && report.topCategories.length > 0
+        ? `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #FBBC05; font-size: 1em;">● トップカテゴリー</h3>
+      <ol style="margin: 0 0 35px 0; padding-left: 1.5em;">
+        ${report.topCategories.map(item => `<li><b>【${getCategoryLabel(item.category)}】</b> ${item.currentHours.toFixed(1)}h (${item.ratio}%)</li>`).join('')}
+      </ol>`
+        : "";
+    const breakdownHtml = report.breakdown
+        ? `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #00ACC1; font-size: 1em;">● 期間内の推移</h3>
+      <table style="border-collapse: collapse; width: 100%; margin: 15px 0 35px 0; font-size: 0.95em;">
+        <tr style="background-color: #eee; color: #444;">
+          <th style="border: 1px solid #ddd; padding: 8px;">期間</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">合計時間</th>
+          <th style="border: 1px solid #ddd; padding: 8px;">最多カテゴリー</th>
+        </tr>
+        ${report.breakdown.map(row => `
+        <tr>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${row.label}</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${row.totalHours.toFixed(1)}h</td>
+          <td style="border: 1px solid #ddd; padding: 8px; text-align: center;">${row.topCategory ? `【${row.topCategory}】${row.topHours.toFixed(1)}h` : '-'}</td>
+        </tr>`).join('')}
+      </table>`
+        : "";
+
+    // 子カテゴリー・タグの内訳（タイトルに 【親/子】 や #タグ がある場合のみ）
+    const drillDownHtml = report.drillDown && report.drillDown.length > 0
+        ? `<h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #FF6D00; font-size: 1em;">● 子カテゴリー・タグの内訳</h3>
+      <ul style="margin: 0 0 35px 0; padding-left: 1.5em;">
+        ${report.drillDown.map(entry => `<li><b>【${getCategoryLabel(entry.category)}】</b> ${entry.hours.toFixed(1)}h
+          ${entry.children.length > 0 ? `<br><span style="color: #666;">${entry.children.map(child => `${child.name.slice(child.name.indexOf(CATEGORY_PATH_SEPARATOR) + 1)} ${child.hours.toFixed(1)}h`).join(' / ')}</span>` : ''}
+          ${entry.tags.length > 0 ? `<br><span style="color: #888;">${entry.tags.map(tag => `${tag.name} ${tag.hours.toFixed(1)}h`).join(' / ')}</span>` : ''}
+        </li>`).join('')}
+      </ul>`
+        : "";
+
     // 2. グラフHTML（画像が生成できた場合のみ）
     const chartHtml = chartBlob
         ? `<div style="margin: 35px 0; text-align: center;">
@@ -337,10 +653,13 @@ function sendHtmlEmail(subject, comparison, ioMetrics, aiText, chartBlob, dateRa
        </div>`
         : "";
 
+    // ヒートマップと「典型的な1日」（週次のみ）
+    const timeProfileHtml = report.timeProfile ? buildTimeProfileHtml(report.timeProfile, !!report.heatmapBlob) : "";
+
     // 3. 全体のHTMLメールテンプレート
     const htmlBody = `
     <div style="font-family: 'Helvetica Neue', Arial, sans-serif; max-width: 650px; margin: 0 auto; color: #333; line-height: 1.8; background-color: #fff; border: 1px solid #eee; padding: 30px; border-radius: 12px;">
-      <h2 style="color: #4285F4; border-bottom: 3px solid #4285F4; padding-bottom: 12px; margin-top: 0;">週次ライフログ・レポート</h2>
+      <h2 style="color: #4285F4; border-bottom: 3px solid #4285F4; padding-bottom: 12px; margin-top: 0;">${report.title}</h2>
       <p style="font-size: 1.1em; color: #666; font-weight: bold; margin-bottom: 30px;">[対象期間] ${dateRange}</p>
       
       <!-- インアウト比率セクション -->
@@ -352,6 +671,11 @@ function sendHtmlEmail(subject, comparison, ioMetrics, aiText, chartBlob, dateRa
         </span>
       </div>
 
+      <!-- 目標の達成状況セクション -->
+      ${buildGoalsHtml(report.goalResults, report.goalStreaks)}
+
+      ${topHtml}
+
       <!-- メイン集計テーブル -->
       <h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #ccc; font-size: 1em;">● カテゴリー別実績</h3>
       <table style="border-collapse: collapse; width: 100%; margin-top: 15px; border-radius: 8px; overflow: hidden;">
@@ -360,7 +684,8 @@ function sendHtmlEmail(subject, comparison, ioMetrics, aiText, chartBlob, dateRa
             <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">カテゴリー</th>
             <th style="border: 1px solid #ddd; padding: 12px;">件数</th>
             <th style="border: 1px solid #ddd; padding: 12px;">時間(構成比)</th>
-            <th style="border: 1px solid #ddd; padding: 12px;">前週比</th>
+            <th style="border: 1px solid #ddd; padding: 12px;">${report.previousLabel}</th>${report.lastYearLabel ? `
+            <th style="border: 1px solid #ddd; padding: 12px;">${report.lastYearLabel}</th>` : ''}
           </tr>
         </thead>
         <tbody>
@@ -368,10 +693,22 @@ function sendHtmlEmail(subject, comparison, ioMetrics, aiText, chartBlob, dateRa
         </tbody>
       </table>
 
+      ${drillDownHtml}
+
       ${chartHtml}
 
+      ${report.trendLines && report.trendLines.length > 0 ? buildTrendHtml(report.trendLines) : ""}
+
+      ${timeProfileHtml}
+
+      ${report.coverage ? buildCoverageHtml(report.coverage) : ""}
+
+      ${report.adherence ? buildAdherenceHtml(report.adherence) : ""}
+
+      ${breakdownHtml}
+
       <!-- AI分析セクション -->
-      <h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #4285F4; margin-top: 45px; font-size: 1em;">■ AI Insight (Gemini)</h3>
+      <h3 style="background: #f8f9fa; padding: 10px; border-left: 5px solid #4285F4; margin-top: 45px; font-size: 1em;">■ AI Insight</h3>
       <div style="background-color: #F1F3F4; padding: 25px; border-radius: 12px; line-height: 1.9; white-space: pre-wrap; font-size: 1em; color: #202124;">
 ${aiText}
       </div>
@@ -382,28 +719,84 @@ ${aiText}
       </footer>
     </div>`;
 
-    // 送信の設定
-    const options = {
-        htmlBody: htmlBody,
-        inlineImages: chartBlob ? { chartImg: chartBlob } : {},
-        attachments: chartBlob ? [chartBlob] : []
-    };
+    return htmlBody;
+}
 
-    GmailApp.sendEmail(me, subject, "", options);
+/**
+ * レポートの内容から、Slack・Discord・LINE などで使うテキスト版の本文を組み立てます。
+ * @param {Object} report runPeriodReport で組み立てたレポートの内容
+ * @return {string} テキスト本文
+ */
+function buildPeriodReportText(report) {
+    const { comparison, ioMetrics, aiText, dateRange } = report;
+    const total = comparison.reduce((sum, item) => sum + item.currentHours, 0);
+    const signed = hours => `${hours > 0 ? '+' : ''}${hours.toFixed(1)}h`;
+
+    let text = `${report.title}\n[対象期間] ${dateRange}\n合計 ${total.toFixed(1)}h\n`;
+    text += `IN ${ioMetrics.inputRatio}% : OUT ${ioMetrics.outputRatio}%（理想 ${CONFIG.IO_GOAL_RATIO}）\n`;
+
+    text += `\n【カテゴリー別実績】\n`;
+    comparison.filter(item => item.currentHours > 0 || item.diffHours !== 0).forEach(item => {
+        const lastYear = report.lastYearLabel ? ` / ${report.lastYearLabel} ${signed(item.lastYearDiffHours)}` : '';
+        text += `■${getCategoryLabel(item.category)} ${item.currentHours.toFixed(1)}h (${item.ratio}%) ${report.previousLabel} ${signed(item.diffHours)}${lastYear}\n`;
+    });
+
+    if (report.drillDown && report.drillDown.length > 0) {
+        text += `\n【子カテゴリー・タグの内訳】\n`;
+        report.drillDown.forEach(entry => {
+            const parts = entry.children.map(child => `${child.name.slice(child.name.indexOf(CATEGORY_PATH_SEPARATOR) + 1)} ${child.hours.toFixed(1)}h`)
+                .concat(entry.tags.map(tag => `${tag.name} ${tag.hours.toFixed(1)}h`));
+            text += `■${getCategoryLabel(entry.category)}: ${parts.join(' / ')}\n`;
+        });
+    }
+
+    if (report.goalResults && report.goalResults.length > 0) {
+        text += `\n【目標の達成状況】\n`;
+        report.goalResults.forEach(result => {
+            const streak = report.goalStreaks && report.goalStreaks[result.key] > 0 ? ` 🔥${report.goalStreaks[result.key]}週連続` : '';
+            text += `${result.met ? '✅' : '⬜'}${result.category} ${result.actual.toFixed(1)}h / ${formatGoalTarget(result)}（${formatGoalStatus(result)}）${streak}\n`;
+        });
+    }
+
+    if (report.trendLines && report.trendLines.length > 0) {
+        text += `\n【いつもと違う点】\n${report.trendLines.join('\n')}\n`;
+    }
+
+    if (report.timeProfile) {
+        const { current, shiftMinutes } = report.timeProfile.typicalDay;
+        const item = (label, key) => `${label} ${formatMinutesOfDay(current[key])}${shiftMinutes[key] !== null ? `（${formatShiftMinutes(shiftMinutes[key])}）` : ''}`;
+        text += `\n【典型的な1日】\n${item('起床', 'wakeUp')} / ${item('最初の集中作業', 'firstDeepWork')} / ${item('就寝', 'bedtime')}\n`;
+    }
+
+    if (report.coverage) {
+        const { score, untrackedHours, overlapHours } = report.coverage;
+        text += `\n【記録の網羅率】\n${score}%（未記録 ${untrackedHours.toFixed(1)}h / 重複 ${overlapHours.toFixed(1)}h）\n`;
+    }
+
+    if (report.adherence) {
+        const { score, plannedHours, matchedHours, unplannedHours } = report.adherence;
+        text += `\n【予定と実績】\n${score}%（予定 ${plannedHours.toFixed(1)}h のうち ${matchedHours.toFixed(1)}h を実行 / 予定外 ${unplannedHours.toFixed(1)}h）\n`;
+        report.adherence.categories.filter(item => item.plannedHours > 0).forEach(item => {
+            text += `■${getCategoryLabel(item.category)} 予定 ${item.plannedHours.toFixed(1)}h / 実績 ${item.actualHours.toFixed(1)}h（実行率 ${item.ratio}%）\n`;
+        });
+    }
+
+    text += `\n【AI Insight】\n${aiText}`;
+    return text;
 }
 
 /**
  * 集計期間の計算ロジック
- * 日〜土の範囲を計算し、日曜日の朝に実行された場合に前週分（直近の土曜まで）を集計します。
+ * 日〜土の範囲を計算し、何曜日に実行された場合も直近に終わった週（前日以前の土曜まで）を集計します。
  * @param {Date} refDate 基準日時（通常は今日）
- * @param {number} offsetWeeks 週のオフセット (0:今週, -1:前週)
+ * @param {number} offsetWeeks 週のオフセット (0:直近に終わった週, -1:その前週)
  */
 function getWeeklyDateRange(refDate, offsetWeeks) {
     const d = new Date(refDate.getTime());
     const day = d.getDay(); // 0:日, 6:土
 
-    // 本日が日曜(0)なら7日前を、それ以外ならその週の日曜を特定します
-    const diffToSunday = (day === 0) ? 7 : day;
+    // 本日が日曜(0)なら7日前、それ以外なら前週の日曜を特定します（週次レポートの曜日は設定で変更できるため）
+    const diffToSunday = day + 7;
 
     // 基準となる週の日曜日
     const start = new Date(d.getFullYear(), d.getMonth(), d.getDate() - diffToSunday + (offsetWeeks * 7), 0, 0, 0);
@@ -422,23 +815,9 @@ function formatDate(date) {
 
 /**
  * 定期実行用トリガーの設定
- * 毎週日曜日の午前9時にsendWeeklyReportを実行するようにセットします。
+ * 設定の曜日・時刻（既定は毎週日曜日の午前9時）に週次レポートを実行するようにセットします。
+ * （メニューの「トリガーの管理」からも設定できます）
  */
 function createWeeklyTrigger() {
-    const handler = 'sendWeeklyReport';
-    const existingTriggers = ScriptApp.getProjectTriggers();
-
-    // 既存の重複トリガーを削除
-    existingTriggers.forEach(t => {
-        if (t.getHandlerFunction() === handler) ScriptApp.deleteTrigger(t);
-    });
-
-    // 日曜日、午前9時に実行
-    ScriptApp.newTrigger(handler)
-        .timeBased()
-        .onWeekDay(ScriptApp.WeekDay.SUNDAY)
-        .atHour(9)
-        .create();
-
-    console.log("定期レポートのトリガーを設定しました（毎週日曜 9:00）。");
+    installTriggerJob('weekly');
 }